@@ -9,6 +9,9 @@ import { Duplex } from "stream";
 
 declare type Readable = import("stream").Readable;
 declare type Writable = import("stream").Writable;
+declare type IncomingMessage = import("http").IncomingMessage;
+declare type ServerResponse = import("http").ServerResponse;
+declare type RequestOptions = import("http").RequestOptions;
 
 declare class HeaderCollection {
     public constructor(headers?: {[name: string]: Array<string>});
@@ -20,6 +23,99 @@ declare class HeaderCollection {
     public remove(name: string): void;
 }
 
+declare interface HttpClientInterface {
+    sendRequest(request: RequestInterface): Promise<Response>;
+}
+
+declare class HttpClient implements HttpClientInterface {
+    public constructor(responseFactory: ResponseFactoryInterface, options?: RequestOptions);
+    public sendRequest(request: RequestInterface): Promise<Response>;
+}
+
+declare class MediaType {
+    public constructor(type: string, subtype: string, parameters?: {[name: string]: string});
+    public get type(): string;
+    public get subtype(): string;
+    public get suffix(): string | null;
+    public get essence(): string;
+    public get parameters(): {[name: string]: string};
+    public parameter(name: string): string | null;
+    public withParameter(name: string, value: string): this;
+    public withoutParameter(name: string): this;
+    public toString(): string;
+    protected createMediaType(type: string, subtype: string, parameters: {[name: string]: string}): MediaType;
+}
+
+declare interface MediaTypeFactoryInterface {
+    createMediaType(type: string, subtype: string, parameters?: {[name: string]: string}): MediaType;
+    createMediaTypeFromString(value: string): MediaType;
+}
+
+declare class MediaTypeFactory implements MediaTypeFactoryInterface {
+    public createMediaType(type: string, subtype: string, parameters?: {[name: string]: string}): MediaType;
+    public createMediaTypeFromString(value: string): MediaType;
+}
+
+declare class Token {
+    public constructor(value: string);
+    public get value(): string;
+    public equals(other: Token): boolean;
+    public toString(): string;
+}
+
+declare type StructuredBareItem = number | string | boolean | Token | Buffer;
+
+declare type StructuredParameters = {[key: string]: StructuredBareItem};
+
+declare class StructuredItem {
+    public constructor(value: StructuredBareItem, parameters?: StructuredParameters);
+    public get value(): StructuredBareItem;
+    public get parameters(): StructuredParameters;
+    public parameter(name: string): StructuredBareItem | null;
+}
+
+declare class StructuredInnerList {
+    public constructor(items: Array<StructuredItem>, parameters?: StructuredParameters);
+    public get items(): Array<StructuredItem>;
+    public get parameters(): StructuredParameters;
+    public parameter(name: string): StructuredBareItem | null;
+}
+
+declare type StructuredList = Array<StructuredItem | StructuredInnerList>;
+
+declare type StructuredDictionary = {[key: string]: StructuredItem | StructuredInnerList};
+
+declare type StructuredFieldValue =
+    StructuredBareItem |
+    StructuredItem |
+    Array<StructuredBareItem | StructuredItem | StructuredInnerList> |
+    {[key: string]: StructuredBareItem | StructuredItem | StructuredInnerList};
+
+declare enum StructuredFieldType {
+    ITEM = "item",
+    LIST = "list",
+    DICTIONARY = "dictionary"
+}
+
+declare class StructuredFieldParseError extends Error {
+    public readonly position: number;
+    public constructor(message: string, position: number);
+}
+
+declare class StructuredFieldParser {
+    public parse(value: string, type: StructuredFieldType.ITEM | "item"): StructuredItem;
+    public parse(value: string, type: StructuredFieldType.LIST | "list"): StructuredList;
+    public parse(value: string, type: StructuredFieldType.DICTIONARY | "dictionary"): StructuredDictionary;
+}
+
+declare class StructuredFieldSerializer {
+    public serialize(value: StructuredFieldValue): string;
+}
+
+declare interface BodyOptions {
+    maxSize?: number;
+}
+
 declare interface MessageInterface {
     readonly protocolVersion: string;
     readonly headers: {[name: string]: Array<string>};
@@ -31,7 +127,19 @@ declare interface MessageInterface {
     withHeader(name: string, value: string | Array<string>): this;
     withAddedHeader(name: string, value: string | Array<string>): this;
     withoutHeader(name: string): this;
+    readonly contentType: MediaType | null;
+    withContentType(mediaType: MediaType): this;
+    structuredHeader(name: string, type: StructuredFieldType.ITEM | "item"): StructuredItem | null;
+    structuredHeader(name: string, type: StructuredFieldType.LIST | "list"): StructuredList | null;
+    structuredHeader(name: string, type: StructuredFieldType.DICTIONARY | "dictionary"): StructuredDictionary | null;
+    withStructuredHeader(name: string, value: StructuredFieldValue): this;
     withBody(body: Readable | Writable): this;
+    readonly bodyUsed: boolean;
+    buffer(options?: BodyOptions): Promise<Buffer>;
+    arrayBuffer(options?: BodyOptions): Promise<ArrayBuffer>;
+    text(options?: BodyOptions): Promise<string>;
+    json(options?: BodyOptions): Promise<any>;
+    formData(options?: BodyOptions & MultipartParserOptions): Promise<MultipartData>;
 }
 
 declare class Message implements MessageInterface {
@@ -45,8 +153,49 @@ declare class Message implements MessageInterface {
     public withHeader(name: string, value: string | Array<string>): this;
     public withAddedHeader(name: string, value: string | Array<string>): this;
     public withoutHeader(name: string): this;
+    public get contentType(): MediaType | null;
+    public withContentType(mediaType: MediaType): this;
+    public structuredHeader(name: string, type: StructuredFieldType.ITEM | "item"): StructuredItem | null;
+    public structuredHeader(name: string, type: StructuredFieldType.LIST | "list"): StructuredList | null;
+    public structuredHeader(
+        name: string,
+        type: StructuredFieldType.DICTIONARY | "dictionary"
+    ): StructuredDictionary | null;
+    public withStructuredHeader(name: string, value: StructuredFieldValue): this;
     public get body(): Readable | Writable;
     public withBody(body: Readable | Writable): this;
+    public get bodyUsed(): boolean;
+    public buffer(options?: BodyOptions): Promise<Buffer>;
+    public arrayBuffer(options?: BodyOptions): Promise<ArrayBuffer>;
+    public text(options?: BodyOptions): Promise<string>;
+    public json(options?: BodyOptions): Promise<any>;
+    public formData(options?: BodyOptions & MultipartParserOptions): Promise<MultipartData>;
+}
+
+declare enum QueryEncoding {
+    RFC3986 = "RFC3986",
+    FORM = "FORM"
+}
+
+declare class QueryString {
+    public parse(query: string): {[name: string]: any};
+    public append(params: {[name: string]: any}, name: string, value: any): void;
+    public parsePairs(query: string): Array<[string, string]>;
+    public stringify(params: {[name: string]: any}, encoding?: QueryEncoding): string;
+    public encode(component: string, encoding?: QueryEncoding): string;
+    public decode(component: string): string;
+}
+
+declare enum HostType {
+    IPV4 = "IPv4",
+    IPV6 = "IPv6",
+    IP_FUTURE = "IPvFuture",
+    REGISTERED_NAME = "RegisteredName"
+}
+
+declare interface UrlComparisonOptions {
+    ignoreFragment?: boolean;
+    ignoreQueryParamOrder?: boolean;
 }
 
 declare interface UrlInterface {
@@ -54,17 +203,29 @@ declare interface UrlInterface {
     readonly authority: string;
     readonly userInfo: string;
     readonly host: string;
+    readonly unicodeHost: string;
+    readonly hostType: HostType | null;
     readonly port: number | null;
     readonly path: string;
     readonly query: string;
+    readonly queryParams: Array<[string, string]>;
     readonly fragment: string;
+    queryParam(name: string): Array<string>;
+    hasQueryParam(name: string): boolean;
     withScheme(scheme: string): Url;
     withUserInfo(user: string, password?: string): Url;
     withHost(host: string): Url;
     withPort(port: number | null): Url;
     withPath(path: string): Url;
     withQuery(query: string): Url;
+    withQueryParam(name: string, value: any, encoding?: QueryEncoding): Url;
+    withAddedQueryParam(name: string, value: any, encoding?: QueryEncoding): Url;
+    withoutQueryParam(name: string): Url;
+    withQueryParams(params: {[name: string]: any}, encoding?: QueryEncoding): Url;
     withFragment(fragment: string): Url;
+    resolve(reference: UrlInterface | string): Url;
+    normalize(): Url;
+    equals(other: UrlInterface, options?: UrlComparisonOptions): boolean;
     toString(): string;
 }
 
@@ -83,9 +244,14 @@ declare class Url implements UrlInterface {
     public get authority(): string;
     public get userInfo(): string;
     public get host(): string;
+    public get unicodeHost(): string;
+    public get hostType(): HostType | null;
     public get port(): number | null;
     public get path(): string;
     public get query(): string;
+    public get queryParams(): Array<[string, string]>;
+    public queryParam(name: string): Array<string>;
+    public hasQueryParam(name: string): boolean;
     public get fragment(): string;
     public withScheme(scheme: string): Url;
     public withUserInfo(user: string, password?: string): Url;
@@ -93,10 +259,22 @@ declare class Url implements UrlInterface {
     public withPort(port: number | null): Url;
     public withPath(path: string): Url;
     public withQuery(query: string): Url;
+    public withQueryParam(name: string, value: any, encoding?: QueryEncoding): Url;
+    public withAddedQueryParam(name: string, value: any, encoding?: QueryEncoding): Url;
+    public withoutQueryParam(name: string): Url;
+    public withQueryParams(params: {[name: string]: any}, encoding?: QueryEncoding): Url;
     public withFragment(fragment: string): Url;
+    public resolve(reference: UrlInterface | string): Url;
+    public normalize(): Url;
+    public equals(other: UrlInterface, options?: UrlComparisonOptions): boolean;
     public toString(): string;
 }
 
+declare class UrlParseError extends TypeError {
+    public readonly position: number;
+    public constructor(message: string, position: number);
+}
+
 declare interface UrlFactoryInterface {
     createUrl(urlString: string): Url;
 }
@@ -106,6 +284,78 @@ declare class UrlFactory implements UrlFactoryInterface {
     public createUrl(urlString: string): Url;
 }
 
+declare enum SameSite {
+    STRICT = "Strict",
+    LAX = "Lax",
+    NONE = "None"
+}
+
+declare class Cookie {
+    public constructor(name: string, value: string);
+    public get name(): string;
+    public get value(): string;
+    public withValue(value: string): this;
+    public toString(): string;
+    protected createCookie(name: string, value: string): Cookie;
+}
+
+declare class SetCookie extends Cookie {
+    public constructor(
+        name: string,
+        value: string,
+        expires?: Date | null,
+        maxAge?: number | null,
+        domain?: string | null,
+        path?: string | null,
+        secure?: boolean,
+        httpOnly?: boolean,
+        sameSite?: SameSite | null,
+        partitioned?: boolean
+    );
+    public get expires(): Date | null;
+    public withExpires(expires: Date | null): SetCookie;
+    public get maxAge(): number | null;
+    public withMaxAge(maxAge: number | null): SetCookie;
+    public get domain(): string | null;
+    public withDomain(domain: string | null): SetCookie;
+    public get path(): string | null;
+    public withPath(path: string | null): SetCookie;
+    public get secure(): boolean;
+    public withSecure(secure?: boolean): SetCookie;
+    public get httpOnly(): boolean;
+    public withHttpOnly(httpOnly?: boolean): SetCookie;
+    public get sameSite(): SameSite | null;
+    public withSameSite(sameSite: SameSite | null): SetCookie;
+    public get partitioned(): boolean;
+    public withPartitioned(partitioned?: boolean): SetCookie;
+}
+
+declare interface CookieFactoryInterface {
+    createCookie(name: string, value: string): Cookie;
+    createCookiesFromHeader(headerValue: string): Array<Cookie>;
+    createSetCookie(name: string, value: string): SetCookie;
+    createSetCookieFromHeader(headerValue: string): SetCookie;
+}
+
+declare class CookieFactory implements CookieFactoryInterface {
+    public createCookie(name: string, value: string): Cookie;
+    public createCookiesFromHeader(headerValue: string): Array<Cookie>;
+    public createSetCookie(name: string, value: string): SetCookie;
+    public createSetCookieFromHeader(headerValue: string): SetCookie;
+}
+
+declare class UriTemplateError extends Error {
+    public readonly position: number;
+    public constructor(message: string, position: number);
+}
+
+declare class UriTemplate {
+    public constructor(template: string, urlFactory: UrlFactoryInterface);
+    public get variableNames(): Array<string>;
+    public expand(variables?: {[name: string]: any}): Url;
+    public toString(): string;
+}
+
 declare enum RequestMethod {
     OPTIONS = "OPTIONS",
     GET = "GET",
@@ -122,9 +372,11 @@ declare interface RequestInterface extends MessageInterface {
     readonly method: RequestMethod;
     readonly url: Url;
     readonly target: string;
-    withMethod(method: RequestMethod): Request;
-    withUrl(url: Url, preserveHost?: boolean): Request;
-    withTarget(target: string): Request;
+    readonly cookies: Array<Cookie>;
+    withMethod(method: RequestMethod): this;
+    withUrl(url: Url, preserveHost?: boolean): this;
+    withTarget(target: string): this;
+    withCookie(cookie: Cookie): this;
 }
 
 declare class Request extends Message implements RequestInterface {
@@ -138,11 +390,59 @@ declare class Request extends Message implements RequestInterface {
         shouldAddHostHeader?: boolean
     );
     public get method(): RequestMethod;
-    public withMethod(method: RequestMethod): Request;
+    public withMethod(method: RequestMethod): this;
     public get url(): Url;
-    public withUrl(url: Url, preserveHost?: boolean): Request;
+    public withUrl(url: Url, preserveHost?: boolean): this;
     public get target(): string;
-    public withTarget(target: string): Request;
+    public withTarget(target: string): this;
+    public get cookies(): Array<Cookie>;
+    public withCookie(cookie: Cookie): this;
+}
+
+declare interface ServerRequestInterface extends RequestInterface {
+    readonly serverParams: {[name: string]: any};
+    readonly cookieParams: {[name: string]: string};
+    readonly queryParams: {[name: string]: any};
+    readonly uploadedFiles: {[name: string]: any};
+    readonly parsedBody: {[name: string]: any} | Array<any> | null;
+    readonly attributes: {[name: string]: any};
+    withCookieParams(cookies: {[name: string]: string}): this;
+    withQueryParams(query: {[name: string]: any}): this;
+    withUploadedFiles(uploadedFiles: {[name: string]: any}): this;
+    withParsedBody(data: {[name: string]: any} | Array<any> | null): this;
+    attribute(name: string, defaultValue?: any): any;
+    withAttribute(name: string, value: any): this;
+    withoutAttribute(name: string): this;
+}
+
+declare class ServerRequest extends Request implements ServerRequestInterface {
+    public constructor(
+        method: RequestMethod,
+        url: UrlInterface,
+        protocolVersion: string,
+        headers: HeaderCollection,
+        body: Readable,
+        serverParams?: {[name: string]: any},
+        cookieParams?: {[name: string]: string},
+        queryParams?: {[name: string]: any},
+        uploadedFiles?: {[name: string]: any},
+        parsedBody?: {[name: string]: any} | Array<any> | null,
+        attributes?: {[name: string]: any},
+        target?: string
+    );
+    public get serverParams(): {[name: string]: any};
+    public get cookieParams(): {[name: string]: string};
+    public withCookieParams(cookies: {[name: string]: string}): this;
+    public get queryParams(): {[name: string]: any};
+    public withQueryParams(query: {[name: string]: any}): this;
+    public get uploadedFiles(): {[name: string]: any};
+    public withUploadedFiles(uploadedFiles: {[name: string]: any}): this;
+    public get parsedBody(): {[name: string]: any} | Array<any> | null;
+    public withParsedBody(data: {[name: string]: any} | Array<any> | null): this;
+    public get attributes(): {[name: string]: any};
+    public attribute(name: string, defaultValue?: any): any;
+    public withAttribute(name: string, value: any): this;
+    public withoutAttribute(name: string): this;
 }
 
 declare interface RequestFactoryInterface {
@@ -154,6 +454,16 @@ declare class RequestFactory implements RequestFactoryInterface {
     public createRequest(method: RequestMethod, url: Url | string): Request;
 }
 
+declare interface ServerRequestFactoryInterface {
+    createServerRequest(method: RequestMethod, url: Url | string, serverParams?: {[name: string]: any}): ServerRequest;
+}
+
+declare class ServerRequestFactory implements ServerRequestFactoryInterface {
+    constructor(urlFactory: UrlFactoryInterface);
+    public createServerRequest(method: RequestMethod, url: Url | string, serverParams?: {[name: string]: any}): ServerRequest;
+    public fromIncomingMessage(incomingMessage: IncomingMessage): ServerRequest;
+}
+
 declare enum ResponseStatus {
     CONTINUE = 100,
     SWITCHING_PROTOCOLS = 101,
@@ -223,7 +533,9 @@ declare enum ResponseStatus {
 declare interface ResponseInterface extends MessageInterface {
     readonly statusCode: ResponseStatus;
     readonly reasonPhrase: string;
+    readonly cookies: Array<SetCookie>;
     withStatus(code: ResponseStatus, reasonPhrase?: string): Response;
+    withCookie(cookie: SetCookie): Response;
 }
 
 declare class Response extends Message implements ResponseInterface {
@@ -237,48 +549,357 @@ declare class Response extends Message implements ResponseInterface {
     public get statusCode(): ResponseStatus;
     public get reasonPhrase(): string;
     public withStatus(code: ResponseStatus, reasonPhrase?: string): Response;
+    public get cookies(): Array<SetCookie>;
+    public withCookie(cookie: SetCookie): Response;
+}
+
+declare class ResponseEmitter {
+    public emit(response: ResponseInterface, serverResponse: ServerResponse, request?: RequestInterface): Promise<void>;
+}
+
+declare enum UploadError {
+    OK = 0,
+    FILE_TOO_LARGE = 1,
+    NO_FILE = 2,
+    CANT_WRITE = 3
+}
+
+declare interface UploadedFileInterface {
+    readonly stream: Readable;
+    readonly size: number | null;
+    readonly error: UploadError;
+    readonly clientFilename: string | null;
+    readonly clientMediaType: string | null;
+    moveTo(targetPath: string): Promise<void>;
+}
+
+declare class UploadedFile implements UploadedFileInterface {
+    public constructor(
+        source: string | Buffer | null,
+        size: number | null,
+        error?: UploadError,
+        clientFilename?: string | null,
+        clientMediaType?: string | null
+    );
+    public get stream(): Readable;
+    public moveTo(targetPath: string): Promise<void>;
+    public get size(): number | null;
+    public get error(): UploadError;
+    public get clientFilename(): string | null;
+    public get clientMediaType(): string | null;
+}
+
+declare class MultipartError extends Error {
+    public constructor(message: string);
+}
+
+declare interface MultipartParserOptions {
+    maxFiles?: number;
+    maxFileSize?: number;
+    maxFieldSize?: number;
+    maxHeaderSize?: number;
+    memoryLimit?: number;
+    temporaryDirectory?: string;
+}
+
+declare interface MultipartData {
+    fields: {[name: string]: any};
+    files: {[name: string]: any};
+}
+
+declare class MultipartParser {
+    public constructor(options?: MultipartParserOptions);
+    public parse(message: MessageInterface): Promise<MultipartData>;
+}
+
+declare class Negotiator {
+    public constructor(request: RequestInterface);
+    public mediaType(available: Array<string>): string | null;
+    public mediaTypes(available: Array<string>): Array<string>;
+    public language(available: Array<string>): string | null;
+    public languages(available: Array<string>): Array<string>;
+    public lookupLanguage(available: Array<string>, defaultValue?: string | null): string | null;
+    public charset(available: Array<string>): string | null;
+    public charsets(available: Array<string>): Array<string>;
+    public encoding(available: Array<string>): string | null;
+    public encodings(available: Array<string>): Array<string>;
+}
+
+declare interface RequestHandlerInterface {
+    handle(request: RequestInterface): Promise<ResponseInterface>;
+}
+
+declare interface MiddlewareInterface {
+    process(request: RequestInterface, handler: RequestHandlerInterface): Promise<ResponseInterface>;
+}
+
+declare class MiddlewarePipeline implements RequestHandlerInterface {
+    public constructor(fallbackHandler: RequestHandlerInterface, middleware?: Array<MiddlewareInterface>);
+    public withMiddleware(middleware: MiddlewareInterface): MiddlewarePipeline;
+    public handle(request: RequestInterface): Promise<ResponseInterface>;
 }
 
 declare interface ResponseFactoryInterface {
     createResponse(statusCode: ResponseStatus, reasonPhrase?: string): Response;
+    createJsonResponse(data: any, statusCode?: ResponseStatus): Response;
+    createHtmlResponse(html: string, statusCode?: ResponseStatus): Response;
+    createTextResponse(text: string, statusCode?: ResponseStatus): Response;
+    createRedirectResponse(url: Url | string, statusCode?: ResponseStatus): Response;
+    createEmptyResponse(statusCode?: ResponseStatus): Response;
 }
 
 declare class ResponseFactory implements ResponseFactoryInterface {
     public constructor(streamFactory: StreamFactoryInterface);
     public createResponse(statusCode: ResponseStatus, reasonPhrase?: string): Response;
+    public createJsonResponse(data: any, statusCode?: ResponseStatus): Response;
+    public createHtmlResponse(html: string, statusCode?: ResponseStatus): Response;
+    public createTextResponse(text: string, statusCode?: ResponseStatus): Response;
+    public createRedirectResponse(url: Url | string, statusCode?: ResponseStatus): Response;
+    public createEmptyResponse(statusCode?: ResponseStatus): Response;
+}
+
+declare class BufferStream extends Duplex {
+    public constructor(content?: Buffer | Uint8Array | string);
+    public get size(): number;
+    public seek(position: number): BufferStream;
+    public rewind(): BufferStream;
+    public toString(encoding?: BufferEncoding): string;
+    protected createStream(content: Buffer): BufferStream;
 }
 
-declare class StringStream extends Duplex {
+/**
+ * @deprecated Use BufferStream.
+ */
+declare class StringStream extends BufferStream {
     public constructor(content?: string);
 }
 
+declare class FileStream extends Duplex {
+    public constructor(path: string, mode?: string);
+    public get size(): number | null;
+    public open(): Promise<FileStream>;
+}
+
+declare interface WebReadableStreamReader<T> {
+    read(): Promise<{done: boolean, value?: T}>;
+    cancel(reason?: any): Promise<void>;
+    releaseLock(): void;
+}
+
+declare interface WebReadableStream<T = Uint8Array> {
+    getReader(): WebReadableStreamReader<T>;
+    cancel(reason?: any): Promise<void>;
+}
+
 declare interface StreamFactoryInterface {
-    createStream(content: string): Duplex;
+    createStream(content: string | Buffer | Uint8Array): Duplex;
+    createStreamFromFile(path: string, mode?: string): Readable | Writable;
+    createStreamFromBuffer(buffer: Buffer | Uint8Array): Duplex;
+    createStreamFromIterable(iterable: AsyncIterable<string | Buffer> | Iterable<string | Buffer>): Readable;
+    createStreamFromWebStream(webStream: WebReadableStream<Uint8Array>): Readable;
+    createWebStream(stream: Readable): WebReadableStream<Uint8Array>;
 }
 
 declare class StreamFactory implements StreamFactoryInterface {
-    public createStream(content: string): Duplex;
+    public createStream(content: string | Buffer | Uint8Array): BufferStream;
+    public createStreamFromFile(path: string, mode?: string): FileStream;
+    public createStreamFromBuffer(buffer: Buffer | Uint8Array): BufferStream;
+    public createStreamFromIterable(iterable: AsyncIterable<string | Buffer> | Iterable<string | Buffer>): Readable;
+    public createStreamFromWebStream(webStream: WebReadableStream<Uint8Array>): Readable;
+    public createWebStream(stream: Readable): WebReadableStream<Uint8Array>;
+}
+
+declare class CurlConverter {
+    public constructor(streamFactory: StreamFactoryInterface, urlFactory: UrlFactoryInterface);
+    public toCurl(request: RequestInterface): Promise<string>;
+    public fromCurl(commandLine: string): Request;
+}
+
+declare interface FetchHeaders extends Iterable<[string, string]> {
+    append(name: string, value: string): void;
+    delete(name: string): void;
+    get(name: string): string | null;
+    has(name: string): boolean;
+    set(name: string, value: string): void;
+}
+
+declare interface FetchRequest {
+    readonly method: string;
+    readonly url: string;
+    readonly headers: FetchHeaders;
+    readonly body: WebReadableStream<Uint8Array> | null;
+}
+
+declare interface FetchResponse {
+    readonly status: number;
+    readonly statusText: string;
+    readonly headers: FetchHeaders;
+    readonly body: WebReadableStream<Uint8Array> | null;
+}
+
+declare interface HarTimings {
+    blocked?: number;
+    dns?: number;
+    connect?: number;
+    send?: number;
+    wait?: number;
+    receive?: number;
+    ssl?: number;
+}
+
+declare interface HarExchange {
+    request: RequestInterface;
+    response: ResponseInterface;
+    startedDateTime?: Date;
+    timings?: HarTimings;
+}
+
+declare interface HarLog {
+    log: {
+        version: string;
+        creator: {name: string, version: string};
+        entries: Array<{[key: string]: any}>;
+    };
+}
+
+declare class HarConverter {
+    public constructor(
+        streamFactory: StreamFactoryInterface,
+        urlFactory: UrlFactoryInterface,
+        cookieFactory: CookieFactoryInterface
+    );
+    public toHar(exchanges: Array<HarExchange>): Promise<HarLog>;
+    public fromHar(
+        har: string | HarLog
+    ): Array<{request: Request, response: Response, startedDateTime: Date, time: number, timings: HarTimings}>;
+}
+
+declare class MessageParseError extends Error {
+    public readonly position: number;
+    public constructor(message: string, position: number);
+}
+
+declare class MessageLimitError extends MessageParseError {
+    public readonly limit: number;
+    public constructor(message: string, position: number, limit: number);
+}
+
+declare interface MessageParserOptions {
+    maxHeaderSize?: number;
+    maxHeaderCount?: number;
+}
+
+declare type MessageParserInput =
+    Buffer | Uint8Array | string | Readable | AsyncIterable<Buffer | string> | Iterable<Buffer | string>;
+
+declare class MessageParser {
+    public constructor(urlFactory: UrlFactoryInterface, options?: MessageParserOptions);
+    public parse(input: MessageParserInput): Promise<Request | Response>;
+    public parseAll(input: MessageParserInput): AsyncIterable<Request | Response>;
+}
+
+declare interface MessageSerializerOptions {
+    chunked?: boolean;
+}
+
+declare class MessageSerializer {
+    public serialize(message: RequestInterface | ResponseInterface, options?: MessageSerializerOptions): Promise<Buffer>;
+    public toStream(message: RequestInterface | ResponseInterface, options?: MessageSerializerOptions): Readable;
+}
+
+declare class FetchConverter {
+    public constructor(streamFactory: StreamFactoryInterface, urlFactory: UrlFactoryInterface);
+    public toFetchRequest(request: RequestInterface): FetchRequest;
+    public fromFetchRequest(fetchRequest: FetchRequest): Request;
+    public toFetchResponse(response: ResponseInterface): FetchResponse;
+    public fromFetchResponse(fetchResponse: FetchResponse): Response;
 }
 
 export {
+    BodyOptions,
+    BufferStream,
+    Cookie,
+    CookieFactory,
+    CookieFactoryInterface,
+    CurlConverter,
+    FetchConverter,
+    FetchHeaders,
+    FetchRequest,
+    FetchResponse,
+    FileStream,
+    HarConverter,
+    HarExchange,
+    HarLog,
+    HarTimings,
     HeaderCollection,
+    HostType,
+    HttpClient,
+    HttpClientInterface,
+    MediaType,
+    MediaTypeFactory,
+    MediaTypeFactoryInterface,
     Message,
     MessageInterface,
+    MessageLimitError,
+    MessageParseError,
+    MessageParser,
+    MessageParserInput,
+    MessageParserOptions,
+    MessageSerializer,
+    MessageSerializerOptions,
+    MiddlewareInterface,
+    MiddlewarePipeline,
+    MultipartData,
+    MultipartError,
+    MultipartParser,
+    MultipartParserOptions,
+    Negotiator,
+    QueryEncoding,
+    QueryString,
     Request,
     RequestFactory,
     RequestFactoryInterface,
+    RequestHandlerInterface,
     RequestInterface,
     RequestMethod,
     Response,
+    ResponseEmitter,
     ResponseFactory,
     ResponseFactoryInterface,
     ResponseInterface,
     ResponseStatus,
+    SameSite,
+    ServerRequest,
+    ServerRequestFactory,
+    ServerRequestFactoryInterface,
+    ServerRequestInterface,
+    SetCookie,
     StreamFactory,
     StreamFactoryInterface,
     StringStream,
+    StructuredBareItem,
+    StructuredDictionary,
+    StructuredFieldParseError,
+    StructuredFieldParser,
+    StructuredFieldSerializer,
+    StructuredFieldType,
+    StructuredFieldValue,
+    StructuredInnerList,
+    StructuredItem,
+    StructuredList,
+    StructuredParameters,
+    Token,
+    UploadError,
+    UploadedFile,
+    UploadedFileInterface,
+    UriTemplate,
+    UriTemplateError,
     Url,
+    UrlComparisonOptions,
     UrlFactory,
     UrlFactoryInterface,
-    UrlInterface
+    UrlInterface,
+    UrlParseError,
+    WebReadableStream,
+    WebReadableStreamReader
 };
@@ -5,15 +5,53 @@
  * file that was distributed with this source code.
  */
 
+export { default as BufferStream } from "./lib/BufferStream.js";
+export { default as Cookie } from "./lib/Cookie.js";
+export { default as CookieFactory } from "./lib/CookieFactory.js";
+export { default as CurlConverter } from "./lib/CurlConverter.js";
+export { default as FetchConverter } from "./lib/FetchConverter.js";
+export { default as FileStream } from "./lib/FileStream.js";
+export { default as HarConverter } from "./lib/HarConverter.js";
 export { default as HeaderCollection } from "./lib/HeaderCollection.js";
+export { default as HostType } from "./lib/HostType.js";
+export { default as HttpClient } from "./lib/HttpClient.js";
+export { default as MediaType } from "./lib/MediaType.js";
+export { default as MediaTypeFactory } from "./lib/MediaTypeFactory.js";
 export { default as Message } from "./lib/Message.js";
+export { default as MessageLimitError } from "./lib/MessageLimitError.js";
+export { default as MessageParseError } from "./lib/MessageParseError.js";
+export { default as MessageParser } from "./lib/MessageParser.js";
+export { default as MessageSerializer } from "./lib/MessageSerializer.js";
+export { default as MiddlewarePipeline } from "./lib/MiddlewarePipeline.js";
+export { default as MultipartError } from "./lib/MultipartError.js";
+export { default as MultipartParser } from "./lib/MultipartParser.js";
+export { default as Negotiator } from "./lib/Negotiator.js";
+export { default as QueryEncoding } from "./lib/QueryEncoding.js";
+export { default as QueryString } from "./lib/QueryString.js";
 export { default as Request } from "./lib/Request.js";
 export { default as RequestFactory } from "./lib/RequestFactory.js";
 export { default as RequestMethod } from "./lib/RequestMethod.js";
 export { default as Response } from "./lib/Response.js";
+export { default as ResponseEmitter } from "./lib/ResponseEmitter.js";
 export { default as ResponseFactory } from "./lib/ResponseFactory.js";
 export { default as ResponseStatus, reasonPhrases } from "./lib/ResponseStatus.js";
+export { default as SameSite } from "./lib/SameSite.js";
+export { default as ServerRequest } from "./lib/ServerRequest.js";
+export { default as ServerRequestFactory } from "./lib/ServerRequestFactory.js";
+export { default as SetCookie } from "./lib/SetCookie.js";
 export { default as StreamFactory } from "./lib/StreamFactory.js";
 export { default as StringStream } from "./lib/StringStream.js";
+export { default as StructuredFieldParseError } from "./lib/StructuredFieldParseError.js";
+export { default as StructuredFieldParser } from "./lib/StructuredFieldParser.js";
+export { default as StructuredFieldSerializer } from "./lib/StructuredFieldSerializer.js";
+export { default as StructuredFieldType } from "./lib/StructuredFieldType.js";
+export { default as StructuredInnerList } from "./lib/StructuredInnerList.js";
+export { default as StructuredItem } from "./lib/StructuredItem.js";
+export { default as Token } from "./lib/Token.js";
+export { default as UploadError } from "./lib/UploadError.js";
+export { default as UploadedFile } from "./lib/UploadedFile.js";
+export { default as UriTemplate } from "./lib/UriTemplate.js";
+export { default as UriTemplateError } from "./lib/UriTemplateError.js";
 export { default as Url } from "./lib/Url.js";
 export { default as UrlFactory } from "./lib/UrlFactory.js";
+export { default as UrlParseError } from "./lib/UrlParseError.js";
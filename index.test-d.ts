@@ -7,28 +7,84 @@
 
 import { expectAssignable, expectType } from "tsd";
 import { Duplex, Writable, Readable } from "stream";
+import { Agent, IncomingMessage, ServerResponse } from "http";
+import { Socket } from "net";
 
 import {
+    BufferStream,
+    Cookie,
+    CookieFactory,
+    CookieFactoryInterface,
+    CurlConverter,
+    FetchConverter,
+    FetchRequest,
+    FetchResponse,
+    FileStream,
+    HarConverter,
+    HarLog,
+    HarTimings,
     HeaderCollection,
+    HostType,
+    HttpClient,
+    HttpClientInterface,
+    MediaType,
+    MediaTypeFactory,
+    MediaTypeFactoryInterface,
     Message,
     MessageInterface,
+    MessageLimitError,
+    MessageParseError,
+    MessageParser,
+    MessageSerializer,
+    MiddlewareInterface,
+    MiddlewarePipeline,
+    MultipartData,
+    MultipartError,
+    MultipartParser,
+    Negotiator,
+    QueryEncoding,
+    QueryString,
     Request,
     RequestFactory,
     RequestFactoryInterface,
+    RequestHandlerInterface,
     RequestInterface,
     RequestMethod,
     Response,
+    ResponseEmitter,
     ResponseFactory,
     ResponseFactoryInterface,
     ResponseInterface,
     ResponseStatus,
+    SameSite,
+    ServerRequest,
+    ServerRequestFactory,
+    ServerRequestFactoryInterface,
+    ServerRequestInterface,
+    SetCookie,
     StreamFactory,
     StreamFactoryInterface,
     StringStream,
+    StructuredDictionary,
+    StructuredFieldParseError,
+    StructuredFieldParser,
+    StructuredFieldSerializer,
+    StructuredFieldType,
+    StructuredInnerList,
+    StructuredItem,
+    StructuredList,
+    Token,
+    UploadError,
+    UploadedFile,
+    UploadedFileInterface,
+    UriTemplate,
+    UriTemplateError,
     Url,
     UrlFactory,
     UrlFactoryInterface,
-    UrlInterface
+    UrlInterface,
+    UrlParseError,
+    WebReadableStream
 } from ".";
 
 /*
@@ -75,8 +131,21 @@ expectType<Message>(message.withHeader("Accept", ["text/plain", "text/xml"]));
 expectType<Message>(message.withAddedHeader("Accept", "text/plain"));
 expectType<Message>(message.withAddedHeader("Accept", ["text/plain", "text/xml"]));
 expectType<Message>(message.withoutHeader("Content-Type"));
+expectType<MediaType | null>(message.contentType);
+expectType<Message>(message.withContentType(new MediaType("text", "plain")));
+expectType<StructuredItem | null>(message.structuredHeader("Content-Type", StructuredFieldType.ITEM));
+expectType<StructuredList | null>(message.structuredHeader("Content-Type", "list"));
+expectType<StructuredDictionary | null>(message.structuredHeader("Content-Type", "dictionary"));
+expectType<Message>(message.withStructuredHeader("Priority", {u: 1, i: true}));
 expectType<Readable | Writable>(message.body);
 expectType<Message>(message.withBody(new Duplex()));
+expectType<boolean>(message.bodyUsed);
+expectType<Promise<Buffer>>(message.buffer());
+expectType<Promise<Buffer>>(message.buffer({maxSize: 1024}));
+expectType<Promise<ArrayBuffer>>(message.arrayBuffer({maxSize: 1024}));
+expectType<Promise<string>>(message.text({maxSize: 1024}));
+expectType<Promise<any>>(message.json({maxSize: 1024}));
+expectType<Promise<MultipartData>>(message.formData({maxSize: 1024, maxFiles: 1}));
 
 /*
 |--------------------------------------------------------------------------
@@ -101,6 +170,8 @@ expectType<string>(url.scheme);
 expectType<string>(url.authority);
 expectType<string>(url.userInfo);
 expectType<string>(url.host);
+expectType<string>(url.unicodeHost);
+expectType<HostType | null>(url.hostType);
 expectType<number | null>(url.port);
 expectType<string>(url.path);
 expectType<string>(url.query);
@@ -113,7 +184,22 @@ expectType<Url>(url.withPort(8080));
 expectType<Url>(url.withPort(null));
 expectType<Url>(url.withPath("/"));
 expectType<Url>(url.withQuery("key=value"));
+expectType<Array<[string, string]>>(url.queryParams);
+expectType<Array<string>>(url.queryParam("key"));
+expectType<boolean>(url.hasQueryParam("key"));
+expectType<Url>(url.withQueryParam("key", "value"));
+expectType<Url>(url.withQueryParam("key", ["one", "two"], QueryEncoding.FORM));
+expectType<Url>(url.withAddedQueryParam("key", "value"));
+expectType<Url>(url.withAddedQueryParam("key", {nested: "value"}, QueryEncoding.RFC3986));
+expectType<Url>(url.withoutQueryParam("key"));
+expectType<Url>(url.withQueryParams({key: "value"}));
+expectType<Url>(url.withQueryParams({key: ["value"]}, QueryEncoding.FORM));
 expectType<Url>(url.withFragment("fragment"));
+expectType<Url>(url.resolve("../path?key=value#fragment"));
+expectType<Url>(url.resolve(new Url()));
+expectType<Url>(url.normalize());
+expectType<boolean>(url.equals(new Url()));
+expectType<boolean>(url.equals(new Url(), {ignoreFragment: true, ignoreQueryParamOrder: true}));
 expectType<string>(url.toString());
 console.log(`${url}`);
 console.log("url: " + url);
@@ -130,6 +216,8 @@ console.log("url: " + url);
 const urlFactory = new UrlFactory();
 expectAssignable<UrlFactoryInterface>(urlFactory);
 expectType<Url>(urlFactory.createUrl(""));
+expectAssignable<TypeError>(new UrlParseError("message", 0));
+expectType<number>(new UrlParseError("message", 0).position);
 
 /*
 |--------------------------------------------------------------------------
@@ -156,6 +244,39 @@ expectType<Url>(request.url);
 expectType<Request>(request.withUrl(new Url()));
 expectType<string>(request.target);
 expectType<Request>(request.withTarget("*"));
+expectType<Array<Cookie>>(request.cookies);
+expectType<Request>(request.withCookie(new Cookie("name", "value")));
+
+/*
+|--------------------------------------------------------------------------
+| ServerRequest
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the server request.
+|
+*/
+
+const serverRequest = new ServerRequest(RequestMethod.GET, new Url(), "1.1", new HeaderCollection(), new Duplex());
+new ServerRequest(RequestMethod.GET, new Url(), "1.1", new HeaderCollection(), new Duplex(), {}, {}, {}, {}, null, {}, "/");
+expectAssignable<ServerRequestInterface>(serverRequest);
+expectAssignable<RequestInterface>(serverRequest);
+expectType<ServerRequest>(serverRequest.withMethod(RequestMethod.POST));
+expectType<ServerRequest>(serverRequest.withHeader("Content-Type", "application/json"));
+expectType<{[name: string]: any}>(serverRequest.serverParams);
+expectType<{[name: string]: string}>(serverRequest.cookieParams);
+expectType<ServerRequest>(serverRequest.withCookieParams({key: "value"}));
+expectType<{[name: string]: any}>(serverRequest.queryParams);
+expectType<ServerRequest>(serverRequest.withQueryParams({key: "value"}));
+expectType<{[name: string]: any}>(serverRequest.uploadedFiles);
+expectType<ServerRequest>(serverRequest.withUploadedFiles({}));
+expectType<{[name: string]: any} | Array<any> | null>(serverRequest.parsedBody);
+expectType<ServerRequest>(serverRequest.withParsedBody({key: "value"}));
+expectType<ServerRequest>(serverRequest.withParsedBody(null));
+expectType<{[name: string]: any}>(serverRequest.attributes);
+expectType<any>(serverRequest.attribute("key"));
+expectType<any>(serverRequest.attribute("key", "default"));
+expectType<ServerRequest>(serverRequest.withAttribute("key", "value"));
+expectType<ServerRequest>(serverRequest.withoutAttribute("key"));
 
 /*
 |--------------------------------------------------------------------------
@@ -171,6 +292,21 @@ expectAssignable<RequestFactoryInterface>(requestFactory);
 expectType<Request>(requestFactory.createRequest(RequestMethod.GET, new Url()));
 expectType<Request>(requestFactory.createRequest(RequestMethod.GET, ""));
 
+/*
+|--------------------------------------------------------------------------
+| ServerRequestFactory
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the server request factory.
+|
+*/
+
+const serverRequestFactory = new ServerRequestFactory(new UrlFactory());
+expectAssignable<ServerRequestFactoryInterface>(serverRequestFactory);
+expectType<ServerRequest>(serverRequestFactory.createServerRequest(RequestMethod.GET, new Url()));
+expectType<ServerRequest>(serverRequestFactory.createServerRequest(RequestMethod.GET, "", {}));
+expectType<ServerRequest>(serverRequestFactory.fromIncomingMessage(new IncomingMessage(new Socket())));
+
 /*
 |--------------------------------------------------------------------------
 | Response
@@ -193,6 +329,22 @@ expectType<ResponseStatus>(response.statusCode);
 expectType<string>(response.reasonPhrase);
 expectType<Response>(response.withStatus(ResponseStatus.OK, "OK"));
 expectType<Response>(response.withStatus(ResponseStatus.NOT_FOUND));
+expectType<Array<SetCookie>>(response.cookies);
+expectType<Response>(response.withCookie(new SetCookie("name", "value")));
+
+/*
+|--------------------------------------------------------------------------
+| ResponseEmitter
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the response emitter.
+|
+*/
+
+const responseEmitter = new ResponseEmitter();
+const serverResponse = new ServerResponse(new IncomingMessage(new Socket()));
+expectType<Promise<void>>(responseEmitter.emit(response, serverResponse));
+expectType<Promise<void>>(responseEmitter.emit(response, serverResponse, request));
 
 /*
 |--------------------------------------------------------------------------
@@ -207,6 +359,13 @@ const responseFactory = new ResponseFactory(new StreamFactory());
 expectAssignable<ResponseFactoryInterface>(responseFactory);
 expectType<Response>(responseFactory.createResponse(ResponseStatus.OK, ""));
 expectType<Response>(responseFactory.createResponse(ResponseStatus.OK));
+expectType<Response>(responseFactory.createJsonResponse({key: "value"}));
+expectType<Response>(responseFactory.createJsonResponse([], ResponseStatus.CREATED));
+expectType<Response>(responseFactory.createHtmlResponse("<p></p>", ResponseStatus.NOT_FOUND));
+expectType<Response>(responseFactory.createTextResponse("text"));
+expectType<Response>(responseFactory.createRedirectResponse(new Url("https", undefined, undefined, "example.com")));
+expectType<Response>(responseFactory.createRedirectResponse("/path", ResponseStatus.SEE_OTHER));
+expectType<Response>(responseFactory.createEmptyResponse());
 
 /*
 |--------------------------------------------------------------------------
@@ -219,7 +378,18 @@ expectType<Response>(responseFactory.createResponse(ResponseStatus.OK));
 
 const streamFactory = new StreamFactory();
 expectAssignable<StreamFactoryInterface>(streamFactory);
-expectType<Duplex>(streamFactory.createStream(""));
+expectType<BufferStream>(streamFactory.createStream(""));
+expectType<BufferStream>(streamFactory.createStream(Buffer.from("")));
+expectType<FileStream>(streamFactory.createStreamFromFile("report.csv"));
+expectType<FileStream>(streamFactory.createStreamFromFile("report.csv", "w"));
+expectType<BufferStream>(streamFactory.createStreamFromBuffer(Buffer.from("")));
+expectType<Readable>(streamFactory.createStreamFromIterable(["content", Buffer.from("")]));
+expectType<Readable>(streamFactory.createStreamFromIterable((async function* () { yield "content"; })()));
+const webStream = streamFactory.createWebStream(new Readable());
+expectType<WebReadableStream<Uint8Array>>(webStream);
+expectType<Readable>(streamFactory.createStreamFromWebStream(webStream));
+expectType<number | null>(new FileStream("report.csv").size);
+expectType<Promise<FileStream>>(new FileStream("report.csv").open());
 
 /*
 |--------------------------------------------------------------------------
@@ -230,6 +400,349 @@ expectType<Duplex>(streamFactory.createStream(""));
 |
 */
 
-const stream = new StringStream("");
-new StringStream();
+const stream = new BufferStream(Buffer.from(""));
+new BufferStream("");
+new BufferStream();
 expectAssignable<Duplex>(stream);
+expectType<number>(stream.size);
+expectType<BufferStream>(stream.seek(0));
+expectType<BufferStream>(stream.rewind());
+expectType<string>(stream.toString());
+expectType<string>(stream.toString("base64"));
+expectAssignable<BufferStream>(new StringStream(""));
+new StringStream();
+
+/*
+|--------------------------------------------------------------------------
+| HttpClient
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the HTTP client.
+|
+*/
+
+const httpClient = new HttpClient(new ResponseFactory(new StreamFactory()));
+new HttpClient(new ResponseFactory(new StreamFactory()), {agent: new Agent()});
+expectAssignable<HttpClientInterface>(httpClient);
+expectType<Promise<Response>>(httpClient.sendRequest(request));
+
+/*
+|--------------------------------------------------------------------------
+| MiddlewarePipeline
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the middleware pipeline.
+|
+*/
+
+const requestHandler: RequestHandlerInterface = {handle: async () => response};
+const middleware: MiddlewareInterface = {process: async (request, handler) => handler.handle(request)};
+const middlewarePipeline = new MiddlewarePipeline(requestHandler);
+new MiddlewarePipeline(requestHandler, [middleware]);
+expectAssignable<RequestHandlerInterface>(middlewarePipeline);
+expectType<MiddlewarePipeline>(middlewarePipeline.withMiddleware(middleware));
+expectType<Promise<ResponseInterface>>(middlewarePipeline.handle(request));
+
+/*
+|--------------------------------------------------------------------------
+| UploadedFile
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the uploaded file.
+|
+*/
+
+const uploadedFile = new UploadedFile(Buffer.from(""), 0);
+new UploadedFile("/tmp/upload", 0, UploadError.OK, "file.txt", "text/plain");
+new UploadedFile(null, null, UploadError.NO_FILE);
+expectAssignable<UploadedFileInterface>(uploadedFile);
+expectType<Readable>(uploadedFile.stream);
+expectType<Promise<void>>(uploadedFile.moveTo("/tmp/file.txt"));
+expectType<number | null>(uploadedFile.size);
+expectType<UploadError>(uploadedFile.error);
+expectType<string | null>(uploadedFile.clientFilename);
+expectType<string | null>(uploadedFile.clientMediaType);
+
+/*
+|--------------------------------------------------------------------------
+| MultipartParser
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the multipart parser.
+|
+*/
+
+const multipartParser = new MultipartParser();
+new MultipartParser({maxFiles: 1, maxFileSize: 1024, memoryLimit: 512, temporaryDirectory: "/tmp"});
+expectType<Promise<MultipartData>>(multipartParser.parse(request));
+expectAssignable<Error>(new MultipartError("message"));
+
+/*
+|--------------------------------------------------------------------------
+| Cookie
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the cookies.
+|
+*/
+
+const cookie = new Cookie("name", "value");
+expectType<string>(cookie.name);
+expectType<string>(cookie.value);
+expectType<Cookie>(cookie.withValue("value"));
+expectType<string>(cookie.toString());
+
+const setCookie = new SetCookie("name", "value");
+new SetCookie("name", "value", new Date(), 60, "example.com", "/", true, true, SameSite.LAX, true);
+expectAssignable<Cookie>(setCookie);
+expectType<SetCookie>(setCookie.withValue("value"));
+expectType<Date | null>(setCookie.expires);
+expectType<SetCookie>(setCookie.withExpires(new Date()));
+expectType<number | null>(setCookie.maxAge);
+expectType<SetCookie>(setCookie.withMaxAge(60));
+expectType<string | null>(setCookie.domain);
+expectType<SetCookie>(setCookie.withDomain("example.com"));
+expectType<string | null>(setCookie.path);
+expectType<SetCookie>(setCookie.withPath("/"));
+expectType<boolean>(setCookie.secure);
+expectType<SetCookie>(setCookie.withSecure());
+expectType<boolean>(setCookie.httpOnly);
+expectType<SetCookie>(setCookie.withHttpOnly(false));
+expectType<SameSite | null>(setCookie.sameSite);
+expectType<SetCookie>(setCookie.withSameSite(SameSite.STRICT));
+expectType<boolean>(setCookie.partitioned);
+expectType<SetCookie>(setCookie.withPartitioned());
+
+/*
+|--------------------------------------------------------------------------
+| CookieFactory
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the cookie factory.
+|
+*/
+
+const cookieFactory = new CookieFactory();
+expectAssignable<CookieFactoryInterface>(cookieFactory);
+expectType<Cookie>(cookieFactory.createCookie("name", "value"));
+expectType<Array<Cookie>>(cookieFactory.createCookiesFromHeader("name=value"));
+expectType<SetCookie>(cookieFactory.createSetCookie("name", "value"));
+expectType<SetCookie>(cookieFactory.createSetCookieFromHeader("name=value; Path=/"));
+
+/*
+|--------------------------------------------------------------------------
+| QueryString
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the query string.
+|
+*/
+
+const queryString = new QueryString();
+expectType<{[name: string]: any}>(queryString.parse("key=value"));
+expectType<void>(queryString.append({}, "key[]", "value"));
+expectType<Array<[string, string]>>(queryString.parsePairs("key=value"));
+expectType<string>(queryString.stringify({key: "value"}));
+expectType<string>(queryString.stringify({key: "value"}, QueryEncoding.FORM));
+expectType<string>(queryString.encode("value"));
+expectType<string>(queryString.encode("value", QueryEncoding.RFC3986));
+expectType<string>(queryString.decode("value"));
+
+/*
+|--------------------------------------------------------------------------
+| UriTemplate
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the URI template.
+|
+*/
+
+const uriTemplate = new UriTemplate("/users/{id}{?fields*}", new UrlFactory());
+expectType<Array<string>>(uriTemplate.variableNames);
+expectType<Url>(uriTemplate.expand());
+expectType<Url>(uriTemplate.expand({id: 1, fields: ["name"]}));
+expectType<string>(uriTemplate.toString());
+expectAssignable<Error>(new UriTemplateError("message", 0));
+expectType<number>(new UriTemplateError("message", 0).position);
+
+/*
+|--------------------------------------------------------------------------
+| Negotiator
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the content negotiator.
+|
+*/
+
+const negotiator = new Negotiator(request);
+expectType<string | null>(negotiator.mediaType(["application/json"]));
+expectType<Array<string>>(negotiator.mediaTypes(["application/json"]));
+expectType<string | null>(negotiator.language(["en"]));
+expectType<Array<string>>(negotiator.languages(["en"]));
+expectType<string | null>(negotiator.lookupLanguage(["en"]));
+expectType<string | null>(negotiator.lookupLanguage(["en"], "en"));
+expectType<string | null>(negotiator.charset(["utf-8"]));
+expectType<Array<string>>(negotiator.charsets(["utf-8"]));
+expectType<string | null>(negotiator.encoding(["gzip"]));
+expectType<Array<string>>(negotiator.encodings(["gzip"]));
+
+/*
+|--------------------------------------------------------------------------
+| MediaType
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the media type.
+|
+*/
+
+const mediaType = new MediaType("application", "vnd.api+json", {charset: "utf-8"});
+expectType<string>(mediaType.type);
+expectType<string>(mediaType.subtype);
+expectType<string | null>(mediaType.suffix);
+expectType<string>(mediaType.essence);
+expectType<{[name: string]: string}>(mediaType.parameters);
+expectType<string | null>(mediaType.parameter("charset"));
+expectType<MediaType>(mediaType.withParameter("charset", "utf-8"));
+expectType<MediaType>(mediaType.withoutParameter("charset"));
+expectType<string>(mediaType.toString());
+
+/*
+|--------------------------------------------------------------------------
+| MediaTypeFactory
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the media type factory.
+|
+*/
+
+const mediaTypeFactory = new MediaTypeFactory();
+expectAssignable<MediaTypeFactoryInterface>(mediaTypeFactory);
+expectType<MediaType>(mediaTypeFactory.createMediaType("text", "html"));
+expectType<MediaType>(mediaTypeFactory.createMediaType("text", "html", {charset: "utf-8"}));
+expectType<MediaType>(mediaTypeFactory.createMediaTypeFromString("text/html; charset=utf-8"));
+
+/*
+|--------------------------------------------------------------------------
+| Structured fields
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the structured field values.
+|
+*/
+
+const token = new Token("text/html");
+expectType<string>(token.value);
+expectType<boolean>(token.equals(new Token("text/html")));
+expectType<string>(token.toString());
+
+const structuredItem = new StructuredItem(token, {q: 0.5});
+expectType<number | string | boolean | Token | Buffer>(structuredItem.value);
+expectType<{[key: string]: number | string | boolean | Token | Buffer}>(structuredItem.parameters);
+expectType<number | string | boolean | Token | Buffer | null>(structuredItem.parameter("q"));
+
+const structuredInnerList = new StructuredInnerList([structuredItem]);
+expectType<Array<StructuredItem>>(structuredInnerList.items);
+expectType<{[key: string]: number | string | boolean | Token | Buffer}>(structuredInnerList.parameters);
+expectType<number | string | boolean | Token | Buffer | null>(structuredInnerList.parameter("q"));
+
+const structuredFieldParser = new StructuredFieldParser();
+expectType<StructuredItem>(structuredFieldParser.parse("1", StructuredFieldType.ITEM));
+expectType<StructuredList>(structuredFieldParser.parse("1, 2", "list"));
+expectType<StructuredDictionary>(structuredFieldParser.parse("a=1", "dictionary"));
+expectAssignable<Error>(new StructuredFieldParseError("message", 0));
+expectType<number>(new StructuredFieldParseError("message", 0).position);
+
+const structuredFieldSerializer = new StructuredFieldSerializer();
+expectType<string>(structuredFieldSerializer.serialize(structuredItem));
+expectType<string>(structuredFieldSerializer.serialize([structuredItem, structuredInnerList, 1]));
+expectType<string>(structuredFieldSerializer.serialize({a: structuredInnerList, b: "text"}));
+
+/*
+|--------------------------------------------------------------------------
+| FetchConverter
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the fetch converter.
+|
+*/
+
+const fetchConverter = new FetchConverter(new StreamFactory(), new UrlFactory());
+const fetchRequest = fetchConverter.toFetchRequest(
+    new RequestFactory(new UrlFactory()).createRequest(RequestMethod.GET, "/")
+);
+expectType<FetchRequest>(fetchRequest);
+expectType<Request>(fetchConverter.fromFetchRequest(fetchRequest));
+const fetchResponse = fetchConverter.toFetchResponse(new Response(200, "1.1", new HeaderCollection(), new Duplex()));
+expectType<FetchResponse>(fetchResponse);
+expectType<Response>(fetchConverter.fromFetchResponse(fetchResponse));
+
+/*
+|--------------------------------------------------------------------------
+| MessageSerializer
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the message serializer.
+|
+*/
+
+const messageSerializer = new MessageSerializer();
+const serializedRequest = new RequestFactory(new UrlFactory()).createRequest(RequestMethod.GET, "/");
+expectType<Promise<Buffer>>(messageSerializer.serialize(serializedRequest));
+expectType<Promise<Buffer>>(messageSerializer.serialize(new ResponseFactory(new StreamFactory()).createResponse(200)));
+expectType<Readable>(messageSerializer.toStream(serializedRequest, {chunked: true}));
+
+/*
+|--------------------------------------------------------------------------
+| MessageParser
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the message parser.
+|
+*/
+
+const messageParser = new MessageParser(new UrlFactory(), {maxHeaderSize: 8192, maxHeaderCount: 50});
+expectType<Promise<Request | Response>>(messageParser.parse("GET / HTTP/1.1\r\n\r\n"));
+expectType<Promise<Request | Response>>(messageParser.parse(Buffer.from("HTTP/1.1 200 OK\r\n\r\n")));
+expectType<Promise<Request | Response>>(messageParser.parse(new Readable()));
+expectType<AsyncIterable<Request | Response>>(messageParser.parseAll(["GET / HTTP/1.1\r\n\r\n"]));
+expectAssignable<MessageParseError>(new MessageLimitError("message", 0, 100));
+expectType<number>(new MessageLimitError("message", 0, 100).limit);
+expectType<number>(new MessageParseError("message", 0).position);
+
+/*
+|--------------------------------------------------------------------------
+| HarConverter
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the HAR converter.
+|
+*/
+
+const harConverter = new HarConverter(new StreamFactory(), new UrlFactory(), new CookieFactory());
+const harLog = harConverter.toHar([{
+    request: new RequestFactory(new UrlFactory()).createRequest(RequestMethod.GET, "/"),
+    response: new ResponseFactory(new StreamFactory()).createResponse(ResponseStatus.OK),
+    startedDateTime: new Date(),
+    timings: {send: 1, wait: 2, receive: 3}
+}]);
+expectType<Promise<HarLog>>(harLog);
+const [ harExchange ] = harConverter.fromHar("{}");
+expectType<Request>(harExchange.request);
+expectType<Response>(harExchange.response);
+expectType<Date>(harExchange.startedDateTime);
+expectType<number>(harExchange.time);
+expectType<HarTimings>(harExchange.timings);
+
+/*
+|--------------------------------------------------------------------------
+| CurlConverter
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the curl converter.
+|
+*/
+
+const curlConverter = new CurlConverter(new StreamFactory(), new UrlFactory());
+const curlRequest = curlConverter.fromCurl("curl https://example.com");
+expectType<Request>(curlRequest);
+expectType<Promise<string>>(curlConverter.toCurl(curlRequest));
@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Duplex } from "stream";
+
+/**
+ * A buffer implementation of a duplex stream.
+ *
+ * Content is stored as bytes, which makes the stream safe for binary data.
+ * Written chunks are appended to the content and reads are served from the
+ * current read position.
+ *
+ * @extends stream.Duplex
+ */
+class BufferStream extends Duplex {
+    /**
+     * Creates a stream instance.
+     *
+     * Strings are encoded as UTF-8.
+     *
+     * @public
+     * @param {(Buffer|Uint8Array|string)} [content=""] The stream content.
+     */
+    constructor(content = "") {
+        super();
+
+        /**
+         * Stream content.
+         *
+         * @private
+         * @type {Buffer}
+         */
+        this.content = Buffer.from(content);
+
+        /**
+         * Position of the next byte to read.
+         *
+         * @private
+         * @type {number}
+         */
+        this.position = 0;
+    }
+
+    /**
+     * Retrieve the size of the stream content.
+     *
+     * @public
+     * @return {number} Size of the content in bytes.
+     */
+    get size() {
+        return this.content.length;
+    }
+
+    /**
+     * Return a stream that reads the same content from the given position.
+     *
+     * Node.js streams cannot be restarted once they have been read, so a new
+     * stream is returned while the current stream is left untouched.
+     *
+     * @public
+     * @param {number} position Byte offset to start reading from.
+     * @return {BufferStream} New stream instance.
+     * @throws {RangeError} If the position is outside of the content.
+     */
+    seek(position) {
+        if (!Number.isInteger(position) || position < 0 || position > this.size) {
+            throw new RangeError(`Position ${position} is outside of the stream content of ${this.size} bytes`);
+        }
+
+        const stream = this.createStream(this.content);
+        stream.position = position;
+
+        return stream;
+    }
+
+    /**
+     * Return a stream that reads the same content from the beginning.
+     *
+     * This is useful for replaying a body that has already been consumed.
+     *
+     * @public
+     * @return {BufferStream} New stream instance.
+     */
+    rewind() {
+        return this.seek(0);
+    }
+
+    /**
+     * Decode the complete stream content.
+     *
+     * The content is decoded regardless of the current read position.
+     *
+     * @public
+     * @param {string} [encoding="utf8"] Character encoding of the content.
+     * @return {string} Decoded content.
+     */
+    toString(encoding = "utf8") {
+        return this.content.toString(encoding);
+    }
+
+    /**
+     * Create a new instance of this class.
+     *
+     * Separating this into an overridable method enables extending classes
+     * with non compatible constructors to create their instances here.
+     *
+     * @protected
+     * @param {Buffer} content The stream content.
+     * @return {BufferStream} New stream instance.
+     */
+    createStream(content) {
+        return new BufferStream(content);
+    }
+
+    _read(size) {
+        if (this.position >= this.content.length) {
+            this.push(null);
+
+            return;
+        }
+
+        const chunk = Buffer.from(this.content.subarray(this.position, this.position + size));
+
+        this.position += chunk.length;
+        this.push(chunk);
+    }
+
+    _write(chunk, encoding, callback) {
+        this.content = Buffer.concat([this.content, chunk]);
+
+        callback();
+    }
+}
+
+export default BufferStream;
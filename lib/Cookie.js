@@ -0,0 +1,118 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Value object representing a cookie sent by a client in a Cookie header.
+ *
+ * Cookies are considered immutable; all methods that might change state MUST
+ * be implemented such that they retain the internal state of the current
+ * cookie and return an instance that contains the changed state.
+ *
+ * @see https://tools.ietf.org/html/rfc6265#section-4.2
+ */
+class Cookie {
+    /**
+     * Create a new cookie instance.
+     *
+     * @public
+     * @param {string} name Cookie name.
+     * @param {string} value Cookie value.
+     * @throws {TypeError} For invalid cookie names.
+     */
+    constructor(name, value) {
+        if (!/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name)) {
+            throw new TypeError(`Invalid cookie name "${name}"`);
+        }
+
+        /**
+         * Cookie name.
+         *
+         * @private
+         * @type {string}
+         */
+        this._name = name;
+
+        /**
+         * Cookie value.
+         *
+         * @private
+         * @type {string}
+         */
+        this._value = value;
+    }
+
+    /**
+     * Retrieve the cookie name.
+     *
+     * @public
+     * @return {string} Cookie name.
+     */
+    get name() {
+        return this._name;
+    }
+
+    /**
+     * Retrieve the cookie value.
+     *
+     * The value is returned decoded, as it was given to the instance.
+     *
+     * @public
+     * @return {string} Cookie value.
+     */
+    get value() {
+        return this._value;
+    }
+
+    /**
+     * Return an instance with the specified value.
+     *
+     * @public
+     * @param {string} value Cookie value.
+     * @return {this} Cookie instance with given value.
+     */
+    withValue(value) {
+        if (value === this._value) {
+            return this;
+        }
+
+        return this.createCookie(this._name, value);
+    }
+
+    /**
+     * Return the string representation of the cookie pair.
+     *
+     * Characters not allowed in a cookie value are percent-encoded.
+     *
+     * @public
+     * @return {string} Cookie pair in "name=value" format.
+     */
+    toString() {
+        const value = this._value.replace(
+            /[^\x21\x23\x24\x26-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]/gu,
+            encodeURIComponent
+        );
+
+        return `${this._name}=${value}`;
+    }
+
+    /**
+     * Create a new instance of this class.
+     *
+     * Separating this into an overridable method enables extending classes
+     * with non compatible constructors to create their instances here.
+     *
+     * @protected
+     * @param {string} name Cookie name.
+     * @param {string} value Cookie value.
+     * @return {Cookie} New cookie instance.
+     */
+    createCookie(name, value) {
+        return new Cookie(name, value);
+    }
+}
+
+export default Cookie;
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Cookie from "./Cookie.js";
+import SameSite from "./SameSite.js";
+import SetCookie from "./SetCookie.js";
+
+/**
+ * Has the ability to create cookies.
+ */
+class CookieFactory {
+    /**
+     * Create a new cookie.
+     *
+     * @public
+     * @param {string} name Cookie name.
+     * @param {string} value Cookie value.
+     * @return {Cookie} New cookie instance.
+     * @throws {TypeError} For invalid cookie names.
+     */
+    createCookie(name, value) {
+        return new Cookie(name, value);
+    }
+
+    /**
+     * Create cookies from a Cookie header value.
+     *
+     * Cookie pairs that cannot be parsed are ignored.
+     *
+     * @see https://tools.ietf.org/html/rfc6265#section-5.4
+     * @public
+     * @param {string} headerValue Cookie header value.
+     * @return {Array.<Cookie>} List of cookies in the order they appear in the header.
+     */
+    createCookiesFromHeader(headerValue) {
+        return headerValue.split(";")
+            .map(pair => this.parsePair(pair))
+            .filter(pair => pair !== null)
+            .map(([ name, value ]) => new Cookie(name, value));
+    }
+
+    /**
+     * Create a new cookie to send in a Set-Cookie header.
+     *
+     * @public
+     * @param {string} name Cookie name.
+     * @param {string} value Cookie value.
+     * @return {SetCookie} New cookie instance.
+     * @throws {TypeError} For invalid cookie names.
+     */
+    createSetCookie(name, value) {
+        return new SetCookie(name, value);
+    }
+
+    /**
+     * Create a cookie from a Set-Cookie header value.
+     *
+     * Unknown or invalid attributes are ignored.
+     *
+     * @see https://tools.ietf.org/html/rfc6265#section-5.2
+     * @public
+     * @param {string} headerValue Set-Cookie header value.
+     * @return {SetCookie} New cookie instance.
+     * @throws {TypeError} If the header value does not contain a valid cookie pair.
+     */
+    createSetCookieFromHeader(headerValue) {
+        const [ pair, ...attributes ] = headerValue.split(";");
+        const parsedPair = this.parsePair(pair);
+
+        if (parsedPair === null) {
+            throw new TypeError(`Invalid Set-Cookie header value "${headerValue}"`);
+        }
+
+        let cookie = new SetCookie(...parsedPair);
+
+        for (const attribute of attributes) {
+            const [ name, value = "" ] = attribute.split(/=(.*)/s).map(part => part.trim());
+
+            switch (name.toLowerCase()) {
+                case "expires": {
+                    const expires = new Date(value);
+
+                    cookie = isNaN(expires.getTime()) ? cookie : cookie.withExpires(expires);
+                    break;
+                }
+                case "max-age":
+                    cookie = /^-?\d+$/.test(value) ? cookie.withMaxAge(parseInt(value)) : cookie;
+                    break;
+                case "domain":
+                    cookie = value.length > 0 ? cookie.withDomain(value.replace(/^\./, "").toLowerCase()) : cookie;
+                    break;
+                case "path":
+                    cookie = value.indexOf("/") === 0 ? cookie.withPath(value) : cookie;
+                    break;
+                case "secure":
+                    cookie = cookie.withSecure();
+                    break;
+                case "httponly":
+                    cookie = cookie.withHttpOnly();
+                    break;
+                case "samesite": {
+                    const sameSite = Object.values(SameSite)
+                        .find(sameSite => sameSite.toLowerCase() === value.toLowerCase());
+
+                    cookie = sameSite ? cookie.withSameSite(sameSite) : cookie;
+                    break;
+                }
+                case "partitioned":
+                    cookie = cookie.withPartitioned();
+                    break;
+            }
+        }
+
+        return cookie;
+    }
+
+    /**
+     * Parse a cookie pair.
+     *
+     * @private
+     * @param {string} pair Cookie pair in "name=value" format.
+     * @return {?Array.<string>} Cookie name and decoded value or null if invalid.
+     */
+    parsePair(pair) {
+        const [ name, value ] = pair.split(/=(.*)/s).map(part => part.trim());
+
+        if (value === undefined || !/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name)) {
+            return null;
+        }
+
+        const unquotedValue = value.replace(/^"(.*)"$/s, "$1");
+
+        try {
+            return [name, decodeURIComponent(unquotedValue)];
+        } catch (error) {
+            return [name, unquotedValue];
+        }
+    }
+}
+
+export default CookieFactory;
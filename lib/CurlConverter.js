@@ -0,0 +1,656 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import HeaderCollection from "./HeaderCollection.js";
+import QueryString from "./QueryString.js";
+import Request from "./Request.js";
+import StreamFactory from "./StreamFactory.js";
+import UrlFactory from "./UrlFactory.js";
+import { randomBytes } from "crypto";
+
+/**
+ * Query string instance used to encode form data.
+ *
+ * @private
+ * @type {QueryString}
+ */
+const queryString = new QueryString();
+
+/**
+ * Long names of supported short curl options.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const shortOptions = {
+    "-A": "--user-agent",
+    "-b": "--cookie",
+    "-d": "--data",
+    "-e": "--referer",
+    "-F": "--form",
+    "-f": "--fail",
+    "-G": "--get",
+    "-g": "--globoff",
+    "-H": "--header",
+    "-I": "--head",
+    "-i": "--include",
+    "-k": "--insecure",
+    "-L": "--location",
+    "-m": "--max-time",
+    "-o": "--output",
+    "-S": "--show-error",
+    "-s": "--silent",
+    "-u": "--user",
+    "-v": "--verbose",
+    "-X": "--request"
+};
+
+/**
+ * Supported curl options that take a value.
+ *
+ * Options that do not affect the request are accepted but ignored.
+ *
+ * @private
+ * @type {Array.<string>}
+ */
+const valueOptions = [
+    "--cookie",
+    "--data",
+    "--data-ascii",
+    "--data-binary",
+    "--data-raw",
+    "--data-urlencode",
+    "--form",
+    "--form-string",
+    "--header",
+    "--max-time",
+    "--output",
+    "--referer",
+    "--request",
+    "--url",
+    "--user",
+    "--user-agent"
+];
+
+/**
+ * Supported curl options that do not take a value.
+ *
+ * Options that do not affect the request are accepted but ignored.
+ *
+ * @private
+ * @type {Array.<string>}
+ */
+const flagOptions = [
+    "--compressed",
+    "--fail",
+    "--get",
+    "--globoff",
+    "--head",
+    "--http1.0",
+    "--http1.1",
+    "--http2",
+    "--include",
+    "--insecure",
+    "--location",
+    "--show-error",
+    "--silent",
+    "--verbose"
+];
+
+/**
+ * Values of ANSI-C quoted escape sequences with a single character.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const ansiCEscapes = {
+    a: "\x07",
+    b: "\b",
+    e: "\x1b",
+    f: "\f",
+    n: "\n",
+    r: "\r",
+    t: "\t",
+    v: "\v",
+    "\\": "\\",
+    "'": "'",
+    "\"": "\""
+};
+
+/**
+ * Has the ability to convert between requests and curl command lines.
+ *
+ * Command lines are quoted and parsed according to POSIX shell rules,
+ * including the ANSI-C quoting used by browsers when copying requests as
+ * curl commands.
+ *
+ * @see https://curl.se/docs/manpage.html
+ */
+class CurlConverter {
+    /**
+     * Creates a new converter instance.
+     *
+     * @public
+     * @param {StreamFactory} streamFactory Stream factory instance.
+     * @param {UrlFactory} urlFactory URL factory instance.
+     */
+    constructor(streamFactory, urlFactory) {
+        /**
+         * Stream factory instance.
+         *
+         * @private
+         * @type {StreamFactory}
+         */
+        this.streamFactory = streamFactory;
+
+        /**
+         * URL factory instance.
+         *
+         * @private
+         * @type {UrlFactory}
+         */
+        this.urlFactory = urlFactory;
+    }
+
+    /**
+     * Create a curl command line from a request.
+     *
+     * The request body is consumed in the process and included as UTF-8
+     * text. Bodies that are not valid UTF-8 or contain NUL bytes cannot be
+     * passed as a command line argument and are rejected. The Content-Length
+     * header and a Host header matching the URL are left out as curl adds
+     * them.
+     *
+     * @public
+     * @param {Request} request Request to convert.
+     * @return {Promise.<string>} Shell quoted curl command line.
+     * @throws {TypeError} If the request body cannot be passed as a command line argument.
+     */
+    async toCurl(request) {
+        const body = await request.buffer();
+        const text = body.toString("utf8");
+
+        if (!Buffer.from(text).equals(body) || text.includes("\0")) {
+            throw new TypeError("Request body is not valid UTF-8 text without NUL bytes");
+        }
+
+        const hasDefaultHost = request.headerLine("Host") === request.withoutHeader("Host").headerLine("Host");
+        const args = ["curl"];
+
+        if (request.method === "HEAD") {
+            args.push("--head");
+        } else if (request.method !== (body.length > 0 ? "POST" : "GET")) {
+            args.push("-X", request.method);
+        }
+
+        args.push(request.url.toString());
+
+        for (const [ name, values ] of Object.entries(request.headers)) {
+            const lowerCaseName = name.toLowerCase();
+
+            if (lowerCaseName === "content-length" || (lowerCaseName === "host" && hasDefaultHost)) {
+                continue;
+            }
+
+            values.forEach(value => args.push("-H", value === "" ? `${name};` : `${name}: ${value}`));
+        }
+
+        if (body.length > 0) {
+            args.push("--data-raw", text);
+        }
+
+        return args.map(arg => this.quote(arg)).join(" ");
+    }
+
+    /**
+     * Create a request from a curl command line.
+     *
+     * Reading data, forms, cookies or uploads from files is not supported.
+     *
+     * @public
+     * @param {string} commandLine Curl command line.
+     * @return {Request} New request instance.
+     * @throws {TypeError} If the command line is malformed or uses unsupported options.
+     */
+    fromCurl(commandLine) {
+        const [ command, ...args ] = this.tokenize(commandLine);
+
+        if (command !== "curl") {
+            throw new TypeError("Command line is not a curl command");
+        }
+
+        const options = this.parseArguments(args);
+
+        if (options.url === null) {
+            throw new TypeError("Curl command has no URL");
+        }
+
+        if (options.data.length > 0 && options.form.length > 0) {
+            throw new TypeError("Curl command cannot have both data and form fields");
+        }
+
+        const headers = this.createHeaderCollection(options);
+        const hasScheme = /^[a-z][a-z0-9+\-.]*:\/\//i.test(options.url);
+        let url = this.urlFactory.createUrl(hasScheme ? options.url : `http://${options.url}`);
+        let body = "";
+
+        if (options.form.length > 0) {
+            const boundary = `------------------------${randomBytes(8).toString("hex")}`;
+
+            body = options.form
+                .map(({ name, value }) => {
+                    const disposition = `form-data; name="${name.replace(/"/g, "%22")}"`;
+
+                    return `--${boundary}\r\nContent-Disposition: ${disposition}\r\n\r\n${value}\r\n`;
+                })
+                .join("") + `--${boundary}--\r\n`;
+
+            if (!headers.has("Content-Type")) {
+                headers.set("Content-Type", `multipart/form-data; boundary=${boundary}`);
+            }
+        } else if (options.data.length > 0 && options.get) {
+            const data = options.data.join("&");
+
+            url = url.withQuery(url.query.length > 0 ? `${url.query}&${data}` : data);
+        } else if (options.data.length > 0) {
+            body = options.data.join("&");
+
+            if (!headers.has("Content-Type")) {
+                headers.set("Content-Type", "application/x-www-form-urlencoded");
+            }
+        }
+
+        const hasBody = options.form.length > 0 || (options.data.length > 0 && !options.get);
+        const method = options.method || (options.head ? "HEAD" : (hasBody ? "POST" : "GET"));
+
+        return new Request(method, url, options.protocolVersion, headers, this.streamFactory.createStream(body));
+    }
+
+    /**
+     * Parse the arguments of a curl command.
+     *
+     * @private
+     * @param {Array.<string>} args Command arguments.
+     * @return {Object} Parsed options.
+     * @throws {TypeError} If an option is unsupported or lacks its value.
+     */
+    parseArguments(args) {
+        const options = {
+            method: null,
+            url: null,
+            protocolVersion: "1.1",
+            headers: [],
+            data: [],
+            form: [],
+            user: null,
+            get: false,
+            head: false,
+            compressed: false
+        };
+        const queue = [...args];
+
+        while (queue.length > 0) {
+            const arg = queue.shift();
+
+            if (!arg.startsWith("-") || arg === "-") {
+                options.url = arg;
+
+                continue;
+            }
+
+            let name = arg;
+            let value;
+
+            // Short options may be combined with each other or with their value.
+            if (!arg.startsWith("--") && arg.length > 2) {
+                name = arg.slice(0, 2);
+
+                if (valueOptions.includes(shortOptions[name])) {
+                    value = arg.slice(2);
+                } else {
+                    queue.unshift(...arg.slice(2).split("").map(letter => `-${letter}`));
+                }
+            }
+
+            const option = shortOptions[name] || name;
+
+            if (flagOptions.includes(option)) {
+                this.applyFlag(options, option);
+            } else if (valueOptions.includes(option)) {
+                if (value === undefined && queue.length === 0) {
+                    throw new TypeError(`Curl option "${name}" requires a value`);
+                }
+
+                this.applyOption(options, option, value === undefined ? queue.shift() : value);
+            } else {
+                throw new TypeError(`Unsupported curl option "${name}"`);
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Apply a curl flag to the parsed options.
+     *
+     * @private
+     * @param {Object} options Parsed options.
+     * @param {string} flag Long name of the flag.
+     */
+    applyFlag(options, flag) {
+        switch (flag) {
+            case "--compressed":
+                options.compressed = true;
+                break;
+            case "--get":
+                options.get = true;
+                break;
+            case "--head":
+                options.head = true;
+                break;
+            case "--http1.0":
+            case "--http1.1":
+            case "--http2":
+                options.protocolVersion = flag.slice(6);
+                break;
+        }
+    }
+
+    /**
+     * Apply a curl option with a value to the parsed options.
+     *
+     * @private
+     * @param {Object} options Parsed options.
+     * @param {string} option Long name of the option.
+     * @param {string} value Option value.
+     * @throws {TypeError} If the value refers to a file.
+     */
+    applyOption(options, option, value) {
+        switch (option) {
+            case "--request":
+                options.method = value;
+                break;
+            case "--url":
+                options.url = value;
+                break;
+            case "--header":
+                options.headers.push(value);
+                break;
+            case "--user-agent":
+                options.headers.push(`User-Agent: ${value}`);
+                break;
+            case "--referer":
+                options.headers.push(`Referer: ${value}`);
+                break;
+            case "--cookie":
+                if (!value.includes("=")) {
+                    throw new TypeError("Reading cookies from files is not supported");
+                }
+
+                options.headers.push(`Cookie: ${value}`);
+                break;
+            case "--user":
+                options.user = value;
+                break;
+            case "--data":
+            case "--data-ascii":
+            case "--data-binary":
+                if (value.startsWith("@")) {
+                    throw new TypeError("Reading data from files is not supported");
+                }
+
+                options.data.push(value);
+                break;
+            case "--data-raw":
+                options.data.push(value);
+                break;
+            case "--data-urlencode":
+                options.data.push(this.encodeData(value));
+                break;
+            case "--form":
+            case "--form-string": {
+                const index = value.indexOf("=");
+
+                if (index === -1) {
+                    throw new TypeError(`Invalid form field "${value}"`);
+                }
+
+                if (option === "--form" && /^[@<]/.test(value.slice(index + 1))) {
+                    throw new TypeError("Reading form fields from files is not supported");
+                }
+
+                options.form.push({name: value.slice(0, index), value: value.slice(index + 1)});
+                break;
+            }
+        }
+    }
+
+    /**
+     * URL encode the value of a --data-urlencode option.
+     *
+     * @private
+     * @param {string} value Option value.
+     * @return {string} Encoded data.
+     * @throws {TypeError} If the value refers to a file.
+     */
+    encodeData(value) {
+        const match = /^([^=@]*)([=@])(.*)$/s.exec(value);
+
+        if (match === null) {
+            return queryString.encode(value);
+        }
+
+        const [ , name, separator, content ] = match;
+
+        if (separator === "@") {
+            throw new TypeError("Reading data from files is not supported");
+        }
+
+        return name.length > 0 ? `${name}=${queryString.encode(content)}` : queryString.encode(content);
+    }
+
+    /**
+     * Create the header collection of a parsed curl command.
+     *
+     * Headers without a value are removed, as curl does, unless they are
+     * given with a trailing semicolon.
+     *
+     * @private
+     * @param {Object} options Parsed options.
+     * @return {HeaderCollection} New header collection instance.
+     * @throws {TypeError} If a header is malformed.
+     */
+    createHeaderCollection(options) {
+        const headers = new HeaderCollection();
+
+        for (const header of options.headers) {
+            const index = header.indexOf(":");
+
+            if (index === -1 && header.endsWith(";")) {
+                headers.add(header.slice(0, -1).trim(), "");
+            } else if (index === -1) {
+                throw new TypeError(`Invalid header "${header}"`);
+            } else if (header.slice(index + 1).trim() === "") {
+                headers.remove(header.slice(0, index).trim());
+            } else {
+                headers.add(header.slice(0, index).trim(), header.slice(index + 1).trim());
+            }
+        }
+
+        if (options.user !== null && !headers.has("Authorization")) {
+            headers.set("Authorization", `Basic ${Buffer.from(options.user).toString("base64")}`);
+        }
+
+        if (options.compressed && !headers.has("Accept-Encoding")) {
+            headers.set("Accept-Encoding", "deflate, gzip, br");
+        }
+
+        return headers;
+    }
+
+    /**
+     * Quote an argument for a POSIX shell.
+     *
+     * @private
+     * @param {string} arg Argument to quote.
+     * @return {string} Quoted argument.
+     */
+    quote(arg) {
+        if (/^[\w@%+=:,./-]+$/.test(arg)) {
+            return arg;
+        }
+
+        return `'${arg.replace(/'/g, "'\\''")}'`;
+    }
+
+    /**
+     * Split a command line into arguments according to POSIX shell rules.
+     *
+     * @private
+     * @param {string} commandLine Command line to split.
+     * @return {Array.<string>} Command line arguments.
+     * @throws {TypeError} If a quote or escape sequence is not terminated.
+     */
+    tokenize(commandLine) {
+        const args = [];
+        let arg = null;
+        let position = 0;
+
+        while (position < commandLine.length) {
+            const character = commandLine[position];
+
+            if (/\s/.test(character)) {
+                if (arg !== null) {
+                    args.push(arg);
+                    arg = null;
+                }
+
+                position++;
+
+                continue;
+            }
+
+            let value;
+
+            if (character === "\\") {
+                // A backslash followed by a line break continues the command on the next line.
+                const [ escaped ] = /^\\(\r?\n|[\s\S])?/.exec(commandLine.slice(position, position + 3));
+
+                if (escaped.length === 1) {
+                    throw new TypeError("Unterminated escape sequence in command line");
+                }
+
+                value = /^\\\r?\n$/.test(escaped) ? "" : escaped.slice(1);
+                position += escaped.length;
+
+                if (value === "" && arg === null) {
+                    continue;
+                }
+            } else if (character === "'") {
+                const end = commandLine.indexOf("'", position + 1);
+
+                if (end === -1) {
+                    throw new TypeError("Unterminated quote in command line");
+                }
+
+                value = commandLine.slice(position + 1, end);
+                position = end + 1;
+            } else if (character === "\"") {
+                ({ value, position } = this.readDoubleQuoted(commandLine, position + 1));
+            } else if (character === "$" && commandLine[position + 1] === "'") {
+                ({ value, position } = this.readAnsiCQuoted(commandLine, position + 2));
+            } else {
+                value = character;
+                position++;
+            }
+
+            arg = (arg || "") + value;
+        }
+
+        if (arg !== null) {
+            args.push(arg);
+        }
+
+        return args;
+    }
+
+    /**
+     * Read the content of a double quoted string.
+     *
+     * @private
+     * @param {string} commandLine Command line to read from.
+     * @param {number} start Position after the opening quote.
+     * @return {{value: string, position: number}} Content and the position after the closing quote.
+     * @throws {TypeError} If the quote is not terminated.
+     */
+    readDoubleQuoted(commandLine, start) {
+        let value = "";
+        let position = start;
+
+        while (position < commandLine.length && commandLine[position] !== "\"") {
+            if (commandLine[position] === "\\" && /^["\\$`\n]$/.test(commandLine[position + 1] || "")) {
+                value += commandLine[position + 1] === "\n" ? "" : commandLine[position + 1];
+                position += 2;
+            } else {
+                value += commandLine[position++];
+            }
+        }
+
+        if (position >= commandLine.length) {
+            throw new TypeError("Unterminated quote in command line");
+        }
+
+        return {value, position: position + 1};
+    }
+
+    /**
+     * Read the content of an ANSI-C quoted string.
+     *
+     * Hexadecimal and octal escape sequences produce bytes, which are
+     * decoded as UTF-8 together with the rest of the string.
+     *
+     * @private
+     * @param {string} commandLine Command line to read from.
+     * @param {number} start Position after the opening quote.
+     * @return {{value: string, position: number}} Content and the position after the closing quote.
+     * @throws {TypeError} If the quote is not terminated.
+     */
+    readAnsiCQuoted(commandLine, start) {
+        const chunks = [];
+        let position = start;
+
+        while (position < commandLine.length && commandLine[position] !== "'") {
+            if (commandLine[position] !== "\\") {
+                chunks.push(Buffer.from(commandLine[position++]));
+
+                continue;
+            }
+
+            const sequence = commandLine.slice(position + 1);
+            const [ escape ] = /^(?:x[0-9A-Fa-f]{1,2}|u[0-9A-Fa-f]{1,4}|U[0-9A-Fa-f]{1,8}|[0-7]{1,3}|[\s\S])?/
+                .exec(sequence);
+
+            if (/^x/.test(escape) || /^[0-7]/.test(escape)) {
+                chunks.push(Buffer.from([parseInt(escape.replace(/^x/, ""), escape[0] === "x" ? 16 : 8) & 0xff]));
+            } else if (/^[uU]./.test(escape)) {
+                chunks.push(Buffer.from(String.fromCodePoint(parseInt(escape.slice(1), 16))));
+            } else {
+                chunks.push(Buffer.from(ansiCEscapes[escape] || `\\${escape}`));
+            }
+
+            position += escape.length + 1;
+        }
+
+        if (position >= commandLine.length) {
+            throw new TypeError("Unterminated quote in command line");
+        }
+
+        return {value: Buffer.concat(chunks).toString("utf8"), position: position + 1};
+    }
+}
+
+export default CurlConverter;
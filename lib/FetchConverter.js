@@ -0,0 +1,205 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import HeaderCollection from "./HeaderCollection.js";
+import Request from "./Request.js";
+import Response from "./Response.js";
+import StreamFactory from "./StreamFactory.js";
+import UrlFactory from "./UrlFactory.js";
+
+/**
+ * Status codes of responses that are not allowed to have a body.
+ *
+ * @private
+ * @type {Array.<number>}
+ */
+const nullBodyStatusCodes = [101, 103, 204, 205, 304];
+
+/**
+ * Has the ability to convert between messages and WHATWG fetch messages.
+ *
+ * Bodies are converted between Node.js streams and WHATWG readable streams
+ * without being buffered. Converting a message to a fetch message requires a
+ * runtime with global fetch classes, such as Node.js 18 or later.
+ *
+ * @see https://fetch.spec.whatwg.org/
+ */
+class FetchConverter {
+    /**
+     * Creates a new converter instance.
+     *
+     * @public
+     * @param {StreamFactory} streamFactory Stream factory instance.
+     * @param {UrlFactory} urlFactory URL factory instance.
+     */
+    constructor(streamFactory, urlFactory) {
+        /**
+         * Stream factory instance.
+         *
+         * @private
+         * @type {StreamFactory}
+         */
+        this.streamFactory = streamFactory;
+
+        /**
+         * URL factory instance.
+         *
+         * @private
+         * @type {UrlFactory}
+         */
+        this.urlFactory = urlFactory;
+    }
+
+    /**
+     * Convert a request to a fetch request.
+     *
+     * The Host header is left out as it is determined by the URL. The body
+     * is left out for GET and HEAD requests as fetch does not allow them to
+     * have one.
+     *
+     * @public
+     * @param {Request} request Request to convert.
+     * @return {globalThis.Request} New fetch request instance.
+     * @throws {Error} If the runtime does not support fetch.
+     */
+    toFetchRequest(request) {
+        this.assertFetchSupport();
+
+        const hasBody = !["GET", "HEAD"].includes(request.method.toUpperCase());
+        const headers = this.createFetchHeaders(request);
+
+        headers.delete("Host");
+
+        return new globalThis.Request(request.url.toString(), {
+            method: request.method,
+            headers,
+            body: hasBody ? this.streamFactory.createWebStream(request.body) : null,
+            duplex: "half"
+        });
+    }
+
+    /**
+     * Convert a fetch request to a request.
+     *
+     * @public
+     * @param {globalThis.Request} fetchRequest Fetch request to convert.
+     * @return {Request} New request instance.
+     */
+    fromFetchRequest(fetchRequest) {
+        return new Request(
+            fetchRequest.method,
+            this.urlFactory.createUrl(fetchRequest.url),
+            "1.1",
+            this.createHeaderCollection(fetchRequest.headers),
+            this.createBody(fetchRequest.body)
+        );
+    }
+
+    /**
+     * Convert a response to a fetch response.
+     *
+     * The body is left out for status codes that fetch does not allow to
+     * have one.
+     *
+     * @public
+     * @param {Response} response Response to convert.
+     * @return {globalThis.Response} New fetch response instance.
+     * @throws {Error} If the runtime does not support fetch.
+     */
+    toFetchResponse(response) {
+        this.assertFetchSupport();
+
+        const hasBody = !nullBodyStatusCodes.includes(response.statusCode);
+        const body = hasBody ? this.streamFactory.createWebStream(response.body) : null;
+
+        return new globalThis.Response(body, {
+            status: response.statusCode,
+            statusText: response.reasonPhrase || "",
+            headers: this.createFetchHeaders(response)
+        });
+    }
+
+    /**
+     * Convert a fetch response to a response.
+     *
+     * @public
+     * @param {globalThis.Response} fetchResponse Fetch response to convert.
+     * @return {Response} New response instance.
+     */
+    fromFetchResponse(fetchResponse) {
+        return new Response(
+            fetchResponse.status,
+            "1.1",
+            this.createHeaderCollection(fetchResponse.headers),
+            this.createBody(fetchResponse.body),
+            fetchResponse.statusText || undefined
+        );
+    }
+
+    /**
+     * Create fetch headers from the headers of a message.
+     *
+     * @private
+     * @param {Message} message Message to read headers from.
+     * @return {globalThis.Headers} New fetch headers instance.
+     */
+    createFetchHeaders(message) {
+        const headers = new globalThis.Headers();
+
+        for (const [ name, values ] of Object.entries(message.headers)) {
+            values.forEach(value => headers.append(name, value));
+        }
+
+        return headers;
+    }
+
+    /**
+     * Create a header collection from fetch headers.
+     *
+     * @private
+     * @param {globalThis.Headers} fetchHeaders Fetch headers to read from.
+     * @return {HeaderCollection} New header collection instance.
+     */
+    createHeaderCollection(fetchHeaders) {
+        const headers = new HeaderCollection();
+
+        for (const [ name, value ] of fetchHeaders) {
+            headers.add(name, value);
+        }
+
+        return headers;
+    }
+
+    /**
+     * Create a message body from a fetch body.
+     *
+     * @private
+     * @param {?ReadableStream} fetchBody Fetch body to read from.
+     * @return {stream.Readable} New message body.
+     */
+    createBody(fetchBody) {
+        if (fetchBody === null) {
+            return this.streamFactory.createStream("");
+        }
+
+        return this.streamFactory.createStreamFromWebStream(fetchBody);
+    }
+
+    /**
+     * Ensure the runtime provides the global fetch classes.
+     *
+     * @private
+     * @throws {Error} If the runtime does not support fetch.
+     */
+    assertFetchSupport() {
+        if (!globalThis.Request || !globalThis.Response || !globalThis.Headers) {
+            throw new Error("Fetch is not supported by this runtime, Node.js 18 or later is required");
+        }
+    }
+}
+
+export default FetchConverter;
@@ -0,0 +1,166 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Duplex } from "stream";
+import fs from "fs";
+
+/**
+ * A file implementation of a duplex stream.
+ *
+ * The file is not opened until the stream is first read from or written to,
+ * or explicitly opened, which makes it cheap to create streams for bodies
+ * that might never be sent. The file is closed once both sides of the
+ * stream are done or the stream is destroyed.
+ *
+ * @extends stream.Duplex
+ */
+class FileStream extends Duplex {
+    /**
+     * Creates a stream instance.
+     *
+     * The mode is one of the file system flags supported by Node.js. Read
+     * only modes end the writable side and write only modes end the readable
+     * side of the stream.
+     *
+     * @see https://nodejs.org/api/fs.html#fs_file_system_flags
+     * @public
+     * @param {string} path Path of the file.
+     * @param {string} [mode="r"] Mode to open the file with.
+     */
+    constructor(path, mode = "r") {
+        super();
+
+        /**
+         * Path of the file.
+         *
+         * @private
+         * @type {string}
+         */
+        this.path = path;
+
+        /**
+         * Mode to open the file with.
+         *
+         * @private
+         * @type {string}
+         */
+        this.mode = mode;
+
+        /**
+         * Handle of the file once it is being opened.
+         *
+         * @private
+         * @type {?Promise.<fs.promises.FileHandle>}
+         */
+        this.handle = null;
+
+        /**
+         * Size of the file in bytes once it has been opened.
+         *
+         * @private
+         * @type {?number}
+         */
+        this._size = null;
+
+        /**
+         * Position of the next byte to read.
+         *
+         * @private
+         * @type {number}
+         */
+        this.position = 0;
+
+        if (!/^r|\+/.test(mode)) {
+            this.push(null);
+            this.read(0);
+        }
+
+        if (/^rs?$/.test(mode)) {
+            this.end();
+        }
+    }
+
+    /**
+     * Retrieve the size of the file.
+     *
+     * The size is determined once, when the file is opened. Open the stream
+     * before reading the size to use it for a Content-Length header.
+     *
+     * @public
+     * @return {?number} Size of the file in bytes or null if the file has not been opened.
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Open the file unless it is already opened.
+     *
+     * @public
+     * @return {Promise.<FileStream>} Resolves with the stream once the file has been opened.
+     */
+    async open() {
+        await this.fileHandle();
+
+        return this;
+    }
+
+    /**
+     * Retrieve the handle of the file, opening the file unless it is already
+     * opened.
+     *
+     * @private
+     * @return {Promise.<fs.promises.FileHandle>} Handle of the opened file.
+     */
+    fileHandle() {
+        if (this.handle === null) {
+            this.handle = fs.promises.open(this.path, this.mode).then(async handle => {
+                try {
+                    this._size = (await handle.stat()).size;
+                } catch (error) {
+                    await handle.close();
+
+                    throw error;
+                }
+
+                return handle;
+            });
+        }
+
+        return this.handle;
+    }
+
+    _read(size) {
+        this.fileHandle()
+            .then(handle => handle.read(Buffer.alloc(size), 0, size, this.position))
+            .then(({ bytesRead, buffer }) => {
+                this.position += bytesRead;
+                this.push(bytesRead > 0 ? buffer.subarray(0, bytesRead) : null);
+            })
+            .catch(error => this.destroy(error));
+    }
+
+    _write(chunk, encoding, callback) {
+        this.fileHandle()
+            .then(handle => handle.write(chunk, 0, chunk.length, null))
+            .then(() => callback(), callback);
+    }
+
+    _destroy(error, callback) {
+        if (this.handle === null) {
+            callback(error);
+
+            return;
+        }
+
+        this.handle
+            .then(handle => handle.close())
+            .then(() => callback(error), closeError => callback(error || closeError));
+    }
+}
+
+export default FileStream;
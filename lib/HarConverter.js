@@ -0,0 +1,378 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import CookieFactory from "./CookieFactory.js";
+import HeaderCollection from "./HeaderCollection.js";
+import QueryString from "./QueryString.js";
+import Request from "./Request.js";
+import Response from "./Response.js";
+import StreamFactory from "./StreamFactory.js";
+import UrlFactory from "./UrlFactory.js";
+import { createRequire } from "module";
+
+/**
+ * Query string instance used to parse and encode form bodies.
+ *
+ * @private
+ * @type {QueryString}
+ */
+const queryString = new QueryString();
+
+/**
+ * Package metadata used as creator of exported HAR logs.
+ *
+ * @private
+ * @type {Object}
+ */
+const packageInfo = createRequire(import.meta.url)("../package.json");
+
+/**
+ * Has the ability to convert between request and response exchanges and
+ * HTTP Archive (HAR) 1.2 logs.
+ *
+ * An exchange is an object with a request, a response, the time the request
+ * was started and the timings of the exchange in milliseconds.
+ *
+ * @see http://www.softwareishard.com/blog/har-12-spec/
+ */
+class HarConverter {
+    /**
+     * Creates a new converter instance.
+     *
+     * @public
+     * @param {StreamFactory} streamFactory Stream factory instance.
+     * @param {UrlFactory} urlFactory URL factory instance.
+     * @param {CookieFactory} cookieFactory Cookie factory instance.
+     */
+    constructor(streamFactory, urlFactory, cookieFactory) {
+        /**
+         * Stream factory instance.
+         *
+         * @private
+         * @type {StreamFactory}
+         */
+        this.streamFactory = streamFactory;
+
+        /**
+         * URL factory instance.
+         *
+         * @private
+         * @type {UrlFactory}
+         */
+        this.urlFactory = urlFactory;
+
+        /**
+         * Cookie factory instance.
+         *
+         * @private
+         * @type {CookieFactory}
+         */
+        this.cookieFactory = cookieFactory;
+    }
+
+    /**
+     * Export exchanges to a HAR log.
+     *
+     * The request and response bodies are consumed in the process. Response
+     * bodies that are not valid UTF-8 are base64 encoded.
+     *
+     * @public
+     * @param {Array.<{request: Request, response: Response, startedDateTime: ?Date, timings: ?Object}>} exchanges
+     *     Exchanges to export.
+     * @return {Promise.<Object>} HAR log.
+     */
+    async toHar(exchanges) {
+        const entries = [];
+
+        for (const { request, response, startedDateTime = new Date(), timings = {} } of exchanges) {
+            const harTimings = {blocked: -1, dns: -1, connect: -1, send: 0, wait: 0, receive: 0, ssl: -1, ...timings};
+            const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+                .reduce((total, name) => total + Math.max(harTimings[name], 0), 0);
+
+            entries.push({
+                startedDateTime: startedDateTime.toISOString(),
+                time,
+                request: await this.createHarRequest(request),
+                response: await this.createHarResponse(response),
+                cache: {},
+                timings: harTimings
+            });
+        }
+
+        return {
+            log: {
+                version: "1.2",
+                creator: {name: packageInfo.name, version: packageInfo.version},
+                entries
+            }
+        };
+    }
+
+    /**
+     * Import exchanges from a HAR log.
+     *
+     * Cookies and query parameters that are only listed separately in the
+     * log are added to the headers and URL. Header fields are otherwise kept
+     * as captured, apart from HTTP/2 pseudo header fields, even though the
+     * captured content has already been decoded.
+     *
+     * @public
+     * @param {(string|Object)} har HAR log or its JSON representation.
+     * @return {Array.<{request: Request, response: Response, startedDateTime: Date, time: number, timings: Object}>}
+     *     Imported exchanges.
+     * @throws {TypeError} If the value is not a HAR log.
+     */
+    fromHar(har) {
+        const { log } = typeof har === "string" ? JSON.parse(har) : har;
+
+        if (!log || !Array.isArray(log.entries)) {
+            throw new TypeError("Value is not a HAR log");
+        }
+
+        return log.entries.map(entry => ({
+            request: this.createRequest(entry.request),
+            response: this.createResponse(entry.response),
+            startedDateTime: new Date(entry.startedDateTime),
+            time: entry.time,
+            timings: {...entry.timings}
+        }));
+    }
+
+    /**
+     * Create a HAR request from a request.
+     *
+     * @see http://www.softwareishard.com/blog/har-12-spec/#request
+     * @private
+     * @param {Request} request Request to convert.
+     * @return {Promise.<Object>} HAR request.
+     */
+    async createHarRequest(request) {
+        const body = await request.buffer();
+        const harRequest = {
+            method: request.method,
+            url: request.url.toString(),
+            httpVersion: `HTTP/${request.protocolVersion}`,
+            cookies: request.header("Cookie")
+                .flatMap(value => this.cookieFactory.createCookiesFromHeader(value))
+                .map(({ name, value }) => ({name, value})),
+            headers: this.createHarHeaders(request),
+            queryString: request.url.queryParams.map(([ name, value ]) => ({name, value})),
+            headersSize: -1,
+            bodySize: body.length
+        };
+
+        if (body.length > 0) {
+            const mimeType = request.headerLine("Content-Type");
+            const text = body.toString("utf8");
+
+            harRequest.postData = {mimeType, text};
+
+            if (request.contentType && request.contentType.essence === "application/x-www-form-urlencoded") {
+                harRequest.postData.params = queryString.parsePairs(text).map(([ name, value ]) => ({name, value}));
+            }
+        }
+
+        return harRequest;
+    }
+
+    /**
+     * Create a HAR response from a response.
+     *
+     * @see http://www.softwareishard.com/blog/har-12-spec/#response
+     * @private
+     * @param {Response} response Response to convert.
+     * @return {Promise.<Object>} HAR response.
+     */
+    async createHarResponse(response) {
+        const body = await response.buffer();
+        const text = body.toString("utf8");
+        const content = {size: body.length, mimeType: response.headerLine("Content-Type"), text};
+
+        if (!Buffer.from(text, "utf8").equals(body)) {
+            content.text = body.toString("base64");
+            content.encoding = "base64";
+        }
+
+        return {
+            status: response.statusCode,
+            statusText: response.reasonPhrase || "",
+            httpVersion: `HTTP/${response.protocolVersion}`,
+            cookies: response.header("Set-Cookie")
+                .map(value => this.createHarCookie(value))
+                .filter(cookie => cookie !== null),
+            headers: this.createHarHeaders(response),
+            content,
+            redirectURL: response.headerLine("Location"),
+            headersSize: -1,
+            bodySize: body.length
+        };
+    }
+
+    /**
+     * Create a HAR cookie from a Set-Cookie header value.
+     *
+     * @see http://www.softwareishard.com/blog/har-12-spec/#cookies
+     * @private
+     * @param {string} headerValue Set-Cookie header value.
+     * @return {?Object} HAR cookie or null if the header value is invalid.
+     */
+    createHarCookie(headerValue) {
+        let setCookie;
+
+        try {
+            setCookie = this.cookieFactory.createSetCookieFromHeader(headerValue);
+        } catch (error) {
+            return null;
+        }
+
+        const cookie = {name: setCookie.name, value: setCookie.value};
+
+        if (setCookie.path !== null) {
+            cookie.path = setCookie.path;
+        }
+
+        if (setCookie.domain !== null) {
+            cookie.domain = setCookie.domain;
+        }
+
+        if (setCookie.expires !== null) {
+            cookie.expires = setCookie.expires.toISOString();
+        }
+
+        return {...cookie, httpOnly: setCookie.httpOnly, secure: setCookie.secure};
+    }
+
+    /**
+     * Create a list of HAR headers from the headers of a message.
+     *
+     * @private
+     * @param {Message} message Message to read headers from.
+     * @return {Array.<{name: string, value: string}>} HAR headers.
+     */
+    createHarHeaders(message) {
+        return Object.entries(message.headers)
+            .flatMap(([ name, values ]) => values.map(value => ({name, value})));
+    }
+
+    /**
+     * Create a request from a HAR request.
+     *
+     * @private
+     * @param {Object} harRequest HAR request to convert.
+     * @return {Request} New request instance.
+     */
+    createRequest(harRequest) {
+        const headers = this.createHeaderCollection(harRequest.headers);
+        const cookies = harRequest.cookies || [];
+        const postData = harRequest.postData || {};
+        let url = this.urlFactory.createUrl(harRequest.url);
+        let body = postData.text;
+
+        if (url.query === "") {
+            for (const { name, value } of harRequest.queryString || []) {
+                url = url.withAddedQueryParam(name, value);
+            }
+        }
+
+        if (!headers.has("Cookie") && cookies.length > 0) {
+            headers.set(
+                "Cookie",
+                cookies.map(({ name, value }) => this.cookieFactory.createCookie(name, value).toString()).join("; ")
+            );
+        }
+
+        if (body === undefined && Array.isArray(postData.params)) {
+            body = postData.params
+                .map(({ name, value = "" }) => `${queryString.encode(name)}=${queryString.encode(value)}`)
+                .join("&");
+        }
+
+        return new Request(
+            harRequest.method,
+            url,
+            this.createProtocolVersion(harRequest.httpVersion),
+            headers,
+            this.streamFactory.createStream(body || "")
+        );
+    }
+
+    /**
+     * Create a response from a HAR response.
+     *
+     * @private
+     * @param {Object} harResponse HAR response to convert.
+     * @return {Response} New response instance.
+     */
+    createResponse(harResponse) {
+        const headers = this.createHeaderCollection(harResponse.headers);
+        const cookies = harResponse.cookies || [];
+        const content = harResponse.content || {};
+        const body = Buffer.from(content.text || "", content.encoding === "base64" ? "base64" : "utf8");
+
+        if (!headers.has("Set-Cookie")) {
+            cookies.forEach(cookie => headers.add("Set-Cookie", this.createSetCookie(cookie).toString()));
+        }
+
+        return new Response(
+            harResponse.status,
+            this.createProtocolVersion(harResponse.httpVersion),
+            headers,
+            this.streamFactory.createStream(body),
+            harResponse.statusText || undefined
+        );
+    }
+
+    /**
+     * Create a Set-Cookie from a HAR cookie.
+     *
+     * @private
+     * @param {Object} harCookie HAR cookie to convert.
+     * @return {SetCookie} New Set-Cookie instance.
+     */
+    createSetCookie({ name, value, path, domain, expires, httpOnly = false, secure = false }) {
+        return this.cookieFactory.createSetCookie(name, value)
+            .withPath(path || null)
+            .withDomain(domain || null)
+            .withExpires(expires ? new Date(expires) : null)
+            .withHttpOnly(httpOnly)
+            .withSecure(secure);
+    }
+
+    /**
+     * Create a header collection from HAR headers.
+     *
+     * HTTP/2 pseudo header fields are left out.
+     *
+     * @private
+     * @param {?Array.<{name: string, value: string}>} harHeaders HAR headers to read from.
+     * @return {HeaderCollection} New header collection instance.
+     */
+    createHeaderCollection(harHeaders) {
+        const headers = new HeaderCollection();
+
+        (harHeaders || [])
+            .filter(({ name }) => !name.startsWith(":"))
+            .forEach(({ name, value }) => headers.add(name, value));
+
+        return headers;
+    }
+
+    /**
+     * Create a protocol version from a HAR HTTP version.
+     *
+     * @private
+     * @param {?string} httpVersion HAR HTTP version such as "HTTP/1.1" or "h2".
+     * @return {string} Protocol version, defaulting to "1.1".
+     */
+    createProtocolVersion(httpVersion) {
+        const match = /^(?:HTTP\/|h)([0-9](?:\.[0-9])?)$/i.exec(httpVersion || "");
+
+        return match ? match[1] : "1.1";
+    }
+}
+
+export default HarConverter;
@@ -0,0 +1,22 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Represents a fixed set of URL host types.
+ *
+ * @see https://tools.ietf.org/html/rfc3986#section-3.2.2
+ * @readonly
+ * @enum {string}
+ */
+const HostType = {
+    IPV4: "IPv4",
+    IPV6: "IPv6",
+    IP_FUTURE: "IPvFuture",
+    REGISTERED_NAME: "RegisteredName"
+};
+
+export default HostType;
@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import http from "http";
+import https from "https";
+import { pipeline } from "stream";
+import { unescape as unescapeComponent } from "querystring";
+
+/**
+ * Has the ability to send requests over HTTP and HTTPS.
+ */
+class HttpClient {
+    /**
+     * Create a new client instance.
+     *
+     * @public
+     * @param {ResponseFactory} responseFactory Response factory instance.
+     * @param {Object.<string, *>} [options={}] Additional options passed to http.request(), e.g. an agent.
+     */
+    constructor(responseFactory, options = {}) {
+        /**
+         * Response factory instance.
+         *
+         * @private
+         * @type {ResponseFactory}
+         */
+        this.responseFactory = responseFactory;
+
+        /**
+         * Additional request options.
+         *
+         * @private
+         * @type {Object.<string, *>}
+         */
+        this.options = options;
+    }
+
+    /**
+     * Send a request and return its response.
+     *
+     * The returned promise resolves as soon as the response head has been
+     * received; the body of the response streams the incoming data.
+     *
+     * @public
+     * @param {Request} request Request to send.
+     * @return {Promise.<Response>} Response to the request.
+     */
+    sendRequest(request) {
+        return new Promise((resolve, reject) => {
+            const url = request.url;
+            const transport = this.transport(url.scheme);
+
+            if (!transport) {
+                reject(new TypeError(`Unsupported URL scheme "${url.scheme}"`));
+
+                return;
+            }
+
+            if (url.host.length === 0) {
+                reject(new TypeError(`URL "${url}" has no host`));
+
+                return;
+            }
+
+            const clientRequest = transport.request({
+                ...this.options,
+                method: request.method,
+                hostname: url.host.replace(/^\[(.*)\]$/, "$1"),
+                port: url.port || undefined,
+                path: request.target,
+                auth: this.auth(url),
+                headers: this.requestHeaders(request)
+            });
+
+            clientRequest.on("response", incomingMessage => resolve(this.createResponse(incomingMessage)));
+
+            pipeline(request.body, clientRequest, error => error && reject(error));
+        });
+    }
+
+    /**
+     * Resolve the Node.js module handling the given scheme.
+     *
+     * @private
+     * @param {string} scheme URL scheme.
+     * @return {?Object} The http or https module.
+     */
+    transport(scheme) {
+        switch (scheme) {
+            case "":
+            case "http":
+                return http;
+            case "https":
+                return https;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Retrieve the credentials of a URL in the format expected by
+     * http.request().
+     *
+     * The user information of the URL is percent-encoded while Node.js
+     * sends the credentials as they are, which is why they are decoded.
+     *
+     * @private
+     * @param {Url} url URL of the request.
+     * @return {(string|undefined)} Decoded "user:password" or undefined if the URL has no user.
+     */
+    auth(url) {
+        if (url.userInfo.length === 0) {
+            return undefined;
+        }
+
+        const [ user, password = "" ] = url.userInfo.split(/:(.*)/s);
+
+        return `${unescapeComponent(user)}:${unescapeComponent(password)}`;
+    }
+
+    /**
+     * Retrieve the request headers in the format expected by http.request().
+     *
+     * Headers with multiple values are passed as arrays to have them sent as
+     * separate header fields.
+     *
+     * @private
+     * @param {Request} request Request to send.
+     * @return {Object.<string, (string|Array.<string>)>} Header names and values.
+     */
+    requestHeaders(request) {
+        return Object.entries(request.headers)
+            .reduce((headers, [ name, values ]) => ({
+                ...headers,
+                [name]: values.length === 1 ? values[0] : values
+            }), {});
+    }
+
+    /**
+     * Create a response from an incoming Node.js response.
+     *
+     * @private
+     * @param {http.IncomingMessage} incomingMessage Incoming response.
+     * @return {Response} Response instance streaming the incoming data.
+     */
+    createResponse(incomingMessage) {
+        let response = this.responseFactory.createResponse(incomingMessage.statusCode, incomingMessage.statusMessage)
+            .withProtocolVersion(incomingMessage.httpVersion)
+            .withBody(incomingMessage);
+        const rawHeaders = incomingMessage.rawHeaders;
+
+        for (let index = 0; index < rawHeaders.length; index += 2) {
+            response = response.withAddedHeader(rawHeaders[index], rawHeaders[index + 1]);
+        }
+
+        return response;
+    }
+}
+
+export default HttpClient;
@@ -0,0 +1,219 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Pattern matching a token.
+ *
+ * @see https://tools.ietf.org/html/rfc7230#section-3.2.6
+ * @type {RegExp}
+ */
+const token = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Value object representing a media type.
+ *
+ * The type, subtype and parameter names are case-insensitive and are stored
+ * in lowercase. Parameter values are kept as given.
+ *
+ * Media types are considered immutable; all methods that might change state
+ * MUST be implemented such that they retain the internal state of the current
+ * media type and return an instance that contains the changed state.
+ *
+ * @see https://tools.ietf.org/html/rfc7231#section-3.1.1.1
+ */
+class MediaType {
+    /**
+     * Create a new media type instance.
+     *
+     * @public
+     * @param {string} type Top-level type.
+     * @param {string} subtype Subtype, including any structured syntax suffix.
+     * @param {Object.<string, string>} [parameters={}] Media type parameters.
+     * @throws {TypeError} For invalid types, subtypes or parameter names.
+     */
+    constructor(type, subtype, parameters = {}) {
+        if (!token.test(type) || !token.test(subtype)) {
+            throw new TypeError(`Invalid media type "${type}/${subtype}"`);
+        }
+
+        const invalidName = Object.keys(parameters).find(name => !token.test(name));
+
+        if (invalidName !== undefined) {
+            throw new TypeError(`Invalid media type parameter name "${invalidName}"`);
+        }
+
+        /**
+         * Top-level type.
+         *
+         * @private
+         * @type {string}
+         */
+        this._type = type.toLowerCase();
+
+        /**
+         * Subtype.
+         *
+         * @private
+         * @type {string}
+         */
+        this._subtype = subtype.toLowerCase();
+
+        /**
+         * Media type parameters.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this._parameters = Object.fromEntries(
+            Object.entries(parameters).map(([ name, value ]) => [name.toLowerCase(), String(value)])
+        );
+    }
+
+    /**
+     * Retrieve the top-level type.
+     *
+     * @public
+     * @return {string} Lowercase top-level type.
+     */
+    get type() {
+        return this._type;
+    }
+
+    /**
+     * Retrieve the subtype.
+     *
+     * @public
+     * @return {string} Lowercase subtype, including any structured syntax suffix.
+     */
+    get subtype() {
+        return this._subtype;
+    }
+
+    /**
+     * Retrieve the structured syntax suffix.
+     *
+     * @see https://tools.ietf.org/html/rfc6838#section-4.2.8
+     * @public
+     * @return {?string} Suffix without the "+" character or null if none.
+     */
+    get suffix() {
+        const position = this._subtype.lastIndexOf("+");
+
+        return position === -1 ? null : this._subtype.slice(position + 1);
+    }
+
+    /**
+     * Retrieve the media type without parameters.
+     *
+     * Comparing the essence is the preferred way of checking a media type
+     * since it is not affected by parameters or case.
+     *
+     * @public
+     * @return {string} Media type in "type/subtype" format.
+     */
+    get essence() {
+        return `${this._type}/${this._subtype}`;
+    }
+
+    /**
+     * Retrieve all parameters.
+     *
+     * @public
+     * @return {Object.<string, string>} Parameters keyed by lowercase name.
+     */
+    get parameters() {
+        return {...this._parameters};
+    }
+
+    /**
+     * Retrieve a parameter value by case-insensitive name.
+     *
+     * @public
+     * @param {string} name Case-insensitive parameter name.
+     * @return {?string} Parameter value or null if not present.
+     */
+    parameter(name) {
+        const parameterName = name.toLowerCase();
+
+        return Object.prototype.hasOwnProperty.call(this._parameters, parameterName) ?
+            this._parameters[parameterName] :
+            null;
+    }
+
+    /**
+     * Return an instance with the specified parameter.
+     *
+     * @public
+     * @param {string} name Case-insensitive parameter name.
+     * @param {string} value Parameter value.
+     * @return {this} Media type instance with given parameter.
+     * @throws {TypeError} For invalid parameter names.
+     */
+    withParameter(name, value) {
+        if (this.parameter(name) === value) {
+            return this;
+        }
+
+        return this.createMediaType(this._type, this._subtype, {...this._parameters, [name.toLowerCase()]: value});
+    }
+
+    /**
+     * Return an instance without the specified parameter.
+     *
+     * @public
+     * @param {string} name Case-insensitive parameter name.
+     * @return {this} Media type instance without given parameter.
+     */
+    withoutParameter(name) {
+        if (this.parameter(name) === null) {
+            return this;
+        }
+
+        const parameters = this.parameters;
+        delete parameters[name.toLowerCase()];
+
+        return this.createMediaType(this._type, this._subtype, parameters);
+    }
+
+    /**
+     * Return the string representation of the media type.
+     *
+     * Parameter values that are not tokens are quoted.
+     *
+     * @public
+     * @return {string} Media type suitable for a Content-Type header.
+     */
+    toString() {
+        const parameters = Object.entries(this._parameters).map(([ name, value ]) => {
+            if (token.test(value)) {
+                return `; ${name}=${value}`;
+            }
+
+            return `; ${name}="${value.replace(/["\\]/g, "\\$&")}"`;
+        });
+
+        return this.essence + parameters.join("");
+    }
+
+    /**
+     * Create a new instance of this class.
+     *
+     * Separating this into an overridable method enables extending classes
+     * with non compatible constructors to create their instances here.
+     *
+     * @protected
+     * @param {string} type Top-level type.
+     * @param {string} subtype Subtype.
+     * @param {Object.<string, string>} parameters Media type parameters.
+     * @return {MediaType} New media type instance.
+     */
+    createMediaType(type, subtype, parameters) {
+        return new MediaType(type, subtype, parameters);
+    }
+}
+
+export default MediaType;
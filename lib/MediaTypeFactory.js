@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import MediaType from "./MediaType.js";
+
+/**
+ * Has the ability to create media types.
+ */
+class MediaTypeFactory {
+    /**
+     * Create a new media type.
+     *
+     * @public
+     * @param {string} type Top-level type.
+     * @param {string} subtype Subtype, including any structured syntax suffix.
+     * @param {Object.<string, string>} [parameters={}] Media type parameters.
+     * @return {MediaType} New media type instance.
+     * @throws {TypeError} For invalid types, subtypes or parameter names.
+     */
+    createMediaType(type, subtype, parameters = {}) {
+        return new MediaType(type, subtype, parameters);
+    }
+
+    /**
+     * Create a media type from its string representation.
+     *
+     * Quoted parameter values are unescaped. Empty parameters are ignored and
+     * repeated parameters are overridden by their last occurrence.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-3.1.1.1
+     * @public
+     * @param {string} value Media type, such as a Content-Type header value.
+     * @return {MediaType} New media type instance.
+     * @throws {TypeError} If the value is not a valid media type.
+     */
+    createMediaTypeFromString(value) {
+        const match = value.match(/^[ \t]*([^ \t\/;]+)\/([^ \t;]+)[ \t]*(;.*)?$/s);
+
+        if (!match) {
+            throw new TypeError(`Invalid media type "${value}"`);
+        }
+
+        const [ , type, subtype, parameterList = "" ] = match;
+        const parameterPattern = /;[ \t]*(?:([^ \t=;]+)=("(?:[^"\\]|\\.)*"|[^ \t";]+)[ \t]*)?/ys;
+        const parameters = [];
+
+        while (parameterPattern.lastIndex < parameterList.length) {
+            const parameterMatch = parameterPattern.exec(parameterList);
+
+            if (!parameterMatch) {
+                throw new TypeError(`Invalid media type "${value}"`);
+            }
+
+            const [ , name, parameterValue ] = parameterMatch;
+
+            if (name !== undefined) {
+                parameters.push([
+                    name.toLowerCase(),
+                    parameterValue.charAt(0) === "\"" ? parameterValue.slice(1, -1).replace(/\\(.)/gs, "$1") : parameterValue
+                ]);
+            }
+        }
+
+        return new MediaType(type, subtype, Object.fromEntries(parameters));
+    }
+}
+
+export default MediaTypeFactory;
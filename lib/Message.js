@@ -6,6 +6,46 @@
  */
 
 import HeaderCollection from "./HeaderCollection.js";
+import MediaTypeFactory from "./MediaTypeFactory.js";
+import MultipartParser from "./MultipartParser.js";
+import QueryString from "./QueryString.js";
+import StructuredFieldParser from "./StructuredFieldParser.js";
+import StructuredFieldSerializer from "./StructuredFieldSerializer.js";
+import { Readable } from "stream";
+
+/**
+ * Body streams that have been consumed by a body reader.
+ *
+ * Messages sharing a body stream also share its used state.
+ *
+ * @type {WeakSet.<(stream.Readable|stream.Writable)>}
+ */
+const usedBodies = new WeakSet();
+
+/**
+ * Read a stream while ensuring it does not exceed the given size.
+ *
+ * @private
+ * @param {stream.Readable} stream Stream to read.
+ * @param {number} maxSize Maximum number of bytes to read.
+ * @return {AsyncIterable.<Buffer>} Chunks of the stream.
+ * @throws {RangeError} If the stream exceeds the maximum size.
+ */
+async function* readLimited(stream, maxSize) {
+    let size = 0;
+
+    for await (const chunk of stream) {
+        const buffer = Buffer.from(chunk);
+
+        size += buffer.length;
+
+        if (size > maxSize) {
+            throw new RangeError(`Body exceeds the maximum size of ${maxSize} bytes`);
+        }
+
+        yield buffer;
+    }
+}
 
 /**
  * HTTP messages consist of requests from a client to a server and responses
@@ -255,6 +295,97 @@ class Message {
         );
     }
 
+    /**
+     * Retrieve the media type of the message body.
+     *
+     * @public
+     * @return {?MediaType} Media type of the Content-Type header or null if
+     *     the header is missing or invalid.
+     */
+    get contentType() {
+        if (!this.hasHeader("Content-Type")) {
+            return null;
+        }
+
+        try {
+            return new MediaTypeFactory().createMediaTypeFromString(this.headerLine("Content-Type"));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Return an instance with the specified media type.
+     *
+     * The Content-Type header is replaced with the string representation of
+     * the given media type.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * new media type.
+     *
+     * @public
+     * @param {MediaType} mediaType Media type of the message body.
+     * @return {Message} Message instance with given media type.
+     */
+    withContentType(mediaType) {
+        return this.withHeader("Content-Type", mediaType.toString());
+    }
+
+    /**
+     * Retrieve a header value parsed as a structured field.
+     *
+     * Multiple values of the header are combined before parsing.
+     *
+     * @see https://tools.ietf.org/html/rfc8941
+     * @public
+     * @param {string} name Case-insensitive header field name.
+     * @param {StructuredFieldType} type Top-level type of the header value.
+     * @return {?(StructuredItem|Array.<(StructuredItem|StructuredInnerList)>|Object.<string, (StructuredItem|StructuredInnerList)>)}
+     *     Parsed header value or null if the header is missing or invalid.
+     * @throws {TypeError} For unknown field types.
+     */
+    structuredHeader(name, type) {
+        if (!this.hasHeader(name)) {
+            return null;
+        }
+
+        const parser = new StructuredFieldParser();
+
+        try {
+            return parser.parse(this.headerLine(name), type);
+        } catch (error) {
+            if (error instanceof TypeError) {
+                throw error;
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Return an instance with the specified header set to a structured field.
+     *
+     * Empty lists and dictionaries are not sent, so the header is removed
+     * instead.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * new header value.
+     *
+     * @see https://tools.ietf.org/html/rfc8941
+     * @public
+     * @param {string} name Case-insensitive header field name.
+     * @param {*} value Item, list or dictionary to serialize.
+     * @return {Message} Message instance with given header.
+     * @throws {TypeError} For invalid header names or values that cannot be serialized.
+     */
+    withStructuredHeader(name, value) {
+        const serializedValue = new StructuredFieldSerializer().serialize(value);
+
+        return serializedValue === "" ? this.withoutHeader(name) : this.withHeader(name, serializedValue);
+    }
+
     /**
      * Gets the body of the message.
      *
@@ -291,6 +422,149 @@ class Message {
         );
     }
 
+    /**
+     * Determine if the body has been consumed by a body reader.
+     *
+     * @public
+     * @return {boolean} True if the body has been used.
+     */
+    get bodyUsed() {
+        return usedBodies.has(this._body);
+    }
+
+    /**
+     * Read the body into a buffer.
+     *
+     * @public
+     * @param {Object} [options={}] Reader options.
+     * @param {number} [options.maxSize=Infinity] Maximum size of the body in bytes.
+     * @return {Promise.<Buffer>} Body content.
+     * @throws {TypeError} If the body has already been used.
+     * @throws {RangeError} If the body exceeds the maximum size.
+     */
+    async buffer(options = {}) {
+        const chunks = [];
+
+        for await (const chunk of this.consumeBody(options)) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Read the body into an array buffer.
+     *
+     * @public
+     * @param {Object} [options={}] Reader options.
+     * @param {number} [options.maxSize=Infinity] Maximum size of the body in bytes.
+     * @return {Promise.<ArrayBuffer>} Body content.
+     * @throws {TypeError} If the body has already been used.
+     * @throws {RangeError} If the body exceeds the maximum size.
+     */
+    async arrayBuffer(options = {}) {
+        const buffer = await this.buffer(options);
+
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    }
+
+    /**
+     * Read the body as text.
+     *
+     * The body is decoded using the charset of the Content-Type header,
+     * defaulting to UTF-8.
+     *
+     * @public
+     * @param {Object} [options={}] Reader options.
+     * @param {number} [options.maxSize=Infinity] Maximum size of the body in bytes.
+     * @return {Promise.<string>} Body content.
+     * @throws {TypeError} If the body has already been used.
+     * @throws {RangeError} If the charset is not supported or the body exceeds the maximum size.
+     */
+    async text(options = {}) {
+        const contentType = this.contentType;
+        const decoder = new TextDecoder((contentType && contentType.parameter("charset")) || "utf-8");
+
+        return decoder.decode(await this.buffer(options));
+    }
+
+    /**
+     * Read the body as JSON.
+     *
+     * @public
+     * @param {Object} [options={}] Reader options.
+     * @param {number} [options.maxSize=Infinity] Maximum size of the body in bytes.
+     * @return {Promise.<*>} Deserialized body content.
+     * @throws {TypeError} If the body has already been used.
+     * @throws {RangeError} If the charset is not supported or the body exceeds the maximum size.
+     * @throws {SyntaxError} If the body is not valid JSON.
+     */
+    async json(options = {}) {
+        return JSON.parse(await this.text(options));
+    }
+
+    /**
+     * Read the body as form data.
+     *
+     * Both application/x-www-form-urlencoded and multipart/form-data bodies
+     * are supported and their field names are nested in the same manner. Options
+     * other than the maximum size are passed to the multipart parser.
+     *
+     * @public
+     * @param {Object} [options={}] Reader options.
+     * @param {number} [options.maxSize=Infinity] Maximum size of the body in bytes.
+     * @return {Promise.<{fields: Object.<string, *>, files: Object.<string, *>}>} Parsed fields and files.
+     * @throws {TypeError} If the body has already been used or is not form data.
+     * @throws {RangeError} If the body exceeds the maximum size.
+     * @throws {MultipartError} If a multipart body is malformed or exceeds a limit.
+     */
+    async formData(options = {}) {
+        const { maxSize, ...parserOptions } = options;
+        const contentType = this.contentType;
+        const essence = contentType && contentType.essence;
+
+        if (essence === "application/x-www-form-urlencoded") {
+            return {fields: new QueryString().parse(await this.text({maxSize})), files: {}};
+        }
+
+        if (essence !== "multipart/form-data") {
+            throw new TypeError(`Cannot read form data from a body of type "${this.headerLine("Content-Type")}"`);
+        }
+
+        const body = Readable.from(this.consumeBody({maxSize}), {objectMode: false});
+
+        return new MultipartParser(parserOptions).parse(this.withBody(body));
+    }
+
+    /**
+     * Mark the body as used and return its content.
+     *
+     * A Content-Length header exceeding the maximum size fails before the
+     * body is read.
+     *
+     * @private
+     * @param {Object} options Reader options.
+     * @param {number} [options.maxSize=Infinity] Maximum size of the body in bytes.
+     * @return {AsyncIterable.<Buffer>} Chunks of the body.
+     * @throws {TypeError} If the body has already been used.
+     * @throws {RangeError} If the Content-Length header exceeds the maximum size.
+     */
+    consumeBody({ maxSize = Infinity }) {
+        if (this.bodyUsed) {
+            throw new TypeError("Body has already been used");
+        }
+
+        usedBodies.add(this._body);
+
+        if (parseInt(this.headerLine("Content-Length")) > maxSize) {
+            this._body.destroy();
+
+            throw new RangeError(`Body exceeds the maximum size of ${maxSize} bytes`);
+        }
+
+        return readLimited(this._body, maxSize);
+    }
+
     /**
      * Create a new instance of this class.
      *
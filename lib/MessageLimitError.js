@@ -0,0 +1,39 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import MessageParseError from "./MessageParseError.js";
+
+/**
+ * Error thrown when an HTTP message exceeds a parser limit.
+ *
+ * @extends MessageParseError
+ */
+class MessageLimitError extends MessageParseError {
+    /**
+     * Create a new error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     * @param {number} position Zero based byte offset in the input where parsing failed.
+     * @param {number} limit The limit that was exceeded.
+     */
+    constructor(message, position, limit) {
+        super(message, position);
+
+        this.name = "MessageLimitError";
+
+        /**
+         * The limit that was exceeded.
+         *
+         * @public
+         * @type {number}
+         */
+        this.limit = limit;
+    }
+}
+
+export default MessageLimitError;
@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error thrown when an HTTP message cannot be parsed.
+ *
+ * @extends Error
+ */
+class MessageParseError extends Error {
+    /**
+     * Create a new error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     * @param {number} position Zero based byte offset in the input where parsing failed.
+     */
+    constructor(message, position) {
+        super(message);
+
+        this.name = "MessageParseError";
+
+        /**
+         * Zero based byte offset in the input where parsing failed.
+         *
+         * @public
+         * @type {number}
+         */
+        this.position = position;
+    }
+}
+
+export default MessageParseError;
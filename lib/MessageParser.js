@@ -0,0 +1,588 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import HeaderCollection from "./HeaderCollection.js";
+import MessageLimitError from "./MessageLimitError.js";
+import MessageParseError from "./MessageParseError.js";
+import Request from "./Request.js";
+import Response from "./Response.js";
+import UrlFactory from "./UrlFactory.js";
+import { Readable, finished } from "stream";
+import { promisify } from "util";
+
+/**
+ * Pattern matching a valid header field name or request method.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const token = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Streaming parser of HTTP/1.1 messages.
+ *
+ * Messages are produced as soon as their head has been parsed while their
+ * bodies are read from the input as they are consumed. The start line
+ * determines whether a request or a response is produced.
+ *
+ * Line folding in header fields is replaced by a single space. Bodies are
+ * delimited by chunked transfer coding, the Content-Length header or, for
+ * responses, the end of the input. Trailer fields of chunked bodies are
+ * available through the trailers property of the body stream once it has
+ * ended.
+ *
+ * Responses to HEAD requests carry no body regardless of their headers,
+ * which cannot be determined from the response alone, so they should not be
+ * parsed together with other messages.
+ *
+ * @see https://tools.ietf.org/html/rfc7230
+ */
+class MessageParser {
+    /**
+     * Create a new parser instance.
+     *
+     * @public
+     * @param {UrlFactory} urlFactory URL factory instance.
+     * @param {Object} [options={}] Parser options.
+     * @param {number} [options.maxHeaderSize=16384] Maximum size of the header section in bytes.
+     * @param {number} [options.maxHeaderCount=100] Maximum number of header fields.
+     */
+    constructor(urlFactory, options = {}) {
+        /**
+         * URL factory instance.
+         *
+         * @private
+         * @type {UrlFactory}
+         */
+        this.urlFactory = urlFactory;
+
+        /**
+         * Parser options.
+         *
+         * @private
+         * @type {Object}
+         */
+        this.options = {
+            maxHeaderSize: 16384,
+            maxHeaderCount: 100,
+            ...options
+        };
+    }
+
+    /**
+     * Parse the first message of the input.
+     *
+     * @public
+     * @param {(Buffer|Uint8Array|string|stream.Readable|AsyncIterable|Iterable)} input Raw message bytes.
+     * @return {Promise.<(Request|Response)>} Parsed message.
+     * @throws {MessageParseError} If the message head is malformed.
+     * @throws {MessageLimitError} If the message head exceeds a limit.
+     */
+    async parse(input) {
+        const message = await this.readMessage(this.createState(input));
+
+        if (message === null) {
+            throw new MessageParseError("Unexpected end of input", 0);
+        }
+
+        return message;
+    }
+
+    /**
+     * Parse all messages of the input.
+     *
+     * Each message is produced once the body of the previous message has
+     * been read. Bodies that have not been read when the next message is
+     * requested are discarded.
+     *
+     * @public
+     * @param {(Buffer|Uint8Array|string|stream.Readable|AsyncIterable|Iterable)} input Raw message bytes.
+     * @return {AsyncIterable.<(Request|Response)>} Parsed messages.
+     * @throws {MessageParseError} If a message head is malformed.
+     * @throws {MessageLimitError} If a message head exceeds a limit.
+     */
+    async* parseAll(input) {
+        const state = this.createState(input);
+        let message;
+
+        while ((message = await this.readMessage(state)) !== null) {
+            yield message;
+
+            await promisify(finished)(message.body.resume());
+        }
+    }
+
+    /**
+     * Create the parse state of an input.
+     *
+     * @private
+     * @param {(Buffer|Uint8Array|string|stream.Readable|AsyncIterable|Iterable)} input Raw message bytes.
+     * @return {Object} Parse state.
+     */
+    createState(input) {
+        const source = typeof input === "string" || input instanceof Uint8Array ? [input] : input;
+
+        return {
+            iterator: (async function* () {
+                yield* source;
+            })(),
+            buffer: Buffer.alloc(0),
+            offset: 0,
+            ended: false
+        };
+    }
+
+    /**
+     * Read the next message from the input.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @return {Promise.<?(Request|Response)>} Parsed message or null if the input has ended.
+     * @throws {MessageParseError} If the message head is malformed.
+     * @throws {MessageLimitError} If the message head exceeds a limit.
+     */
+    async readMessage(state) {
+        const lines = await this.readSection(state, true);
+
+        if (lines === null) {
+            return null;
+        }
+
+        const [ startLine, ...fieldLines ] = lines;
+        const headers = this.parseFields(fieldLines);
+
+        if (startLine.line.startsWith("HTTP/")) {
+            return this.createResponse(state, startLine, headers);
+        }
+
+        return this.createRequest(state, startLine, headers);
+    }
+
+    /**
+     * Create a request from its request line and headers.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-3.1.1
+     * @private
+     * @param {Object} state Parse state.
+     * @param {{line: string, position: number}} requestLine Request line.
+     * @param {HeaderCollection} headers Request headers.
+     * @return {Request} New request instance.
+     * @throws {MessageParseError} If the request line or the framing headers are invalid.
+     */
+    createRequest(state, { line, position }, headers) {
+        const match = /^(\S+) (\S+) HTTP\/([0-9]\.[0-9])$/.exec(line);
+
+        if (!match || !token.test(match[1])) {
+            throw new MessageParseError(`Invalid request line "${line}"`, position);
+        }
+
+        const [ , method, target, protocolVersion ] = match;
+
+        return new Request(
+            method,
+            this.createUrl(target, headers, position),
+            protocolVersion,
+            headers,
+            this.createBody(state, headers, false),
+            target.startsWith("/") ? undefined : target,
+            false
+        );
+    }
+
+    /**
+     * Create a response from its status line and headers.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-3.1.2
+     * @private
+     * @param {Object} state Parse state.
+     * @param {{line: string, position: number}} statusLine Status line.
+     * @param {HeaderCollection} headers Response headers.
+     * @return {Response} New response instance.
+     * @throws {MessageParseError} If the status line or the framing headers are invalid.
+     */
+    createResponse(state, { line, position }, headers) {
+        const match = /^HTTP\/([0-9]\.[0-9]) ([0-9]{3})(?: (.*))?$/.exec(line);
+
+        if (!match) {
+            throw new MessageParseError(`Invalid status line "${line}"`, position);
+        }
+
+        const [ , protocolVersion, status, reasonPhrase ] = match;
+        const statusCode = parseInt(status);
+        const hasBody = statusCode >= 200 && statusCode !== 204 && statusCode !== 304;
+
+        return new Response(
+            statusCode,
+            protocolVersion,
+            headers,
+            hasBody ? this.createBody(state, headers, true) : Readable.from([], {objectMode: false}),
+            reasonPhrase
+        );
+    }
+
+    /**
+     * Create the URL of a request from its request target.
+     *
+     * The host of origin-form and asterisk-form targets is taken from the
+     * Host header.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-5.3
+     * @private
+     * @param {string} target Request target.
+     * @param {HeaderCollection} headers Request headers.
+     * @param {number} position Position of the request line.
+     * @return {Url} URL of the request.
+     * @throws {MessageParseError} If the request target or Host header is invalid.
+     */
+    createUrl(target, headers, position) {
+        const host = headers.get("Host")[0];
+        let reference = `//${target}`;
+
+        if (target === "*") {
+            reference = host ? `//${host}` : "";
+        } else if (target.startsWith("/")) {
+            reference = host ? `//${host}${target}` : target;
+        } else if (/^[A-Za-z][A-Za-z0-9+\-.]*:\/\//.test(target)) {
+            reference = target;
+        }
+
+        try {
+            return this.urlFactory.createUrl(reference);
+        } catch (error) {
+            throw new MessageParseError(`Invalid request target "${target}": ${error.message}`, position);
+        }
+    }
+
+    /**
+     * Create the body stream of a message.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-3.3.3
+     * @private
+     * @param {Object} state Parse state.
+     * @param {HeaderCollection} headers Message headers.
+     * @param {boolean} isResponse Whether the message is a response.
+     * @return {stream.Readable} Message body.
+     * @throws {MessageParseError} If the framing headers are invalid.
+     */
+    createBody(state, headers, isResponse) {
+        const trailers = {};
+        const body = Readable.from(this.readBody(state, headers, isResponse, trailers), {objectMode: false});
+
+        body.trailers = trailers;
+
+        return body;
+    }
+
+    /**
+     * Determine how the body of a message is delimited and read it.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @param {HeaderCollection} headers Message headers.
+     * @param {boolean} isResponse Whether the message is a response.
+     * @param {Object.<string, Array.<string>>} trailers Trailer fields to populate.
+     * @return {AsyncIterable.<Buffer>} Chunks of the body.
+     * @throws {MessageParseError} If the framing headers are invalid.
+     */
+    readBody(state, headers, isResponse, trailers) {
+        if (headers.has("Transfer-Encoding")) {
+            const codings = this.splitList(headers.get("Transfer-Encoding")).map(coding => coding.toLowerCase());
+
+            if (codings[codings.length - 1] === "chunked") {
+                return this.readChunked(state, trailers);
+            }
+
+            if (!isResponse) {
+                throw new MessageParseError("Request body is not chunked", state.offset);
+            }
+
+            return this.readRemaining(state);
+        }
+
+        if (headers.has("Content-Length")) {
+            const values = this.splitList(headers.get("Content-Length"));
+
+            if (!values.every(value => /^[0-9]+$/.test(value) && value === values[0])) {
+                throw new MessageParseError("Invalid Content-Length header", state.offset);
+            }
+
+            return this.readLength(state, parseInt(values[0]));
+        }
+
+        return isResponse ? this.readRemaining(state) : this.readLength(state, 0);
+    }
+
+    /**
+     * Read a body of a known length.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @param {number} length Length of the body in bytes.
+     * @return {AsyncIterable.<Buffer>} Chunks of the body.
+     * @throws {MessageParseError} If the input ends before the body.
+     */
+    async* readLength(state, length) {
+        let remaining = length;
+
+        while (remaining > 0) {
+            if (state.buffer.length === 0 && !await this.fill(state)) {
+                throw new MessageParseError("Unexpected end of message body", state.offset);
+            }
+
+            const data = this.consume(state, Math.min(remaining, state.buffer.length));
+
+            remaining -= data.length;
+
+            yield data;
+        }
+    }
+
+    /**
+     * Read a body delimited by the end of the input.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @return {AsyncIterable.<Buffer>} Chunks of the body.
+     */
+    async* readRemaining(state) {
+        do {
+            if (state.buffer.length > 0) {
+                yield this.consume(state, state.buffer.length);
+            }
+        } while (await this.fill(state));
+    }
+
+    /**
+     * Read a body with chunked transfer coding.
+     *
+     * Chunk extensions are ignored.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-4.1
+     * @private
+     * @param {Object} state Parse state.
+     * @param {Object.<string, Array.<string>>} trailers Trailer fields to populate.
+     * @return {AsyncIterable.<Buffer>} Chunks of the body.
+     * @throws {MessageParseError} If the chunked body is malformed.
+     * @throws {MessageLimitError} If the trailer section exceeds a limit.
+     */
+    async* readChunked(state, trailers) {
+        while (true) {
+            const sizeLine = await this.readLine(state, this.options.maxHeaderSize, "Chunk size line");
+
+            if (sizeLine === null) {
+                throw new MessageParseError("Unexpected end of chunked body", state.offset);
+            }
+
+            const match = /^([0-9A-Fa-f]+)[ \t]*(?:;.*)?$/.exec(sizeLine.line);
+
+            if (!match) {
+                throw new MessageParseError(`Invalid chunk size line "${sizeLine.line}"`, sizeLine.position);
+            }
+
+            const size = parseInt(match[1], 16);
+
+            if (size === 0) {
+                break;
+            }
+
+            yield* this.readLength(state, size);
+
+            const lineEnd = await this.readLine(state, this.options.maxHeaderSize, "Chunk data");
+
+            if (lineEnd === null || lineEnd.line !== "") {
+                const position = lineEnd === null ? state.offset : lineEnd.position;
+
+                throw new MessageParseError("Missing line break after chunk data", position);
+            }
+        }
+
+        Object.assign(trailers, this.parseFields(await this.readSection(state, false)).all());
+    }
+
+    /**
+     * Read the lines of a header or trailer section.
+     *
+     * Empty lines preceding a message head are ignored.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @param {boolean} isHead Whether the section is a message head.
+     * @return {Promise.<?Array.<{line: string, position: number}>>} Lines of the section or null if the
+     *     input ended before a message head.
+     * @throws {MessageParseError} If the input ends within the section.
+     * @throws {MessageLimitError} If the section exceeds the size limit.
+     */
+    async readSection(state, isHead) {
+        const subject = isHead ? "Header section" : "Trailer section";
+        const lines = [];
+        let size = 0;
+
+        while (true) {
+            const result = await this.readLine(state, this.options.maxHeaderSize - size, subject);
+
+            if (result === null) {
+                if (isHead && lines.length === 0 && state.buffer.length === 0) {
+                    return null;
+                }
+
+                throw new MessageParseError(`Unexpected end of ${subject.toLowerCase()}`, state.offset);
+            }
+
+            size += result.size;
+
+            if (result.line !== "") {
+                lines.push(result);
+            } else if (lines.length > 0 || !isHead) {
+                return lines;
+            }
+        }
+    }
+
+    /**
+     * Read a line terminated by a line feed, optionally preceded by a
+     * carriage return.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @param {number} limit Maximum size of the line in bytes.
+     * @param {string} subject Description of what is being read.
+     * @return {Promise.<?{line: string, position: number, size: number}>} Line without its terminator or
+     *     null if the input ended before a complete line.
+     * @throws {MessageLimitError} If the line exceeds the size limit.
+     */
+    async readLine(state, limit, subject) {
+        let index = state.buffer.indexOf(0x0a);
+
+        while (index === -1 && state.buffer.length < limit && await this.fill(state)) {
+            index = state.buffer.indexOf(0x0a);
+        }
+
+        if (index >= limit || (index === -1 && state.buffer.length >= limit)) {
+            const maxHeaderSize = this.options.maxHeaderSize;
+
+            throw new MessageLimitError(
+                `${subject} exceeds the size limit of ${maxHeaderSize} bytes`,
+                state.offset,
+                maxHeaderSize
+            );
+        }
+
+        if (index === -1) {
+            return null;
+        }
+
+        const position = state.offset;
+        const line = this.consume(state, index + 1).toString("latin1").replace(/\r?\n$/, "");
+
+        return {line, position, size: index + 1};
+    }
+
+    /**
+     * Parse header field lines.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-3.2
+     * @private
+     * @param {Array.<{line: string, position: number}>} lines Header field lines.
+     * @return {HeaderCollection} Parsed header fields.
+     * @throws {MessageParseError} If a header field is malformed.
+     * @throws {MessageLimitError} If the number of header fields exceeds the limit.
+     */
+    parseFields(lines) {
+        const fields = [];
+
+        for (const { line, position } of lines) {
+            if (/^[ \t]/.test(line)) {
+                if (fields.length === 0) {
+                    throw new MessageParseError("Unexpected folded header field line", position);
+                }
+
+                const field = fields[fields.length - 1];
+
+                field.value = `${field.value} ${line.trim()}`.trim();
+
+                continue;
+            }
+
+            const match = /^([^:]*):[ \t]*(.*?)[ \t]*$/.exec(line);
+
+            if (!match || !token.test(match[1])) {
+                throw new MessageParseError(`Invalid header field line "${line}"`, position);
+            }
+
+            if (fields.length === this.options.maxHeaderCount) {
+                throw new MessageLimitError(
+                    `Number of header fields exceeds the limit of ${this.options.maxHeaderCount}`,
+                    position,
+                    this.options.maxHeaderCount
+                );
+            }
+
+            fields.push({name: match[1], value: match[2]});
+        }
+
+        const headers = new HeaderCollection();
+
+        fields.forEach(({ name, value }) => headers.add(name, value));
+
+        return headers;
+    }
+
+    /**
+     * Split comma separated header values into their elements.
+     *
+     * @private
+     * @param {Array.<string>} values Header values.
+     * @return {Array.<string>} Non empty list elements.
+     */
+    splitList(values) {
+        return values.join(",").split(",").map(value => value.trim()).filter(value => value.length > 0);
+    }
+
+    /**
+     * Read the next chunk of the input into the buffer.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @return {Promise.<boolean>} True if data was read, false if the input has ended.
+     */
+    async fill(state) {
+        if (state.ended) {
+            return false;
+        }
+
+        const { done, value } = await state.iterator.next();
+
+        if (done) {
+            state.ended = true;
+
+            return false;
+        }
+
+        state.buffer = Buffer.concat([state.buffer, Buffer.from(value)]);
+
+        return true;
+    }
+
+    /**
+     * Remove bytes from the start of the buffer.
+     *
+     * @private
+     * @param {Object} state Parse state.
+     * @param {number} length Number of bytes to remove.
+     * @return {Buffer} Removed bytes.
+     */
+    consume(state, length) {
+        const data = state.buffer.subarray(0, length);
+
+        state.buffer = state.buffer.subarray(length);
+        state.offset += length;
+
+        return data;
+    }
+}
+
+export default MessageParser;
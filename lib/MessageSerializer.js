@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Message from "./Message.js";
+import Request from "./Request.js";
+import Response from "./Response.js";
+import { Readable } from "stream";
+
+/**
+ * Has the ability to serialize messages to the HTTP/1.1 wire format.
+ *
+ * The start line is followed by one header field line per header value, an
+ * empty line and the body. Headers are written as they are unless chunked
+ * transfer coding is requested, in which case any Content-Length header is
+ * replaced by a Transfer-Encoding header.
+ *
+ * @see https://tools.ietf.org/html/rfc7230#section-3
+ */
+class MessageSerializer {
+    /**
+     * Serialize a message.
+     *
+     * The message body is consumed in the process.
+     *
+     * @public
+     * @param {Message} message Request or response to serialize.
+     * @param {Object} [options={}] Serializer options.
+     * @param {boolean} [options.chunked=false] Whether to use chunked transfer coding.
+     * @return {Promise.<Buffer>} Serialized message.
+     * @throws {TypeError} If the message is neither a request nor a response.
+     */
+    async serialize(message, options = {}) {
+        const chunks = [];
+
+        for await (const chunk of this.toStream(message, options)) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Serialize a message into a stream.
+     *
+     * The message body is streamed as it is read, which makes this suitable
+     * for writing large messages to a socket.
+     *
+     * @public
+     * @param {Message} message Request or response to serialize.
+     * @param {Object} [options={}] Serializer options.
+     * @param {boolean} [options.chunked=false] Whether to use chunked transfer coding.
+     * @return {stream.Readable} Stream of the serialized message.
+     * @throws {TypeError} If the message is neither a request nor a response.
+     */
+    toStream(message, { chunked = false } = {}) {
+        const head = Buffer.from(this.serializeHead(message, chunked), "latin1");
+
+        return Readable.from(this.serializeMessage(head, message.body, chunked), {objectMode: false});
+    }
+
+    /**
+     * Serialize the start line and header fields of a message.
+     *
+     * @private
+     * @param {Message} message Request or response to serialize.
+     * @param {boolean} chunked Whether to use chunked transfer coding.
+     * @return {string} Serialized message head including the empty line.
+     * @throws {TypeError} If the message is neither a request nor a response.
+     */
+    serializeHead(message, chunked) {
+        const headers = chunked ?
+            message.withoutHeader("Content-Length").withHeader("Transfer-Encoding", "chunked").headers :
+            message.headers;
+        const lines = [this.serializeStartLine(message)];
+
+        for (const [ name, values ] of Object.entries(headers)) {
+            values.forEach(value => lines.push(`${name}: ${value}`));
+        }
+
+        return `${lines.join("\r\n")}\r\n\r\n`;
+    }
+
+    /**
+     * Serialize the start line of a message.
+     *
+     * @see https://tools.ietf.org/html/rfc7230#section-3.1
+     * @private
+     * @param {Message} message Request or response to serialize.
+     * @return {string} Request line or status line.
+     * @throws {TypeError} If the message is neither a request nor a response.
+     */
+    serializeStartLine(message) {
+        if (message instanceof Request) {
+            return `${message.method} ${message.target} HTTP/${message.protocolVersion}`;
+        }
+
+        if (message instanceof Response) {
+            return `HTTP/${message.protocolVersion} ${message.statusCode} ${message.reasonPhrase || ""}`;
+        }
+
+        throw new TypeError("Only requests and responses can be serialized");
+    }
+
+    /**
+     * Produce the chunks of a serialized message.
+     *
+     * @private
+     * @param {Buffer} head Serialized message head.
+     * @param {stream.Readable} body Message body.
+     * @param {boolean} chunked Whether to use chunked transfer coding.
+     * @return {AsyncIterable.<Buffer>} Chunks of the serialized message.
+     */
+    async* serializeMessage(head, body, chunked) {
+        yield head;
+
+        for await (const data of body) {
+            const chunk = Buffer.from(data);
+
+            if (!chunked) {
+                yield chunk;
+            } else if (chunk.length > 0) {
+                yield Buffer.concat([Buffer.from(`${chunk.length.toString(16)}\r\n`), chunk, Buffer.from("\r\n")]);
+            }
+        }
+
+        if (chunked) {
+            yield Buffer.from("0\r\n\r\n");
+        }
+    }
+}
+
+export default MessageSerializer;
@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A request handler composed of a sequence of middleware.
+ *
+ * A request handler has a single method, handle(request), which receives a
+ * request and resolves to a response. A middleware has a single method,
+ * process(request, handler), which receives a request and the handler of
+ * the remaining pipeline; it may produce a response itself or delegate to
+ * the handler.
+ *
+ * Each middleware is invoked in the order it was added. If the last
+ * middleware delegates to its handler, the fallback handler produces the
+ * response.
+ *
+ * Pipelines are considered immutable; all methods that might change state
+ * MUST be implemented such that they retain the internal state of the current
+ * pipeline and return an instance that contains the changed state.
+ */
+class MiddlewarePipeline {
+    /**
+     * Create a new pipeline instance.
+     *
+     * @public
+     * @param {{handle: function(Request): Promise.<Response>}} fallbackHandler Handler invoked
+     *     when the request has passed through all middleware.
+     * @param {Array.<{process: function(Request, Object): Promise.<Response>}>} [middleware=[]]
+     *     List of middleware in the order they should be invoked.
+     */
+    constructor(fallbackHandler, middleware = []) {
+        /**
+         * Handler invoked when the request has passed through all middleware.
+         *
+         * @private
+         * @type {{handle: function(Request): Promise.<Response>}}
+         */
+        this.fallbackHandler = fallbackHandler;
+
+        /**
+         * List of middleware in the order they should be invoked.
+         *
+         * @private
+         * @type {Array.<{process: function(Request, Object): Promise.<Response>}>}
+         */
+        this.middleware = middleware;
+    }
+
+    /**
+     * Return an instance with the given middleware appended to the pipeline.
+     *
+     * @public
+     * @param {{process: function(Request, Object): Promise.<Response>}} middleware Middleware to append.
+     * @return {MiddlewarePipeline} Pipeline instance with given middleware.
+     */
+    withMiddleware(middleware) {
+        return new MiddlewarePipeline(this.fallbackHandler, [...this.middleware, middleware]);
+    }
+
+    /**
+     * Handle a request by passing it through the pipeline.
+     *
+     * @public
+     * @param {Request} request Request to handle.
+     * @return {Promise.<Response>} Response produced by the pipeline.
+     */
+    handle(request) {
+        return this.createHandler(0).handle(request);
+    }
+
+    /**
+     * Create a handler delegating to the middleware at the given position.
+     *
+     * @private
+     * @param {number} index Position of the middleware in the pipeline.
+     * @return {{handle: function(Request): Promise.<Response>}} Handler of the remaining pipeline.
+     */
+    createHandler(index) {
+        return {
+            handle: async request => index < this.middleware.length ?
+                this.middleware[index].process(request, this.createHandler(index + 1)) :
+                this.fallbackHandler.handle(request)
+        };
+    }
+}
+
+export default MiddlewarePipeline;
@@ -0,0 +1,27 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error thrown when a multipart body is malformed or exceeds a limit.
+ *
+ * @extends Error
+ */
+class MultipartError extends Error {
+    /**
+     * Create a new error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     */
+    constructor(message) {
+        super(message);
+
+        this.name = "MultipartError";
+    }
+}
+
+export default MultipartError;
@@ -0,0 +1,433 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import MultipartError from "./MultipartError.js";
+import QueryString from "./QueryString.js";
+import UploadError from "./UploadError.js";
+import UploadedFile from "./UploadedFile.js";
+import { randomBytes } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Query string instance used to structure field and file names.
+ *
+ * @private
+ * @type {QueryString}
+ */
+const queryString = new QueryString();
+
+/**
+ * Streaming parser of multipart/form-data message bodies.
+ *
+ * Field values are collected in memory while file contents are held in
+ * memory until they exceed the memory limit, at which point they are
+ * written to a temporary file instead.
+ *
+ * Temporary files are removed if parsing fails; otherwise it is up to the
+ * consumer to move or remove them.
+ *
+ * @see https://tools.ietf.org/html/rfc7578
+ */
+class MultipartParser {
+    /**
+     * Create a new parser instance.
+     *
+     * @public
+     * @param {Object} [options={}] Parser options.
+     * @param {number} [options.maxFiles=Infinity] Maximum number of files.
+     * @param {number} [options.maxFileSize=Infinity] Maximum size of a file in bytes.
+     * @param {number} [options.maxFieldSize=1048576] Maximum size of a field value in bytes.
+     * @param {number} [options.maxHeaderSize=16384] Maximum size of the headers of a part in bytes.
+     * @param {number} [options.memoryLimit=65536] Size in bytes above which file contents are
+     *     written to a temporary file.
+     * @param {string} [options.temporaryDirectory=os.tmpdir()] Directory of temporary files.
+     */
+    constructor(options = {}) {
+        /**
+         * Parser options.
+         *
+         * @private
+         * @type {Object}
+         */
+        this.options = {
+            maxFiles: Infinity,
+            maxFileSize: Infinity,
+            maxFieldSize: 1048576,
+            maxHeaderSize: 16384,
+            memoryLimit: 65536,
+            temporaryDirectory: os.tmpdir(),
+            ...options
+        };
+    }
+
+    /**
+     * Parse the body of a multipart/form-data message.
+     *
+     * Files exceeding the maximum file size are discarded and reported
+     * through the error of the resulting uploaded file.
+     *
+     * Field and file names are structured in the same manner as query string
+     * parameter names, where "a[b][]" represents the structure {a: {b: []}}.
+     * Names with a "__proto__" key are ignored.
+     *
+     * @public
+     * @param {Message} message Message with a multipart/form-data body.
+     * @return {Promise.<{fields: Object.<string, *>, files: Object.<string, *>}>} Parsed fields and files.
+     * @throws {MultipartError} If the body is malformed or exceeds a limit.
+     */
+    async parse(message) {
+        const boundary = this.boundary(message.contentType);
+        const result = {fields: {}, files: {}, fileCount: 0, temporaryFiles: [], part: null};
+
+        try {
+            await this.consume(message.body, boundary, result);
+        } catch (error) {
+            if (result.part && result.part.handle) {
+                await result.part.handle.close().catch(() => {});
+            }
+
+            await Promise.all(result.temporaryFiles.map(file => fs.promises.unlink(file).catch(() => {})));
+
+            throw error;
+        }
+
+        return {fields: result.fields, files: result.files};
+    }
+
+    /**
+     * Retrieve the boundary from the media type of a message.
+     *
+     * @private
+     * @param {?MediaType} contentType Media type of the message.
+     * @return {string} Multipart boundary.
+     * @throws {MultipartError} If the content type has no boundary.
+     */
+    boundary(contentType) {
+        if (!contentType || contentType.essence !== "multipart/form-data" || !contentType.parameter("boundary")) {
+            throw new MultipartError("Content type is not multipart/form-data with a boundary");
+        }
+
+        return contentType.parameter("boundary");
+    }
+
+    /**
+     * Consume the body stream and populate the result.
+     *
+     * @private
+     * @param {stream.Readable} body Message body.
+     * @param {string} boundary Multipart boundary.
+     * @param {Object} result Parse result to populate.
+     * @return {Promise} Resolves when the body has been consumed.
+     * @throws {MultipartError} If the body is malformed or exceeds a limit.
+     */
+    async consume(body, boundary, result) {
+        const delimiter = Buffer.from(`\r\n--${boundary}`);
+        let state = "preamble";
+
+        // The first delimiter is not required to be preceded by a line break.
+        let buffer = Buffer.from("\r\n");
+
+        for await (const chunk of body) {
+            buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+            let hasData = true;
+
+            while (hasData && state !== "epilogue") {
+                if (state === "preamble") {
+                    const index = buffer.indexOf(delimiter);
+
+                    if (index === -1) {
+                        buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length));
+                        hasData = false;
+
+                        continue;
+                    }
+
+                    buffer = buffer.subarray(index + delimiter.length);
+                    state = "delimiter";
+                } else if (state === "delimiter") {
+                    const lineEnd = buffer.indexOf("\r\n");
+
+                    if (buffer.subarray(0, 2).toString() === "--") {
+                        state = "epilogue";
+                    } else if (lineEnd === -1) {
+                        this.assertSize(buffer.length, this.options.maxHeaderSize, "Multipart delimiter");
+                        hasData = false;
+                    } else if (buffer.subarray(0, lineEnd).toString().trim().length > 0) {
+                        throw new MultipartError("Malformed multipart delimiter");
+                    } else {
+                        buffer = buffer.subarray(lineEnd + 2);
+                        state = "headers";
+                    }
+                } else if (state === "headers") {
+                    const headerEnd = buffer.subarray(0, 2).toString() === "\r\n" ? 0 : buffer.indexOf("\r\n\r\n");
+
+                    if (headerEnd === -1) {
+                        this.assertSize(buffer.length, this.options.maxHeaderSize, "Multipart part headers");
+                        hasData = false;
+
+                        continue;
+                    }
+
+                    this.assertSize(headerEnd, this.options.maxHeaderSize, "Multipart part headers");
+                    result.part = this.createPart(buffer.subarray(0, headerEnd).toString("utf8"), result);
+                    buffer = buffer.subarray(headerEnd + (headerEnd === 0 ? 2 : 4));
+                    state = "body";
+                } else {
+                    const index = buffer.indexOf(delimiter);
+
+                    if (index === -1) {
+                        const safeLength = buffer.length - delimiter.length;
+
+                        if (safeLength > 0) {
+                            await this.write(result.part, buffer.subarray(0, safeLength), result);
+                            buffer = buffer.subarray(safeLength);
+                        }
+
+                        hasData = false;
+
+                        continue;
+                    }
+
+                    await this.write(result.part, buffer.subarray(0, index), result);
+                    await this.finish(result.part, result);
+                    result.part = null;
+                    buffer = buffer.subarray(index + delimiter.length);
+                    state = "delimiter";
+                }
+            }
+        }
+
+        if (state !== "epilogue") {
+            throw new MultipartError("Unexpected end of multipart body");
+        }
+    }
+
+    /**
+     * Create a part from its headers.
+     *
+     * @private
+     * @param {string} headerSection Headers of the part.
+     * @param {Object} result Parse result.
+     * @return {Object} Part state.
+     * @throws {MultipartError} If the maximum number of files is exceeded.
+     */
+    createPart(headerSection, result) {
+        const headers = headerSection.split("\r\n")
+            .filter(line => line.length > 0)
+            .reduce((headers, line) => {
+                const [ name, value = "" ] = line.split(/:(.*)/s);
+
+                return {...headers, [name.trim().toLowerCase()]: value.trim()};
+            }, {});
+        const disposition = this.parseParameters(headers["content-disposition"] || "");
+        const filename = disposition["filename*"] !== undefined ?
+            this.decodeExtendedValue(disposition["filename*"]) :
+            disposition.filename;
+        const part = {name: disposition.name, chunks: [], size: 0};
+
+        if (filename === undefined) {
+            return {...part, isFile: false};
+        }
+
+        if (++result.fileCount > this.options.maxFiles) {
+            throw new MultipartError(`Number of files exceeds the limit of ${this.options.maxFiles}`);
+        }
+
+        return {
+            ...part,
+            isFile: true,
+            filename,
+            mediaType: headers["content-type"] || null,
+            error: UploadError.OK,
+            handle: null,
+            path: null
+        };
+    }
+
+    /**
+     * Write data to a part.
+     *
+     * @private
+     * @param {Object} part Part state.
+     * @param {Buffer} data Data to write.
+     * @param {Object} result Parse result.
+     * @return {Promise} Resolves when the data has been written.
+     * @throws {MultipartError} If the maximum field size is exceeded.
+     */
+    async write(part, data, result) {
+        if (data.length === 0) {
+            return;
+        }
+
+        part.size += data.length;
+
+        if (!part.isFile) {
+            this.assertSize(part.size, this.options.maxFieldSize, `Field "${part.name}"`);
+            part.chunks.push(data);
+
+            return;
+        }
+
+        if (part.error !== UploadError.OK) {
+            return;
+        }
+
+        if (part.size > this.options.maxFileSize) {
+            await this.discard(part, UploadError.FILE_TOO_LARGE);
+
+            return;
+        }
+
+        try {
+            if (part.handle) {
+                await part.handle.write(data);
+
+                return;
+            }
+
+            part.chunks.push(Buffer.from(data));
+
+            if (part.size > this.options.memoryLimit) {
+                part.path = path.join(this.options.temporaryDirectory, `upload-${randomBytes(12).toString("hex")}`);
+                part.handle = await fs.promises.open(part.path, "wx");
+                result.temporaryFiles.push(part.path);
+
+                await part.handle.write(Buffer.concat(part.chunks));
+                part.chunks = [];
+            }
+        } catch (error) {
+            await this.discard(part, UploadError.CANT_WRITE);
+        }
+    }
+
+    /**
+     * Discard the content of a file part.
+     *
+     * @private
+     * @param {Object} part Part state.
+     * @param {UploadError} error Reason for discarding the content.
+     * @return {Promise} Resolves when the content has been discarded.
+     */
+    async discard(part, error) {
+        part.error = error;
+        part.chunks = [];
+
+        if (part.handle) {
+            await part.handle.close().catch(() => {});
+            part.handle = null;
+        }
+
+        if (part.path) {
+            await fs.promises.unlink(part.path).catch(() => {});
+        }
+    }
+
+    /**
+     * Add a completed part to the result.
+     *
+     * @private
+     * @param {Object} part Part state.
+     * @param {Object} result Parse result.
+     * @return {Promise} Resolves when the part has been added.
+     */
+    async finish(part, result) {
+        if (part.name === undefined) {
+            await this.discard(part, UploadError.OK);
+
+            return;
+        }
+
+        if (!part.isFile) {
+            queryString.append(result.fields, part.name, Buffer.concat(part.chunks).toString("utf8"));
+
+            return;
+        }
+
+        if (part.handle) {
+            await part.handle.close();
+        }
+
+        let file;
+
+        if (part.error !== UploadError.OK) {
+            file = new UploadedFile(null, null, part.error, part.filename, part.mediaType);
+        } else if (part.filename.length === 0 && part.size === 0) {
+            file = new UploadedFile(null, 0, UploadError.NO_FILE, part.filename, part.mediaType);
+        } else {
+            file = new UploadedFile(
+                part.handle ? part.path : Buffer.concat(part.chunks),
+                part.size,
+                UploadError.OK,
+                part.filename,
+                part.mediaType
+            );
+        }
+
+        queryString.append(result.files, part.name, file);
+    }
+
+    /**
+     * Parse the parameters of a header value.
+     *
+     * @private
+     * @param {string} value Header value.
+     * @return {Object.<string, string>} Parameter names and values.
+     */
+    parseParameters(value) {
+        const parameters = {};
+        const pattern = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            parameters[match[1].toLowerCase()] = match[2] !== undefined ?
+                match[2].replace(/\\(.)/g, "$1") :
+                match[3].trim();
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Decode an extended parameter value.
+     *
+     * @see https://tools.ietf.org/html/rfc8187
+     * @private
+     * @param {string} value Extended parameter value.
+     * @return {string} Decoded value.
+     */
+    decodeExtendedValue(value) {
+        const [ , charset, encodedValue ] = value.match(/^([^']*)'[^']*'(.*)$/s) || [null, "utf-8", value];
+
+        try {
+            return charset.toLowerCase() === "utf-8" ?
+                decodeURIComponent(encodedValue) :
+                unescape(encodedValue);
+        } catch (error) {
+            return encodedValue;
+        }
+    }
+
+    /**
+     * Ensure a size does not exceed its limit.
+     *
+     * @private
+     * @param {number} size Size in bytes.
+     * @param {number} limit Maximum size in bytes.
+     * @param {string} subject Description of what is measured.
+     * @throws {MultipartError} If the size exceeds the limit.
+     */
+    assertSize(size, limit, subject) {
+        if (size > limit) {
+            throw new MultipartError(`${subject} exceeds the size limit of ${limit} bytes`);
+        }
+    }
+}
+
+export default MultipartParser;
@@ -0,0 +1,378 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import MediaTypeFactory from "./MediaTypeFactory.js";
+
+/**
+ * Has the ability to negotiate content based on the Accept family of headers
+ * of a request.
+ *
+ * Each negotiation takes the list of values offered by the server and returns
+ * the acceptable ones in order of preference. The single value methods return
+ * null if nothing is acceptable, which should be answered with a 406 (Not
+ * Acceptable) response.
+ *
+ * If a request lacks the header in question, all offered values are
+ * considered acceptable in the order they were given.
+ *
+ * @see https://tools.ietf.org/html/rfc7231#section-5.3
+ */
+class Negotiator {
+    /**
+     * Create a new negotiator instance.
+     *
+     * @public
+     * @param {Request} request Request to negotiate content for.
+     */
+    constructor(request) {
+        /**
+         * Request to negotiate content for.
+         *
+         * @private
+         * @type {Request}
+         */
+        this.request = request;
+    }
+
+    /**
+     * Determine the preferred media type.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-5.3.2
+     * @public
+     * @param {Array.<string>} available Media types offered by the server.
+     * @return {?string} Preferred media type or null if none are acceptable.
+     * @throws {TypeError} If an offered media type is invalid.
+     */
+    mediaType(available) {
+        return this.mediaTypes(available)[0] || null;
+    }
+
+    /**
+     * Determine the acceptable media types in order of preference.
+     *
+     * Media ranges are matched by specificity, where parameters of a range
+     * must be present in the offered media type.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-5.3.2
+     * @public
+     * @param {Array.<string>} available Media types offered by the server.
+     * @return {Array.<string>} Acceptable media types.
+     * @throws {TypeError} If an offered media type is invalid.
+     */
+    mediaTypes(available) {
+        const mediaTypeFactory = new MediaTypeFactory();
+
+        return this.negotiate("Accept", available, (range, value) => {
+            const mediaRange = this.parseMediaRange(range);
+            const mediaType = mediaTypeFactory.createMediaTypeFromString(value);
+
+            if (mediaRange === null) {
+                return -1;
+            }
+
+            if (mediaRange.type === "*" && mediaRange.subtype === "*") {
+                return 0;
+            }
+
+            if (mediaRange.type !== mediaType.type) {
+                return -1;
+            }
+
+            if (mediaRange.subtype === "*") {
+                return 1;
+            }
+
+            if (mediaRange.subtype !== mediaType.subtype) {
+                return -1;
+            }
+
+            const parameters = Object.entries(mediaRange.parameters);
+            const matchesParameters = parameters.every(([ name, parameterValue ]) =>
+                mediaType.parameter(name) !== null &&
+                mediaType.parameter(name).toLowerCase() === parameterValue.toLowerCase()
+            );
+
+            return matchesParameters ? 2 + parameters.length : -1;
+        });
+    }
+
+    /**
+     * Determine the preferred language using basic filtering.
+     *
+     * @see https://tools.ietf.org/html/rfc4647#section-3.3.1
+     * @public
+     * @param {Array.<string>} available Language tags offered by the server.
+     * @return {?string} Preferred language tag or null if none are acceptable.
+     */
+    language(available) {
+        return this.languages(available)[0] || null;
+    }
+
+    /**
+     * Determine the acceptable languages in order of preference using basic
+     * filtering.
+     *
+     * A language range matches a tag if it equals the tag or is a prefix of
+     * the tag followed by a "-" character.
+     *
+     * @see https://tools.ietf.org/html/rfc4647#section-3.3.1
+     * @public
+     * @param {Array.<string>} available Language tags offered by the server.
+     * @return {Array.<string>} Acceptable language tags.
+     */
+    languages(available) {
+        return this.negotiate("Accept-Language", available, (range, value) => {
+            const languageRange = range.value.toLowerCase();
+            const tag = value.toLowerCase();
+
+            if (languageRange === "*") {
+                return 0;
+            }
+
+            if (tag === languageRange || tag.startsWith(`${languageRange}-`)) {
+                return languageRange.split("-").length;
+            }
+
+            return -1;
+        });
+    }
+
+    /**
+     * Determine the best language using the lookup scheme.
+     *
+     * Each language range is progressively truncated until a tag offered by
+     * the server matches.
+     *
+     * @see https://tools.ietf.org/html/rfc4647#section-3.4
+     * @public
+     * @param {Array.<string>} available Language tags offered by the server.
+     * @param {?string} [defaultValue=null] Value returned if no language matches.
+     * @return {?string} Best language tag or the default value.
+     */
+    lookupLanguage(available, defaultValue = null) {
+        const ranges = this.parseHeader("Accept-Language");
+
+        if (ranges === null) {
+            return available[0] || defaultValue;
+        }
+
+        const prioritizedRanges = ranges
+            .filter(range => range.quality > 0 && range.value !== "*")
+            .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+        for (const range of prioritizedRanges) {
+            const subtags = range.value.toLowerCase().split("-");
+
+            while (subtags.length > 0) {
+                const languageRange = subtags.join("-");
+                const match = available.find(tag => tag.toLowerCase() === languageRange);
+
+                if (match) {
+                    return match;
+                }
+
+                subtags.pop();
+
+                // Single character subtags are removed together with the following subtag.
+                if (subtags.length > 0 && subtags[subtags.length - 1].length === 1) {
+                    subtags.pop();
+                }
+            }
+        }
+
+        return defaultValue;
+    }
+
+    /**
+     * Determine the preferred charset.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-5.3.3
+     * @public
+     * @param {Array.<string>} available Charsets offered by the server.
+     * @return {?string} Preferred charset or null if none are acceptable.
+     */
+    charset(available) {
+        return this.charsets(available)[0] || null;
+    }
+
+    /**
+     * Determine the acceptable charsets in order of preference.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-5.3.3
+     * @public
+     * @param {Array.<string>} available Charsets offered by the server.
+     * @return {Array.<string>} Acceptable charsets.
+     */
+    charsets(available) {
+        return this.negotiate("Accept-Charset", available, (range, value) => this.matchToken(range, value));
+    }
+
+    /**
+     * Determine the preferred content coding.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-5.3.4
+     * @public
+     * @param {Array.<string>} available Content codings offered by the server.
+     * @return {?string} Preferred content coding or null if none are acceptable.
+     */
+    encoding(available) {
+        return this.encodings(available)[0] || null;
+    }
+
+    /**
+     * Determine the acceptable content codings in order of preference.
+     *
+     * The "identity" coding is acceptable unless explicitly excluded, even if
+     * it is not listed in the header.
+     *
+     * @see https://tools.ietf.org/html/rfc7231#section-5.3.4
+     * @public
+     * @param {Array.<string>} available Content codings offered by the server.
+     * @return {Array.<string>} Acceptable content codings.
+     */
+    encodings(available) {
+        const identity = {value: "identity", parameters: {}, quality: 1, index: Infinity};
+
+        return this.negotiate("Accept-Encoding", available, (range, value) => this.matchToken(range, value), identity);
+    }
+
+    /**
+     * Negotiate the acceptable values of a header.
+     *
+     * Each offered value is given the quality of the most specific range
+     * matching it. Values are ordered by quality, then by the specificity and
+     * position of the matching range and finally by the order they were
+     * offered in.
+     *
+     * @private
+     * @param {string} headerName Name of the header to negotiate.
+     * @param {Array.<string>} available Values offered by the server.
+     * @param {Function} match Function returning the specificity of a range
+     *     matching a value or -1 if it does not match.
+     * @param {?Object} [implicitRange=null] Range used if no other range matches.
+     * @return {Array.<string>} Acceptable values.
+     */
+    negotiate(headerName, available, match, implicitRange = null) {
+        const ranges = this.parseHeader(headerName);
+
+        if (ranges === null) {
+            return available.slice();
+        }
+
+        return available
+            .map((value, index) => {
+                const candidates = ranges
+                    .map(range => ({range, specificity: match(range, value)}))
+                    .filter(({ specificity }) => specificity >= 0)
+                    .sort((a, b) => b.specificity - a.specificity || a.range.index - b.range.index);
+                const implicitCandidates = implicitRange && match(implicitRange, value) >= 0 ?
+                    [{range: implicitRange, specificity: -1}] :
+                    [];
+
+                return {value, index, ...(candidates.concat(implicitCandidates)[0] || {range: null})};
+            })
+            .filter(({ range }) => range !== null && range.quality > 0)
+            .sort((a, b) =>
+                b.range.quality - a.range.quality ||
+                b.specificity - a.specificity ||
+                a.range.index - b.range.index ||
+                a.index - b.index
+            )
+            .map(({ value }) => value);
+    }
+
+    /**
+     * Match a token range against a value case-insensitively.
+     *
+     * @private
+     * @param {Object} range Parsed range.
+     * @param {string} value Offered value.
+     * @return {number} Specificity of the match or -1 if it does not match.
+     */
+    matchToken(range, value) {
+        if (range.value === "*") {
+            return 0;
+        }
+
+        return range.value.toLowerCase() === value.toLowerCase() ? 1 : -1;
+    }
+
+    /**
+     * Parse a header into its ranges.
+     *
+     * Ranges with invalid quality values are ignored.
+     *
+     * @private
+     * @param {string} headerName Name of the header to parse.
+     * @return {?Array.<Object>} Parsed ranges or null if the header is missing.
+     */
+    parseHeader(headerName) {
+        if (!this.request.hasHeader(headerName)) {
+            return null;
+        }
+
+        return (this.request.headerLine(headerName).match(/(?:[^,"]|"(?:[^"\\]|\\.)*")+/g) || [])
+            .map(element => element.trim())
+            .filter(element => element.length > 0)
+            .map((element, index) => {
+                const [ value, parameters, quality ] = this.parseElement(element);
+
+                return {value, parameters, quality, index};
+            })
+            .filter(range => !isNaN(range.quality));
+    }
+
+    /**
+     * Parse a header element into its value, parameters and quality.
+     *
+     * Parameters following the quality value are accept extensions and are
+     * not included.
+     *
+     * @private
+     * @param {string} element Header element.
+     * @return {Array} Value, parameters and quality (NaN if invalid).
+     */
+    parseElement(element) {
+        const [ value, ...parameterList ] = (element.match(/(?:[^;"]|"(?:[^"\\]|\\.)*")+/g) || [""])
+            .map(part => part.trim());
+        const parameters = {};
+        let quality = 1;
+
+        for (const parameter of parameterList) {
+            const [ name, parameterValue = "" ] = parameter.split(/=(.*)/s).map(part => part.trim());
+
+            if (name.toLowerCase() === "q") {
+                quality = /^(?:0(?:\.\d{0,3})?|1(?:\.0{0,3})?)$/.test(parameterValue) ? parseFloat(parameterValue) : NaN;
+
+                break;
+            }
+
+            parameters[name.toLowerCase()] = parameterValue.replace(/^"(.*)"$/s, "$1").replace(/\\(.)/gs, "$1");
+        }
+
+        return [value, parameters, quality];
+    }
+
+    /**
+     * Create a media type from a parsed media range.
+     *
+     * @private
+     * @param {Object} range Parsed range.
+     * @return {?MediaType} Media range or null if it is invalid.
+     */
+    parseMediaRange(range) {
+        const [ type, subtype = "" ] = range.value.split("/");
+
+        try {
+            return new MediaTypeFactory().createMediaType(type, subtype, range.parameters);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+export default Negotiator;
@@ -0,0 +1,22 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Represents a fixed set of query string encodings.
+ *
+ * RFC3986 encodes spaces as "%20" while FORM encodes them as "+" in
+ * accordance with the application/x-www-form-urlencoded format.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const QueryEncoding = {
+    RFC3986: "RFC3986",
+    FORM: "FORM"
+};
+
+export default QueryEncoding;
@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import QueryEncoding from "./QueryEncoding.js";
+import { unescape as unescapeQuery } from "querystring";
+
+/**
+ * Has the ability to parse and build query strings.
+ *
+ * Parameter names support bracket nesting in the same manner as PHP, where
+ * "a[b][]=1" represents the structure {a: {b: ["1"]}}.
+ */
+class QueryString {
+    /**
+     * Parse a query string into a structured object.
+     *
+     * Repeated names without brackets are collected in arrays, other
+     * repeated names are overwritten by the last occurrence.
+     *
+     * @public
+     * @param {string} query Query string to parse.
+     * @return {Object.<string, *>} Structured query parameters.
+     */
+    parse(query) {
+        const params = {};
+
+        for (const [ name, value ] of this.parsePairs(query)) {
+            this.append(params, name, value);
+        }
+
+        return params;
+    }
+
+    /**
+     * Add a decoded name and value pair to structured parameters.
+     *
+     * The name is nested and repeated names are handled in the same manner as
+     * when parsing a query string, which makes it possible to structure other
+     * name and value pairs such as form fields. Names with a "__proto__" key
+     * are ignored.
+     *
+     * @public
+     * @param {Object.<string, *>} params Structured parameters to add the value to.
+     * @param {string} name Decoded parameter name.
+     * @param {*} value Value to add.
+     */
+    append(params, name, value) {
+        const keys = this.parseKeys(name);
+
+        if (keys.includes("__proto__")) {
+            return;
+        }
+
+        if (keys.length === 1 && Object.prototype.hasOwnProperty.call(params, name)) {
+            params[name] = [].concat(params[name], value);
+
+            return;
+        }
+
+        this.assign(params, keys, value);
+    }
+
+    /**
+     * Parse a query string into a list of decoded name and value pairs.
+     *
+     * Both "%20" and "+" are decoded as spaces.
+     *
+     * @public
+     * @param {string} query Query string to parse.
+     * @return {Array.<Array.<string>>} List of name and value pairs in order of appearance.
+     */
+    parsePairs(query) {
+        return query.split("&")
+            .filter(pair => pair.length > 0)
+            .map(pair => {
+                const [ name, value = "" ] = pair.split(/=(.*)/s);
+
+                return [this.decode(name), this.decode(value)];
+            });
+    }
+
+    /**
+     * Build a query string from a structured object.
+     *
+     * Nested objects and arrays are represented using brackets; null and
+     * undefined values are omitted.
+     *
+     * @public
+     * @param {Object.<string, *>} params Structured query parameters.
+     * @param {QueryEncoding} [encoding=QueryEncoding.RFC3986] Encoding used for spaces.
+     * @return {string} Encoded query string.
+     */
+    stringify(params, encoding = QueryEncoding.RFC3986) {
+        return Object.entries(params)
+            .flatMap(([ name, value ]) => this.flatten(name, value))
+            .map(([ name, value ]) => `${this.encode(name, encoding)}=${this.encode(value, encoding)}`)
+            .join("&");
+    }
+
+    /**
+     * Percent-encode a query string component.
+     *
+     * @public
+     * @param {string} component Decoded name or value.
+     * @param {QueryEncoding} [encoding=QueryEncoding.RFC3986] Encoding used for spaces.
+     * @return {string} Encoded component.
+     */
+    encode(component, encoding = QueryEncoding.RFC3986) {
+        const encodedComponent = encodeURIComponent(component);
+
+        return encoding === QueryEncoding.FORM ? encodedComponent.replace(/%20/g, "+") : encodedComponent;
+    }
+
+    /**
+     * Decode a query string component.
+     *
+     * Malformed percent-encoded sequences are left as they are.
+     *
+     * @public
+     * @param {string} component Encoded name or value.
+     * @return {string} Decoded component.
+     */
+    decode(component) {
+        return unescapeQuery(component.replace(/\+/g, " "));
+    }
+
+    /**
+     * Split a parameter name into its bracket separated keys.
+     *
+     * @private
+     * @param {string} name Parameter name.
+     * @return {Array.<string>} List of keys.
+     */
+    parseKeys(name) {
+        const match = name.match(/^([^\[\]]+)((?:\[[^\[\]]*\])+)$/);
+
+        if (!match) {
+            return [name];
+        }
+
+        return [match[1], ...match[2].slice(1, -1).split("][")];
+    }
+
+    /**
+     * Assign a value to a nested location in the given target.
+     *
+     * Empty keys append to the target.
+     *
+     * @private
+     * @param {(Object|Array)} target Object or array to assign the value to.
+     * @param {Array.<string>} keys List of keys leading to the location.
+     * @param {*} value Value to assign.
+     */
+    assign(target, keys, value) {
+        const [ key, ...remainingKeys ] = keys;
+        const resolvedKey = key === "" ? Object.keys(target).length : key;
+
+        if (remainingKeys.length === 0) {
+            target[resolvedKey] = value;
+
+            return;
+        }
+
+        const current = target[resolvedKey];
+
+        // Only arrays and plain objects are nested into; other values such as uploaded files are replaced.
+        if (!Array.isArray(current) && (!current || Object.getPrototypeOf(current) !== Object.prototype)) {
+            target[resolvedKey] = remainingKeys[0] === "" ? [] : {};
+        }
+
+        this.assign(target[resolvedKey], remainingKeys, value);
+    }
+
+    /**
+     * Flatten a structured value into a list of name and value pairs.
+     *
+     * @private
+     * @param {string} name Parameter name.
+     * @param {*} value Parameter value.
+     * @return {Array.<Array.<string>>} List of name and value pairs.
+     */
+    flatten(name, value) {
+        if (value === null || value === undefined) {
+            return [];
+        }
+
+        if (Array.isArray(value)) {
+            return value.flatMap((item, index) => this.flatten(
+                item !== null && typeof item === "object" ? `${name}[${index}]` : `${name}[]`,
+                item
+            ));
+        }
+
+        if (typeof value === "object") {
+            return Object.entries(value).flatMap(([ key, item ]) => this.flatten(`${name}[${key}]`, item));
+        }
+
+        return [[name, String(value)]];
+    }
+}
+
+export default QueryString;
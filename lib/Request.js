@@ -5,9 +5,24 @@
  * file that was distributed with this source code.
  */
 
+import CookieFactory from "./CookieFactory.js";
 import HeaderCollection from "./HeaderCollection.js";
 import Message from "./Message.js";
 
+/**
+ * Create a Host header value from a URL.
+ *
+ * The port is only included if it is non-standard for the scheme of the URL.
+ *
+ * @see https://tools.ietf.org/html/rfc7230#section-5.4
+ * @private
+ * @param {Url} url URL to create the Host header value from.
+ * @return {string} Host header value.
+ */
+function createHostHeader(url) {
+    return url.port ? `${url.host}:${url.port}` : url.host;
+}
+
 /**
  * Representation of an outgoing, client-side request.
  *
@@ -42,7 +57,7 @@ class Request extends Message {
      */
     constructor(method, url, protocolVersion, headers, body, target, shouldAddHostHeader = true) {
         if (shouldAddHostHeader && !headers.has("Host") && url.host.length > 0) {
-            headers.set("Host", url.host);
+            headers.set("Host", createHostHeader(url));
         }
 
         super(protocolVersion, headers, body);
@@ -111,7 +126,7 @@ class Request extends Message {
             return this;
         }
 
-        return new Request(
+        return this.createRequest(
             method,
             this.url,
             this.protocolVersion,
@@ -166,7 +181,7 @@ class Request extends Message {
      * @return {Request} Request instance with given url.
      */
     withUrl(url, preserveHost = false) {
-        const shouldUpdateHostHeader = url.host !== this.headerLine("Host") &&
+        const shouldUpdateHostHeader = createHostHeader(url) !== this.headerLine("Host") &&
                                        !preserveHost;
 
         if (url === this.url && !shouldUpdateHostHeader) {
@@ -176,10 +191,10 @@ class Request extends Message {
         let headers = new HeaderCollection(Object.entries(this._headers.all()));
 
         if (shouldUpdateHostHeader) {
-            headers.set("Host", url.host);
+            headers.set("Host", createHostHeader(url));
         }
 
-        return new Request(
+        return this.createRequest(
             this.method,
             url,
             this.protocolVersion,
@@ -212,6 +227,12 @@ class Request extends Message {
         }
 
         let target = this.url.path;
+
+        // The origin-form of the request target is always an absolute path.
+        if (target.indexOf("/") !== 0) {
+            target = `/${target}`;
+        }
+
         const query = this.url.query;
 
         if (query.length > 0) {
@@ -247,7 +268,7 @@ class Request extends Message {
             return this;
         }
 
-        return new Request(
+        return this.createRequest(
             this.method,
             this.url,
             this.protocolVersion,
@@ -257,11 +278,64 @@ class Request extends Message {
         );
     }
 
+    /**
+     * Retrieves the cookies sent with the request.
+     *
+     * The cookies are parsed from the Cookie header(s) of the request.
+     *
+     * @public
+     * @return {Array.<Cookie>} List of cookies in the order they appear in the request.
+     */
+    get cookies() {
+        return new CookieFactory().createCookiesFromHeader(this.header("Cookie").join(";"));
+    }
+
+    /**
+     * Return an instance with the specified cookie.
+     *
+     * Any existing cookie with the same name is replaced. The Cookie header
+     * of the returned request is updated to contain all cookies.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * new cookie.
+     *
+     * @public
+     * @param {Cookie} cookie Cookie to send with the request.
+     * @return {Request} Request instance with given cookie.
+     */
+    withCookie(cookie) {
+        const cookies = this.cookies
+            .filter(existingCookie => existingCookie.name !== cookie.name)
+            .concat(cookie);
+
+        return this.withHeader("Cookie", cookies.map(cookie => cookie.toString()).join("; "));
+    }
+
     /**
      * @inheritdoc
      */
     createMessage(protocolVersion, headers, body) {
-        return new Request(this.method, this.url, protocolVersion, headers, body, this.reasonPhrase, this._target);
+        return this.createRequest(this.method, this.url, protocolVersion, headers, body, this._target);
+    }
+
+    /**
+     * Create a new instance of this class.
+     *
+     * Separating this into an overridable method enables extending classes
+     * with non compatible constructors to create their instances here.
+     *
+     * @protected
+     * @param {RequestMethod} method Request method.
+     * @param {Url} url URL of the request.
+     * @param {string} protocolVersion HTTP protocol version.
+     * @param {HeaderCollection} headers Message headers.
+     * @param {stream.Readable} body Message body.
+     * @param {?string} target Request target.
+     * @return {Request} New request instance.
+     */
+    createRequest(method, url, protocolVersion, headers, body, target) {
+        return new Request(method, url, protocolVersion, headers, body, target);
     }
 }
 
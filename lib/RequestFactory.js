@@ -5,9 +5,9 @@
  * file that was distributed with this source code.
  */
 
+import BufferStream from "./BufferStream.js";
 import HeaderCollection from "./HeaderCollection.js";
 import Request from "./Request.js";
-import StringStream from "./StringStream.js";
 
 /**
  * Has the ability to create requests.
@@ -43,7 +43,7 @@ class RequestFactory {
             typeof url === "string" ? this.urlFactory.createUrl(url) : url,
             "1.1",
             new HeaderCollection(),
-            new StringStream()
+            new BufferStream()
         );
     }
 }
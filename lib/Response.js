@@ -5,6 +5,7 @@
  * file that was distributed with this source code.
  */
 
+import CookieFactory from "./CookieFactory.js";
 import HeaderCollection from "./HeaderCollection.js";
 import Message from "./Message.js";
 import { reasonPhrases } from "./ResponseStatus.js";
@@ -123,6 +124,60 @@ class Response extends Message {
         );
     }
 
+    /**
+     * Retrieves the cookies set by the response.
+     *
+     * The cookies are parsed from the Set-Cookie headers of the response;
+     * header values that cannot be parsed are ignored.
+     *
+     * @public
+     * @return {Array.<SetCookie>} List of cookies in the order they appear in the response.
+     */
+    get cookies() {
+        const cookieFactory = new CookieFactory();
+
+        return this.header("Set-Cookie")
+            .map(value => {
+                try {
+                    return cookieFactory.createSetCookieFromHeader(value);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(cookie => cookie !== null);
+    }
+
+    /**
+     * Return an instance with the specified cookie.
+     *
+     * The cookie is serialized and added as a Set-Cookie header. Any existing
+     * cookie with the same name, domain and path is replaced.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * new cookie.
+     *
+     * @public
+     * @param {SetCookie} cookie Cookie to set.
+     * @return {Response} Response instance with given cookie.
+     */
+    withCookie(cookie) {
+        const cookieFactory = new CookieFactory();
+        const values = this.header("Set-Cookie").filter(value => {
+            try {
+                const existingCookie = cookieFactory.createSetCookieFromHeader(value);
+
+                return existingCookie.name !== cookie.name ||
+                    existingCookie.domain !== cookie.domain ||
+                    existingCookie.path !== cookie.path;
+            } catch (error) {
+                return true;
+            }
+        });
+
+        return this.withHeader("Set-Cookie", values.concat(cookie.toString()));
+    }
+
     /**
      * @inheritdoc
      */
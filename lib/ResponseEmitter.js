@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import RequestMethod from "./RequestMethod.js";
+import ResponseStatus from "./ResponseStatus.js";
+import { pipeline } from "stream";
+
+/**
+ * Has the ability to emit responses to Node.js server responses.
+ */
+class ResponseEmitter {
+    /**
+     * Emit a response.
+     *
+     * Writes the status line and headers of the given response and pipes its
+     * body to the server response. The body is omitted for HEAD requests and
+     * for responses that must not contain one (204 and 304).
+     *
+     * If the body fails to stream, both the body and the server response are
+     * destroyed and the returned promise is rejected.
+     *
+     * @public
+     * @param {Response} response Response to emit.
+     * @param {http.ServerResponse} serverResponse Node.js server response to write to.
+     * @param {?Request} request The request being responded to; defaults to the
+     *     request associated with the server response.
+     * @return {Promise} Resolves when the response has been fully written.
+     * @throws {Error} If the server response headers have already been sent.
+     */
+    emit(response, serverResponse, request) {
+        if (serverResponse.headersSent) {
+            throw new Error("Unable to emit response; headers already sent");
+        }
+
+        for (const [ name, values ] of Object.entries(response.headers)) {
+            serverResponse.setHeader(name, values);
+        }
+
+        serverResponse.writeHead(response.statusCode, response.reasonPhrase);
+
+        const method = (request || serverResponse.req || {}).method;
+
+        if (!this.shouldEmitBody(response.statusCode, method)) {
+            response.body.destroy();
+
+            return new Promise(resolve => serverResponse.end(resolve));
+        }
+
+        return new Promise((resolve, reject) => pipeline(
+            response.body,
+            serverResponse,
+            error => error ? reject(error) : resolve()
+        ));
+    }
+
+    /**
+     * Determine if the response body should be emitted.
+     *
+     * @private
+     * @param {ResponseStatus} statusCode Response status code.
+     * @param {?RequestMethod} method Method of the request being responded to.
+     * @return {boolean} True if the response body should be emitted.
+     */
+    shouldEmitBody(statusCode, method) {
+        return method !== RequestMethod.HEAD &&
+            statusCode !== ResponseStatus.NO_CONTENT &&
+            statusCode !== ResponseStatus.NOT_MODIFIED;
+    }
+}
+
+export default ResponseEmitter;
@@ -6,8 +6,25 @@
  */
 
 import HeaderCollection from "./HeaderCollection.js";
+import MediaType from "./MediaType.js";
 import Response from "./Response.js";
+import ResponseStatus from "./ResponseStatus.js";
 import StreamFactory from "./StreamFactory.js";
+import Url from "./Url.js";
+
+/**
+ * Status codes accepted for redirect responses.
+ *
+ * @private
+ * @type {Array.<ResponseStatus>}
+ */
+const redirectStatusCodes = [
+    ResponseStatus.MOVED_PERMANENTLY,
+    ResponseStatus.FOUND,
+    ResponseStatus.SEE_OTHER,
+    ResponseStatus.TEMPORARY_REDIRECT,
+    ResponseStatus.PERMANENT_REDIRECT
+];
 
 /**
  * Has the ability to create responses.
@@ -46,6 +63,104 @@ class ResponseFactory {
             reasonPhrase
         );
     }
+
+    /**
+     * Create a new response with a JSON encoded body.
+     *
+     * @public
+     * @param {*} data Data to encode as JSON.
+     * @param {ResponseStatus} [statusCode=200] Response status code.
+     * @return {Response} New response instance.
+     * @throws {TypeError} If the data cannot be encoded as JSON.
+     */
+    createJsonResponse(data, statusCode = ResponseStatus.OK) {
+        const json = JSON.stringify(data);
+
+        if (json === undefined) {
+            throw new TypeError(`Cannot encode ${typeof data} as JSON`);
+        }
+
+        return this.createContentResponse(statusCode, json, new MediaType("application", "json", {charset: "utf-8"}));
+    }
+
+    /**
+     * Create a new response with an HTML body.
+     *
+     * @public
+     * @param {string} html HTML content.
+     * @param {ResponseStatus} [statusCode=200] Response status code.
+     * @return {Response} New response instance.
+     */
+    createHtmlResponse(html, statusCode = ResponseStatus.OK) {
+        return this.createContentResponse(statusCode, html, new MediaType("text", "html", {charset: "utf-8"}));
+    }
+
+    /**
+     * Create a new response with a plain text body.
+     *
+     * @public
+     * @param {string} text Text content.
+     * @param {ResponseStatus} [statusCode=200] Response status code.
+     * @return {Response} New response instance.
+     */
+    createTextResponse(text, statusCode = ResponseStatus.OK) {
+        return this.createContentResponse(statusCode, text, new MediaType("text", "plain", {charset: "utf-8"}));
+    }
+
+    /**
+     * Create a new redirect response.
+     *
+     * @public
+     * @param {(Url|string)} url Location to redirect to.
+     * @param {ResponseStatus} [statusCode=302] Redirect status code.
+     * @return {Response} New response instance.
+     * @throws {RangeError} If the status code is not a redirect status code.
+     */
+    createRedirectResponse(url, statusCode = ResponseStatus.FOUND) {
+        if (!redirectStatusCodes.includes(statusCode)) {
+            throw new RangeError(`Status code ${statusCode} is not a redirect status code`);
+        }
+
+        return this.createResponse(statusCode)
+            .withHeader("Location", url.toString())
+            .withHeader("Content-Length", "0");
+    }
+
+    /**
+     * Create a new response without a body.
+     *
+     * A Content-Length header is not added to 204 and 304 responses as they
+     * are not allowed to carry one describing an empty body.
+     *
+     * @public
+     * @param {ResponseStatus} [statusCode=204] Response status code.
+     * @return {Response} New response instance.
+     */
+    createEmptyResponse(statusCode = ResponseStatus.NO_CONTENT) {
+        const response = this.createResponse(statusCode);
+
+        if (statusCode === ResponseStatus.NO_CONTENT || statusCode === ResponseStatus.NOT_MODIFIED) {
+            return response;
+        }
+
+        return response.withHeader("Content-Length", "0");
+    }
+
+    /**
+     * Create a new response with the given content as body.
+     *
+     * @private
+     * @param {ResponseStatus} statusCode Response status code.
+     * @param {string} content Body content.
+     * @param {MediaType} mediaType Media type of the content.
+     * @return {Response} New response instance.
+     */
+    createContentResponse(statusCode, content, mediaType) {
+        return this.createResponse(statusCode)
+            .withContentType(mediaType)
+            .withHeader("Content-Length", String(Buffer.byteLength(content)))
+            .withBody(this.streamFactory.createStream(content));
+    }
 }
 
 export default ResponseFactory;
@@ -0,0 +1,20 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Represents a fixed set of SameSite cookie attribute values.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const SameSite = {
+    STRICT: "Strict",
+    LAX: "Lax",
+    NONE: "None"
+};
+
+export default SameSite;
@@ -0,0 +1,464 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Request from "./Request.js";
+
+/**
+ * Representation of an incoming, server-side HTTP request.
+ *
+ * Per the HTTP specification, this interface includes properties for
+ * each of the following:
+ *
+ * - Protocol version
+ * - HTTP method
+ * - URL
+ * - Headers
+ * - Message body
+ *
+ * Additionally, it encapsulates all data as it has arrived to the
+ * application from the server environment, including:
+ *
+ * - Server parameters
+ * - Any cookies provided
+ * - Query string arguments
+ * - Upload files, if any
+ * - Deserialized body parameters
+ *
+ * Additionally, this interface recognizes the utility of introspecting a
+ * request to derive and match additional parameters (e.g., via URL path
+ * matching, decrypting cookie values, deserializing non-form-encoded body
+ * content, matching authorization headers to users, etc). These parameters
+ * are stored in "attributes".
+ *
+ * Requests are considered immutable; all methods that might change state MUST
+ * be implemented such that they retain the internal state of the current
+ * message and return an instance that contains the changed state.
+ */
+class ServerRequest extends Request {
+    /**
+     * Create a new server request instance.
+     *
+     * @public
+     * @param {RequestMethod} method Request method.
+     * @param {Url} url URL of the request.
+     * @param {string} protocolVersion HTTP protocol version.
+     * @param {HeaderCollection} headers Message headers.
+     * @param {stream.Readable} body Message body.
+     * @param {Object.<string, *>} [serverParams={}] Server parameters.
+     * @param {Object.<string, string>} [cookieParams={}] Cookie parameters.
+     * @param {Object.<string, *>} [queryParams={}] Deserialized query string arguments.
+     * @param {Object.<string, *>} [uploadedFiles={}] Normalized tree of uploaded files.
+     * @param {?(Object|Array)} [parsedBody=null] Deserialized body parameters.
+     * @param {Object.<string, *>} [attributes={}] Attributes derived from the request.
+     * @param {?string} target Request target.
+     */
+    constructor(
+        method,
+        url,
+        protocolVersion,
+        headers,
+        body,
+        serverParams = {},
+        cookieParams = {},
+        queryParams = {},
+        uploadedFiles = {},
+        parsedBody = null,
+        attributes = {},
+        target
+    ) {
+        super(method, url, protocolVersion, headers, body, target);
+
+        /**
+         * Server parameters.
+         *
+         * @private
+         * @type {Object.<string, *>}
+         */
+        this._serverParams = serverParams;
+
+        /**
+         * Cookie parameters.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this._cookieParams = cookieParams;
+
+        /**
+         * Deserialized query string arguments.
+         *
+         * @private
+         * @type {Object.<string, *>}
+         */
+        this._queryParams = queryParams;
+
+        /**
+         * Normalized tree of uploaded files.
+         *
+         * @private
+         * @type {Object.<string, *>}
+         */
+        this._uploadedFiles = uploadedFiles;
+
+        /**
+         * Deserialized body parameters.
+         *
+         * @private
+         * @type {?(Object|Array)}
+         */
+        this._parsedBody = parsedBody;
+
+        /**
+         * Attributes derived from the request.
+         *
+         * @private
+         * @type {Object.<string, *>}
+         */
+        this._attributes = attributes;
+    }
+
+    /**
+     * Retrieve server parameters.
+     *
+     * Retrieves data related to the incoming request environment, typically
+     * derived from the underlying connection. The data is not REQUIRED to
+     * originate from any particular source.
+     *
+     * @public
+     * @return {Object.<string, *>} Server parameters.
+     */
+    get serverParams() {
+        return this._serverParams;
+    }
+
+    /**
+     * Retrieve cookies.
+     *
+     * Retrieves cookies sent by the client to the server.
+     *
+     * The data MUST be compatible with the structure of the Cookie header.
+     *
+     * @public
+     * @return {Object.<string, string>} Cookie names and values.
+     */
+    get cookieParams() {
+        return this._cookieParams;
+    }
+
+    /**
+     * Return an instance with the specified cookies.
+     *
+     * The data IS NOT REQUIRED to come from the Cookie header, but MUST be
+     * compatible with its structure. This method MUST NOT update the related
+     * Cookie header of the request instance, nor related values in the server
+     * params.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * updated cookie values.
+     *
+     * @public
+     * @param {Object.<string, string>} cookies Cookie names and values.
+     * @return {ServerRequest} Request instance with given cookies.
+     */
+    withCookieParams(cookies) {
+        if (cookies === this._cookieParams) {
+            return this;
+        }
+
+        return new ServerRequest(
+            this.method,
+            this.url,
+            this.protocolVersion,
+            this._headers,
+            this.body,
+            this._serverParams,
+            cookies,
+            this._queryParams,
+            this._uploadedFiles,
+            this._parsedBody,
+            this._attributes,
+            this._target
+        );
+    }
+
+    /**
+     * Retrieve query string arguments.
+     *
+     * Retrieves the deserialized query string arguments, if any.
+     *
+     * Note: the query params might not be in sync with the URL or server
+     * params. If you need to ensure you are only getting the original
+     * values, you may need to parse the query string from the URL.
+     *
+     * @public
+     * @return {Object.<string, *>} Query string arguments.
+     */
+    get queryParams() {
+        return this._queryParams;
+    }
+
+    /**
+     * Return an instance with the specified query string arguments.
+     *
+     * Setting query string arguments MUST NOT change the URL stored by the
+     * request, nor the values in the server params.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * updated query string arguments.
+     *
+     * @public
+     * @param {Object.<string, *>} query Query string arguments.
+     * @return {ServerRequest} Request instance with given query string arguments.
+     */
+    withQueryParams(query) {
+        if (query === this._queryParams) {
+            return this;
+        }
+
+        return new ServerRequest(
+            this.method,
+            this.url,
+            this.protocolVersion,
+            this._headers,
+            this.body,
+            this._serverParams,
+            this._cookieParams,
+            query,
+            this._uploadedFiles,
+            this._parsedBody,
+            this._attributes,
+            this._target
+        );
+    }
+
+    /**
+     * Retrieve normalized file upload data.
+     *
+     * This method returns upload metadata in a normalized tree, with each leaf
+     * an uploaded file instance.
+     *
+     * @public
+     * @return {Object.<string, *>} A tree of uploaded files; an empty object
+     *     MUST be returned if no data is present.
+     */
+    get uploadedFiles() {
+        return this._uploadedFiles;
+    }
+
+    /**
+     * Create a new instance with the specified uploaded files.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * updated body parameters.
+     *
+     * @public
+     * @param {Object.<string, *>} uploadedFiles A tree of uploaded files.
+     * @return {ServerRequest} Request instance with given uploaded files.
+     */
+    withUploadedFiles(uploadedFiles) {
+        if (uploadedFiles === this._uploadedFiles) {
+            return this;
+        }
+
+        return new ServerRequest(
+            this.method,
+            this.url,
+            this.protocolVersion,
+            this._headers,
+            this.body,
+            this._serverParams,
+            this._cookieParams,
+            this._queryParams,
+            uploadedFiles,
+            this._parsedBody,
+            this._attributes,
+            this._target
+        );
+    }
+
+    /**
+     * Retrieve any parameters provided in the request body.
+     *
+     * If the request body has been deserialized, this method returns the
+     * deserialized content. Potential types MUST be arrays or objects only.
+     * A null value indicates the absence of body content.
+     *
+     * @public
+     * @return {?(Object|Array)} The deserialized body parameters, if any.
+     */
+    get parsedBody() {
+        return this._parsedBody;
+    }
+
+    /**
+     * Return an instance with the specified body parameters.
+     *
+     * The data IS NOT REQUIRED to come from the request body, and this method
+     * MUST NOT update the body stream of the request instance.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * updated body parameters.
+     *
+     * @public
+     * @param {?(Object|Array)} data The deserialized body data.
+     * @return {ServerRequest} Request instance with given body parameters.
+     * @throws {TypeError} If an unsupported argument type is provided.
+     */
+    withParsedBody(data) {
+        if (data !== null && typeof data !== "object") {
+            throw new TypeError("Parsed body must be an object, an array or null");
+        }
+
+        if (data === this._parsedBody) {
+            return this;
+        }
+
+        return new ServerRequest(
+            this.method,
+            this.url,
+            this.protocolVersion,
+            this._headers,
+            this.body,
+            this._serverParams,
+            this._cookieParams,
+            this._queryParams,
+            this._uploadedFiles,
+            data,
+            this._attributes,
+            this._target
+        );
+    }
+
+    /**
+     * Retrieve attributes derived from the request.
+     *
+     * The request "attributes" may be used to allow injection of any
+     * parameters derived from the request: e.g., the results of path
+     * match operations; the results of decrypting cookies; the results of
+     * deserializing non-form-encoded message bodies; etc. Attributes
+     * will be application and request specific, and CAN be mutable.
+     *
+     * @public
+     * @return {Object.<string, *>} Attributes derived from the request.
+     */
+    get attributes() {
+        return this._attributes;
+    }
+
+    /**
+     * Retrieve a single derived request attribute.
+     *
+     * If the attribute has not been previously set, returns the default
+     * value as provided.
+     *
+     * @public
+     * @param {string} name The attribute name.
+     * @param {*} [defaultValue=null] Default value to return if the attribute does not exist.
+     * @return {*} The attribute value.
+     */
+    attribute(name, defaultValue = null) {
+        return Object.prototype.hasOwnProperty.call(this._attributes, name) ?
+            this._attributes[name] :
+            defaultValue;
+    }
+
+    /**
+     * Return an instance with the specified derived request attribute.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that has the
+     * updated attribute.
+     *
+     * @public
+     * @param {string} name The attribute name.
+     * @param {*} value The value of the attribute.
+     * @return {ServerRequest} Request instance with given attribute.
+     */
+    withAttribute(name, value) {
+        if (
+            Object.prototype.hasOwnProperty.call(this._attributes, name) &&
+            this._attributes[name] === value
+        ) {
+            return this;
+        }
+
+        return new ServerRequest(
+            this.method,
+            this.url,
+            this.protocolVersion,
+            this._headers,
+            this.body,
+            this._serverParams,
+            this._cookieParams,
+            this._queryParams,
+            this._uploadedFiles,
+            this._parsedBody,
+            {...this._attributes, [name]: value},
+            this._target
+        );
+    }
+
+    /**
+     * Return an instance that removes the specified derived request attribute.
+     *
+     * This method MUST be implemented in such a way as to retain the
+     * immutability of the message, and MUST return an instance that removes
+     * the attribute.
+     *
+     * @public
+     * @param {string} name The attribute name.
+     * @return {ServerRequest} Request instance without given attribute.
+     */
+    withoutAttribute(name) {
+        if (!Object.prototype.hasOwnProperty.call(this._attributes, name)) {
+            return this;
+        }
+
+        const { [name]: removed, ...attributes } = this._attributes;
+
+        return new ServerRequest(
+            this.method,
+            this.url,
+            this.protocolVersion,
+            this._headers,
+            this.body,
+            this._serverParams,
+            this._cookieParams,
+            this._queryParams,
+            this._uploadedFiles,
+            this._parsedBody,
+            attributes,
+            this._target
+        );
+    }
+
+    /**
+     * @inheritdoc
+     */
+    createRequest(method, url, protocolVersion, headers, body, target) {
+        return new ServerRequest(
+            method,
+            url,
+            protocolVersion,
+            headers,
+            body,
+            this._serverParams,
+            this._cookieParams,
+            this._queryParams,
+            this._uploadedFiles,
+            this._parsedBody,
+            this._attributes,
+            target
+        );
+    }
+}
+
+export default ServerRequest;
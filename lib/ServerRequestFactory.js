@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import BufferStream from "./BufferStream.js";
+import CookieFactory from "./CookieFactory.js";
+import HeaderCollection from "./HeaderCollection.js";
+import QueryString from "./QueryString.js";
+import ServerRequest from "./ServerRequest.js";
+import Url from "./Url.js";
+
+/**
+ * Has the ability to create server requests.
+ */
+class ServerRequestFactory {
+    /**
+     * Creates a new factory instance.
+     *
+     * @public
+     * @param {UrlFactory} urlFactory A URL factory instance.
+     */
+    constructor(urlFactory) {
+        /**
+         * A URL factory.
+         *
+         * @private
+         * @type {UrlFactory}
+         */
+        this.urlFactory = urlFactory;
+    }
+
+    /**
+     * Create a new server request.
+     *
+     * @public
+     * @param {RequestMethod} method The HTTP method associated with the request.
+     * @param {(Url|string)} url The URL associated with the request.
+     * @param {Object.<string, *>} [serverParams={}] Server parameters of the request.
+     * @return {ServerRequest} New server request instance.
+     */
+    createServerRequest(method, url, serverParams = {}) {
+        return new ServerRequest(
+            method,
+            typeof url === "string" ? this.urlFactory.createUrl(url) : url,
+            "1.1",
+            new HeaderCollection(),
+            new BufferStream(),
+            serverParams
+        );
+    }
+
+    /**
+     * Create a new server request from an incoming Node.js request.
+     *
+     * The incoming message itself is used as the request body so the content
+     * is streamed from the socket as it is consumed.
+     *
+     * @public
+     * @param {http.IncomingMessage} incomingMessage Incoming request.
+     * @return {ServerRequest} New server request instance.
+     * @throws {TypeError} If the request target or Host header is invalid.
+     */
+    fromIncomingMessage(incomingMessage) {
+        const headers = new HeaderCollection();
+        const rawHeaders = incomingMessage.rawHeaders;
+
+        for (let index = 0; index < rawHeaders.length; index += 2) {
+            headers.add(rawHeaders[index], rawHeaders[index + 1]);
+        }
+
+        const url = this.createUrl(incomingMessage, headers);
+        const socket = incomingMessage.socket || {};
+
+        return new ServerRequest(
+            incomingMessage.method,
+            url,
+            incomingMessage.httpVersion,
+            headers,
+            incomingMessage,
+            {
+                remoteAddress: socket.remoteAddress,
+                remotePort: socket.remotePort,
+                localAddress: socket.localAddress,
+                localPort: socket.localPort
+            },
+            this.parseCookies(headers.get("Cookie")),
+            new QueryString().parse(url.query),
+            {},
+            null,
+            {},
+            incomingMessage.url
+        );
+    }
+
+    /**
+     * Create a URL from the request target and the Host header.
+     *
+     * @private
+     * @param {http.IncomingMessage} incomingMessage Incoming request.
+     * @param {HeaderCollection} headers Request headers.
+     * @return {Url} URL of the request.
+     */
+    createUrl(incomingMessage, headers) {
+        const target = incomingMessage.url;
+
+        // Requests made through a proxy carry the absolute-form of the URL.
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) {
+            return this.urlFactory.createUrl(target);
+        }
+
+        const scheme = incomingMessage.socket && incomingMessage.socket.encrypted ? "https" : "http";
+        const [ , host, port ] = (headers.get("Host")[0] || "").match(/^(\[[^\]]*\]|[^:]*)(?::(\d+))?$/) || [];
+        const [ path, query ] = target.split(/\?(.*)/s);
+
+        return new Url(scheme, null, null, host || null, parseInt(port) || null, path, query, null);
+    }
+
+    /**
+     * Parse cookie names and values from Cookie header values.
+     *
+     * Names are kept in header order. If a name occurs more than once, the
+     * first occurrence is used.
+     *
+     * @private
+     * @param {Array.<string>} values Cookie header values.
+     * @return {Object.<string, string>} Cookie names and values.
+     */
+    parseCookies(values) {
+        const cookies = {};
+
+        for (const cookie of new CookieFactory().createCookiesFromHeader(values.join(";"))) {
+            if (!Object.prototype.hasOwnProperty.call(cookies, cookie.name)) {
+                cookies[cookie.name] = cookie.value;
+            }
+        }
+
+        return cookies;
+    }
+}
+
+export default ServerRequestFactory;
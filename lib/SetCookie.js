@@ -0,0 +1,496 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Cookie from "./Cookie.js";
+
+/**
+ * Value object representing a cookie sent by a server in a Set-Cookie header.
+ *
+ * Cookies are considered immutable; all methods that might change state MUST
+ * be implemented such that they retain the internal state of the current
+ * cookie and return an instance that contains the changed state.
+ *
+ * @see https://tools.ietf.org/html/rfc6265#section-4.1
+ * @extends Cookie
+ */
+class SetCookie extends Cookie {
+    /**
+     * Create a new cookie instance.
+     *
+     * @public
+     * @param {string} name Cookie name.
+     * @param {string} value Cookie value.
+     * @param {?Date} [expires=null] Expiry date of the cookie.
+     * @param {?number} [maxAge=null] Number of seconds until the cookie expires.
+     * @param {?string} [domain=null] Hosts to which the cookie will be sent.
+     * @param {?string} [path=null] Path that must exist in the requested URL.
+     * @param {boolean} [secure=false] Whether the cookie is only sent over secure connections.
+     * @param {boolean} [httpOnly=false] Whether the cookie is inaccessible to scripts.
+     * @param {?SameSite} [sameSite=null] Whether the cookie is sent with cross-site requests.
+     * @param {boolean} [partitioned=false] Whether the cookie is stored using partitioned storage.
+     * @throws {TypeError} For invalid cookie names or attribute values.
+     */
+    constructor(
+        name,
+        value,
+        expires = null,
+        maxAge = null,
+        domain = null,
+        path = null,
+        secure = false,
+        httpOnly = false,
+        sameSite = null,
+        partitioned = false
+    ) {
+        super(name, value);
+
+        if (expires !== null && (!(expires instanceof Date) || isNaN(expires.getTime()))) {
+            throw new TypeError("Cookie expiry date must be a valid date");
+        }
+
+        if (maxAge !== null && !Number.isInteger(maxAge)) {
+            throw new TypeError("Cookie max age must be an integer");
+        }
+
+        for (const attribute of [domain, path]) {
+            if (attribute !== null && /[\x00-\x1F\x7F;]/.test(attribute)) {
+                throw new TypeError(`Invalid cookie attribute value "${attribute}"`);
+            }
+        }
+
+        /**
+         * Expiry date of the cookie.
+         *
+         * @private
+         * @type {?Date}
+         */
+        this._expires = expires;
+
+        /**
+         * Number of seconds until the cookie expires.
+         *
+         * @private
+         * @type {?number}
+         */
+        this._maxAge = maxAge;
+
+        /**
+         * Hosts to which the cookie will be sent.
+         *
+         * @private
+         * @type {?string}
+         */
+        this._domain = domain;
+
+        /**
+         * Path that must exist in the requested URL.
+         *
+         * @private
+         * @type {?string}
+         */
+        this._path = path;
+
+        /**
+         * Whether the cookie is only sent over secure connections.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this._secure = secure;
+
+        /**
+         * Whether the cookie is inaccessible to scripts.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this._httpOnly = httpOnly;
+
+        /**
+         * Whether the cookie is sent with cross-site requests.
+         *
+         * @private
+         * @type {?SameSite}
+         */
+        this._sameSite = sameSite;
+
+        /**
+         * Whether the cookie is stored using partitioned storage.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this._partitioned = partitioned;
+    }
+
+    /**
+     * Retrieve the expiry date of the cookie.
+     *
+     * @public
+     * @return {?Date} Expiry date or null for session cookies.
+     */
+    get expires() {
+        return this._expires;
+    }
+
+    /**
+     * Return an instance with the specified expiry date.
+     *
+     * A null value removes the attribute.
+     *
+     * @public
+     * @param {?Date} expires Expiry date of the cookie.
+     * @return {SetCookie} Cookie instance with given expiry date.
+     * @throws {TypeError} For invalid dates.
+     */
+    withExpires(expires) {
+        if (expires === this._expires) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            expires,
+            this._maxAge,
+            this._domain,
+            this._path,
+            this._secure,
+            this._httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Retrieve the number of seconds until the cookie expires.
+     *
+     * @public
+     * @return {?number} Number of seconds or null if not set.
+     */
+    get maxAge() {
+        return this._maxAge;
+    }
+
+    /**
+     * Return an instance with the specified max age.
+     *
+     * A zero or negative value expires the cookie immediately and a null
+     * value removes the attribute.
+     *
+     * @public
+     * @param {?number} maxAge Number of seconds until the cookie expires.
+     * @return {SetCookie} Cookie instance with given max age.
+     * @throws {TypeError} For non integer values.
+     */
+    withMaxAge(maxAge) {
+        if (maxAge === this._maxAge) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            maxAge,
+            this._domain,
+            this._path,
+            this._secure,
+            this._httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Retrieve the hosts to which the cookie will be sent.
+     *
+     * @public
+     * @return {?string} Cookie domain or null if not set.
+     */
+    get domain() {
+        return this._domain;
+    }
+
+    /**
+     * Return an instance with the specified domain.
+     *
+     * A null value removes the attribute.
+     *
+     * @public
+     * @param {?string} domain Hosts to which the cookie will be sent.
+     * @return {SetCookie} Cookie instance with given domain.
+     * @throws {TypeError} For invalid domains.
+     */
+    withDomain(domain) {
+        if (domain === this._domain) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            this._maxAge,
+            domain,
+            this._path,
+            this._secure,
+            this._httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Retrieve the path that must exist in the requested URL.
+     *
+     * @public
+     * @return {?string} Cookie path or null if not set.
+     */
+    get path() {
+        return this._path;
+    }
+
+    /**
+     * Return an instance with the specified path.
+     *
+     * A null value removes the attribute.
+     *
+     * @public
+     * @param {?string} path Path that must exist in the requested URL.
+     * @return {SetCookie} Cookie instance with given path.
+     * @throws {TypeError} For invalid paths.
+     */
+    withPath(path) {
+        if (path === this._path) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            this._maxAge,
+            this._domain,
+            path,
+            this._secure,
+            this._httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Determine if the cookie is only sent over secure connections.
+     *
+     * @public
+     * @return {boolean} True if the cookie is only sent over secure connections.
+     */
+    get secure() {
+        return this._secure;
+    }
+
+    /**
+     * Return an instance with the specified secure flag.
+     *
+     * @public
+     * @param {boolean} [secure=true] Whether the cookie is only sent over secure connections.
+     * @return {SetCookie} Cookie instance with given secure flag.
+     */
+    withSecure(secure = true) {
+        if (secure === this._secure) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            this._maxAge,
+            this._domain,
+            this._path,
+            secure,
+            this._httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Determine if the cookie is inaccessible to scripts.
+     *
+     * @public
+     * @return {boolean} True if the cookie is inaccessible to scripts.
+     */
+    get httpOnly() {
+        return this._httpOnly;
+    }
+
+    /**
+     * Return an instance with the specified HttpOnly flag.
+     *
+     * @public
+     * @param {boolean} [httpOnly=true] Whether the cookie is inaccessible to scripts.
+     * @return {SetCookie} Cookie instance with given HttpOnly flag.
+     */
+    withHttpOnly(httpOnly = true) {
+        if (httpOnly === this._httpOnly) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            this._maxAge,
+            this._domain,
+            this._path,
+            this._secure,
+            httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Retrieve whether the cookie is sent with cross-site requests.
+     *
+     * @public
+     * @return {?SameSite} SameSite value or null if not set.
+     */
+    get sameSite() {
+        return this._sameSite;
+    }
+
+    /**
+     * Return an instance with the specified SameSite value.
+     *
+     * A null value removes the attribute.
+     *
+     * @public
+     * @param {?SameSite} sameSite Whether the cookie is sent with cross-site requests.
+     * @return {SetCookie} Cookie instance with given SameSite value.
+     */
+    withSameSite(sameSite) {
+        if (sameSite === this._sameSite) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            this._maxAge,
+            this._domain,
+            this._path,
+            this._secure,
+            this._httpOnly,
+            sameSite,
+            this._partitioned
+        );
+    }
+
+    /**
+     * Determine if the cookie is stored using partitioned storage.
+     *
+     * @public
+     * @return {boolean} True if the cookie is stored using partitioned storage.
+     */
+    get partitioned() {
+        return this._partitioned;
+    }
+
+    /**
+     * Return an instance with the specified Partitioned flag.
+     *
+     * @public
+     * @param {boolean} [partitioned=true] Whether the cookie is stored using partitioned storage.
+     * @return {SetCookie} Cookie instance with given Partitioned flag.
+     */
+    withPartitioned(partitioned = true) {
+        if (partitioned === this._partitioned) {
+            return this;
+        }
+
+        return new SetCookie(
+            this.name,
+            this.value,
+            this._expires,
+            this._maxAge,
+            this._domain,
+            this._path,
+            this._secure,
+            this._httpOnly,
+            this._sameSite,
+            partitioned
+        );
+    }
+
+    /**
+     * Return the string representation as a Set-Cookie header value.
+     *
+     * @public
+     * @return {string} Set-Cookie header value.
+     */
+    toString() {
+        let cookie = super.toString();
+
+        if (this._expires) {
+            cookie += `; Expires=${this._expires.toUTCString()}`;
+        }
+
+        if (this._maxAge !== null) {
+            cookie += `; Max-Age=${this._maxAge}`;
+        }
+
+        if (this._domain) {
+            cookie += `; Domain=${this._domain}`;
+        }
+
+        if (this._path) {
+            cookie += `; Path=${this._path}`;
+        }
+
+        if (this._secure) {
+            cookie += "; Secure";
+        }
+
+        if (this._httpOnly) {
+            cookie += "; HttpOnly";
+        }
+
+        if (this._sameSite) {
+            cookie += `; SameSite=${this._sameSite}`;
+        }
+
+        if (this._partitioned) {
+            cookie += "; Partitioned";
+        }
+
+        return cookie;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    createCookie(name, value) {
+        return new SetCookie(
+            name,
+            value,
+            this._expires,
+            this._maxAge,
+            this._domain,
+            this._path,
+            this._secure,
+            this._httpOnly,
+            this._sameSite,
+            this._partitioned
+        );
+    }
+}
+
+export default SetCookie;
@@ -5,21 +5,152 @@
  * file that was distributed with this source code.
  */
 
-import StringStream from "./StringStream.js";
+import BufferStream from "./BufferStream.js";
+import FileStream from "./FileStream.js";
+import { Readable } from "stream";
+import { createRequire } from "module";
+
+/**
+ * Constructor of WHATWG readable streams or null if the runtime lacks them.
+ *
+ * Node.js 16.5 provides the constructor through the stream/web module and
+ * Node.js 18 as a global.
+ *
+ * @private
+ * @type {?Function}
+ */
+const WebReadableStream = globalThis.ReadableStream || (() => {
+    try {
+        return createRequire(import.meta.url)("stream/web").ReadableStream;
+    } catch (error) {
+        return null;
+    }
+})();
 
 /**
  * Has the ability to create streams.
  */
 class StreamFactory {
     /**
-     * Create a new stream from a string.
+     * Create a new stream from a string or buffer.
      *
      * @public
-     * @param {string} content String content with which to populate the stream.
-     * @return {stream.Duplex} A new stream instance.
+     * @param {(string|Buffer|Uint8Array)} content Content with which to populate the stream.
+     * @return {BufferStream} A new stream instance.
      */
     createStream(content) {
-        return new StringStream(content);
+        return new BufferStream(content);
+    }
+
+    /**
+     * Create a new stream from a file.
+     *
+     * The file is opened lazily once the stream is read from or written to.
+     *
+     * @public
+     * @param {string} path Path of the file.
+     * @param {string} [mode="r"] File system flags to open the file with.
+     * @return {FileStream} A new stream instance.
+     */
+    createStreamFromFile(path, mode = "r") {
+        return new FileStream(path, mode);
+    }
+
+    /**
+     * Create a new stream from a buffer.
+     *
+     * @public
+     * @param {(Buffer|Uint8Array)} buffer Buffer with which to populate the stream.
+     * @return {BufferStream} A new stream instance.
+     */
+    createStreamFromBuffer(buffer) {
+        return new BufferStream(buffer);
+    }
+
+    /**
+     * Create a new stream from an iterable.
+     *
+     * This is useful for streaming content as it is generated, such as from
+     * an async generator function. The iterable must produce strings or
+     * buffers.
+     *
+     * @public
+     * @param {(AsyncIterable|Iterable)} iterable Iterable producing the stream content.
+     * @return {stream.Readable} A new stream instance.
+     */
+    createStreamFromIterable(iterable) {
+        return Readable.from(iterable, {objectMode: false});
+    }
+
+    /**
+     * Create a new stream from a WHATWG readable stream.
+     *
+     * The web stream is canceled if the returned stream is destroyed before
+     * the web stream is done.
+     *
+     * @see https://streams.spec.whatwg.org/#rs-class
+     * @public
+     * @param {ReadableStream} webStream Web stream producing the stream content.
+     * @return {stream.Readable} A new stream instance.
+     */
+    createStreamFromWebStream(webStream) {
+        return this.createStreamFromIterable((async function* () {
+            const reader = webStream.getReader();
+            let done = false;
+
+            try {
+                while (!done) {
+                    const result = await reader.read();
+
+                    done = result.done;
+
+                    if (!done) {
+                        yield result.value;
+                    }
+                }
+            } finally {
+                if (!done) {
+                    await reader.cancel();
+                }
+
+                reader.releaseLock();
+            }
+        })());
+    }
+
+    /**
+     * Create a WHATWG readable stream from a stream.
+     *
+     * The stream is destroyed if the returned web stream is canceled. This
+     * requires a runtime with web streams, such as Node.js 16.5 or later.
+     *
+     * @see https://streams.spec.whatwg.org/#rs-class
+     * @public
+     * @param {stream.Readable} stream Stream producing the web stream content.
+     * @return {ReadableStream} A new web stream instance.
+     * @throws {Error} If the runtime does not support web streams.
+     */
+    createWebStream(stream) {
+        if (!WebReadableStream) {
+            throw new Error("Web streams are not supported by this runtime");
+        }
+
+        const iterator = stream[Symbol.asyncIterator]();
+
+        return new WebReadableStream({
+            async pull(controller) {
+                const { done, value } = await iterator.next();
+
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(new Uint8Array(Buffer.from(value)));
+                }
+            },
+            cancel() {
+                stream.destroy();
+            }
+        });
     }
 }
 
@@ -5,14 +5,16 @@
  * file that was distributed with this source code.
  */
 
-import { Duplex } from "stream";
+import BufferStream from "./BufferStream.js";
 
 /**
  * A string implementation of a duplex stream.
  *
- * @extends stream.Duplex
+ * @deprecated Use BufferStream, which has the same behavior for strings and
+ *     also supports binary content.
+ * @extends BufferStream
  */
-class StringStream extends Duplex {
+class StringStream extends BufferStream {
     /**
      * Creates a stream instance.
      *
@@ -20,32 +22,7 @@ class StringStream extends Duplex {
      * @param {?string} content The stream content.
      */
     constructor(content = "") {
-        super();
-
-        /**
-         * Stream content.
-         *
-         * @private
-         * @type {string}
-         */
-        this.content = content;
-    }
-
-    _read(size) {
-        if (this.content.length === 0) {
-            this.push(null);
-
-            return;
-        }
-
-        this.push(this.content.slice(0, size));
-        this.content = this.content.slice(size);
-    }
-
-    _write(chunk, encoding, callback) {
-        this.content += chunk.toString();
-
-        callback();
+        super(content);
     }
 }
 
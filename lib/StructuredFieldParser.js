@@ -0,0 +1,376 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import StructuredFieldParseError from "./StructuredFieldParseError.js";
+import StructuredFieldType from "./StructuredFieldType.js";
+import StructuredInnerList from "./StructuredInnerList.js";
+import StructuredItem from "./StructuredItem.js";
+import Token from "./Token.js";
+
+/**
+ * Has the ability to parse structured field values.
+ *
+ * Lists are parsed into arrays and dictionaries into objects, both with
+ * members that are either items or inner lists. Integers and decimals are
+ * both parsed into numbers and byte sequences into buffers.
+ *
+ * @see https://tools.ietf.org/html/rfc8941#section-4.2
+ */
+class StructuredFieldParser {
+    /**
+     * Parse a structured field value.
+     *
+     * Values of headers appearing multiple times should be combined with a
+     * comma before parsing.
+     *
+     * @public
+     * @param {string} value Field value to parse.
+     * @param {StructuredFieldType} type Top-level type of the field.
+     * @return {(StructuredItem|Array.<(StructuredItem|StructuredInnerList)>|Object.<string, (StructuredItem|StructuredInnerList)>)}
+     *     Parsed field value.
+     * @throws {StructuredFieldParseError} If the value cannot be parsed.
+     * @throws {TypeError} For unknown field types.
+     */
+    parse(value, type) {
+        const parsers = {
+            [StructuredFieldType.ITEM]: state => this.parseItem(state),
+            [StructuredFieldType.LIST]: state => this.parseList(state),
+            [StructuredFieldType.DICTIONARY]: state => this.parseDictionary(state)
+        };
+
+        if (!Object.prototype.hasOwnProperty.call(parsers, type)) {
+            throw new TypeError(`Unknown structured field type "${type}"`);
+        }
+
+        const state = {input: value, position: 0};
+
+        this.skip(state, / */y);
+
+        const result = parsers[type](state);
+
+        this.skip(state, / */y);
+
+        if (state.position < value.length) {
+            this.fail(state, `Unexpected character "${value.charAt(state.position)}"`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a list.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.1
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {Array.<(StructuredItem|StructuredInnerList)>} List members.
+     * @throws {StructuredFieldParseError} If the list cannot be parsed.
+     */
+    parseList(state) {
+        const members = [];
+
+        while (state.position < state.input.length) {
+            members.push(this.parseItemOrInnerList(state));
+
+            if (this.parseMemberSeparator(state)) {
+                break;
+            }
+        }
+
+        return members;
+    }
+
+    /**
+     * Parse a dictionary.
+     *
+     * Repeated keys are overridden by their last occurrence.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.2
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {Object.<string, (StructuredItem|StructuredInnerList)>} Dictionary members.
+     * @throws {StructuredFieldParseError} If the dictionary cannot be parsed.
+     */
+    parseDictionary(state) {
+        const members = {};
+
+        while (state.position < state.input.length) {
+            const key = this.parseKey(state);
+
+            if (state.input.charAt(state.position) === "=") {
+                state.position++;
+                members[key] = this.parseItemOrInnerList(state);
+            } else {
+                members[key] = new StructuredItem(true, this.parseParameters(state));
+            }
+
+            if (this.parseMemberSeparator(state)) {
+                break;
+            }
+        }
+
+        return members;
+    }
+
+    /**
+     * Parse the separator following a list or dictionary member.
+     *
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {boolean} True if the end of the input is reached.
+     * @throws {StructuredFieldParseError} If the separator is missing or trailing.
+     */
+    parseMemberSeparator(state) {
+        this.skip(state, /[ \t]*/y);
+
+        if (state.position === state.input.length) {
+            return true;
+        }
+
+        if (state.input.charAt(state.position) !== ",") {
+            this.fail(state, `Expected "," but found "${state.input.charAt(state.position)}"`);
+        }
+
+        state.position++;
+        this.skip(state, /[ \t]*/y);
+
+        if (state.position === state.input.length) {
+            this.fail(state, "Unexpected end of input after \",\"");
+        }
+
+        return false;
+    }
+
+    /**
+     * Parse an item or an inner list.
+     *
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {(StructuredItem|StructuredInnerList)} Parsed member.
+     * @throws {StructuredFieldParseError} If the member cannot be parsed.
+     */
+    parseItemOrInnerList(state) {
+        return state.input.charAt(state.position) === "(" ? this.parseInnerList(state) : this.parseItem(state);
+    }
+
+    /**
+     * Parse an inner list.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.1.2
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {StructuredInnerList} Parsed inner list.
+     * @throws {StructuredFieldParseError} If the inner list cannot be parsed.
+     */
+    parseInnerList(state) {
+        const items = [];
+
+        state.position++;
+
+        while (state.position < state.input.length) {
+            this.skip(state, / */y);
+
+            if (state.input.charAt(state.position) === ")") {
+                state.position++;
+
+                return new StructuredInnerList(items, this.parseParameters(state));
+            }
+
+            items.push(this.parseItem(state));
+
+            if (!/[ )]/.test(state.input.charAt(state.position))) {
+                this.fail(state, "Expected \" \" or \")\" in inner list");
+            }
+        }
+
+        this.fail(state, "Unterminated inner list");
+    }
+
+    /**
+     * Parse an item.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.3
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {StructuredItem} Parsed item.
+     * @throws {StructuredFieldParseError} If the item cannot be parsed.
+     */
+    parseItem(state) {
+        const value = this.parseBareItem(state);
+
+        return new StructuredItem(value, this.parseParameters(state));
+    }
+
+    /**
+     * Parse a bare item.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.3.1
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {(number|string|boolean|Token|Buffer)} Parsed bare item.
+     * @throws {StructuredFieldParseError} If the bare item cannot be parsed.
+     */
+    parseBareItem(state) {
+        const character = state.input.charAt(state.position);
+
+        if (/[-0-9]/.test(character)) {
+            return this.parseNumber(state);
+        }
+
+        if (character === "\"") {
+            return this.parseString(state);
+        }
+
+        if (/[A-Za-z*]/.test(character)) {
+            return new Token(this.match(state, /[A-Za-z*][!#$%&'*+\-.^_`|~0-9A-Za-z:\/]*/y));
+        }
+
+        if (character === ":") {
+            const match = this.match(state, /:([A-Za-z0-9+\/=]*):/y, "Invalid byte sequence");
+
+            return Buffer.from(match.slice(1, -1), "base64");
+        }
+
+        if (character === "?") {
+            return this.match(state, /\?[01]/y, "Invalid boolean") === "?1";
+        }
+
+        this.fail(state, character === "" ? "Unexpected end of input" : `Unexpected character "${character}"`);
+    }
+
+    /**
+     * Parse parameters.
+     *
+     * Repeated keys are overridden by their last occurrence.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.3.2
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {Object.<string, (number|string|boolean|Token|Buffer)>} Parsed parameters.
+     * @throws {StructuredFieldParseError} If the parameters cannot be parsed.
+     */
+    parseParameters(state) {
+        const parameters = {};
+
+        while (state.input.charAt(state.position) === ";") {
+            state.position++;
+            this.skip(state, / */y);
+
+            const key = this.parseKey(state);
+
+            if (state.input.charAt(state.position) === "=") {
+                state.position++;
+                parameters[key] = this.parseBareItem(state);
+            } else {
+                parameters[key] = true;
+            }
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Parse a key.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.3.3
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {string} Parsed key.
+     * @throws {StructuredFieldParseError} If the key cannot be parsed.
+     */
+    parseKey(state) {
+        return this.match(state, /[a-z*][a-z0-9_\-.*]*/y, "Invalid key");
+    }
+
+    /**
+     * Parse an integer or a decimal.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.4
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {number} Parsed number.
+     * @throws {StructuredFieldParseError} If the number cannot be parsed.
+     */
+    parseNumber(state) {
+        const number = this.match(state, /-?(?:[0-9]{1,12}\.[0-9]{1,3}(?![0-9])|[0-9]{1,15}(?![0-9.]))/y, "Invalid number");
+
+        return Number(number);
+    }
+
+    /**
+     * Parse a string.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.2.5
+     * @private
+     * @param {Object} state Input and current position.
+     * @return {string} Parsed string.
+     * @throws {StructuredFieldParseError} If the string cannot be parsed.
+     */
+    parseString(state) {
+        const match = this.match(state, /"((?:[\x20\x21\x23-\x5B\x5D-\x7E]|\\["\\])*)"/y, "Invalid string");
+
+        return match.slice(1, -1).replace(/\\(["\\])/g, "$1");
+    }
+
+    /**
+     * Consume the input matching the given sticky pattern.
+     *
+     * @private
+     * @param {Object} state Input and current position.
+     * @param {RegExp} pattern Sticky pattern to match at the current position.
+     * @param {string} [message="Unexpected input"] Error message if the pattern does not match.
+     * @return {string} Matched input.
+     * @throws {StructuredFieldParseError} If the pattern does not match.
+     */
+    match(state, pattern, message = "Unexpected input") {
+        pattern.lastIndex = state.position;
+
+        const match = pattern.exec(state.input);
+
+        if (!match) {
+            this.fail(state, message);
+        }
+
+        state.position += match[0].length;
+
+        return match[0];
+    }
+
+    /**
+     * Consume any input matching the given sticky pattern.
+     *
+     * @private
+     * @param {Object} state Input and current position.
+     * @param {RegExp} pattern Sticky pattern matching the input to skip.
+     */
+    skip(state, pattern) {
+        pattern.lastIndex = state.position;
+
+        const match = pattern.exec(state.input);
+
+        if (match) {
+            state.position += match[0].length;
+        }
+    }
+
+    /**
+     * Throw a parse error for the current position.
+     *
+     * @private
+     * @param {Object} state Input and current position.
+     * @param {string} message Error message.
+     * @throws {StructuredFieldParseError} Always.
+     */
+    fail(state, message) {
+        throw new StructuredFieldParseError(
+            `${message} in structured field "${state.input}" at position ${state.position}`,
+            state.position
+        );
+    }
+}
+
+export default StructuredFieldParser;
@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import StructuredInnerList from "./StructuredInnerList.js";
+import StructuredItem from "./StructuredItem.js";
+import Token from "./Token.js";
+
+/**
+ * Has the ability to serialize structured field values.
+ *
+ * The top-level type is determined by the value; arrays are serialized as
+ * lists, plain objects as dictionaries and anything else as an item. Bare
+ * items may be given in place of items without parameters.
+ *
+ * Numbers are serialized as integers if they have no fractional part and as
+ * decimals otherwise.
+ *
+ * @see https://tools.ietf.org/html/rfc8941#section-4.1
+ */
+class StructuredFieldSerializer {
+    /**
+     * Serialize a structured field value.
+     *
+     * Empty lists and dictionaries are serialized as an empty string, in
+     * which case the field should not be sent.
+     *
+     * @public
+     * @param {*} value Item, list or dictionary to serialize.
+     * @return {string} Serialized field value.
+     * @throws {TypeError} If the value cannot be serialized.
+     */
+    serialize(value) {
+        if (Array.isArray(value)) {
+            return value.map(member => this.serializeMember(member)).join(", ");
+        }
+
+        if (this.isDictionary(value)) {
+            return Object.entries(value)
+                .map(([ key, member ]) => {
+                    const item = member instanceof StructuredItem || member instanceof StructuredInnerList ?
+                        member :
+                        new StructuredItem(member);
+
+                    if (item instanceof StructuredItem && item.value === true) {
+                        return this.serializeKey(key) + this.serializeParameters(item.parameters);
+                    }
+
+                    return `${this.serializeKey(key)}=${this.serializeMember(item)}`;
+                })
+                .join(", ");
+        }
+
+        return this.serializeItem(value);
+    }
+
+    /**
+     * Serialize a member of a list or dictionary.
+     *
+     * @private
+     * @param {*} member Item or inner list.
+     * @return {string} Serialized member.
+     * @throws {TypeError} If the member cannot be serialized.
+     */
+    serializeMember(member) {
+        if (member instanceof StructuredInnerList) {
+            const items = member.items.map(item => this.serializeItem(item)).join(" ");
+
+            return `(${items})${this.serializeParameters(member.parameters)}`;
+        }
+
+        return this.serializeItem(member);
+    }
+
+    /**
+     * Serialize an item.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.1.3
+     * @private
+     * @param {*} item Item or bare item.
+     * @return {string} Serialized item.
+     * @throws {TypeError} If the item cannot be serialized.
+     */
+    serializeItem(item) {
+        if (item instanceof StructuredItem) {
+            return this.serializeBareItem(item.value) + this.serializeParameters(item.parameters);
+        }
+
+        return this.serializeBareItem(item);
+    }
+
+    /**
+     * Serialize parameters.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.1.1.2
+     * @private
+     * @param {Object.<string, *>} parameters Parameters to serialize.
+     * @return {string} Serialized parameters.
+     * @throws {TypeError} If the parameters cannot be serialized.
+     */
+    serializeParameters(parameters) {
+        return Object.entries(parameters)
+            .map(([ key, value ]) => {
+                if (value === true) {
+                    return `;${this.serializeKey(key)}`;
+                }
+
+                return `;${this.serializeKey(key)}=${this.serializeBareItem(value)}`;
+            })
+            .join("");
+    }
+
+    /**
+     * Serialize a key.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.1.1.3
+     * @private
+     * @param {string} key Key to serialize.
+     * @return {string} Serialized key.
+     * @throws {TypeError} For invalid keys.
+     */
+    serializeKey(key) {
+        if (!/^[a-z*][a-z0-9_\-.*]*$/.test(key)) {
+            throw new TypeError(`Invalid structured field key "${key}"`);
+        }
+
+        return key;
+    }
+
+    /**
+     * Serialize a bare item.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.1.3.1
+     * @private
+     * @param {*} value Bare item to serialize.
+     * @return {string} Serialized bare item.
+     * @throws {TypeError} If the value is not a valid bare item.
+     */
+    serializeBareItem(value) {
+        if (typeof value === "number") {
+            return Number.isInteger(value) ? this.serializeInteger(value) : this.serializeDecimal(value);
+        }
+
+        if (typeof value === "string") {
+            if (!/^[\x20-\x7E]*$/.test(value)) {
+                throw new TypeError(`Invalid structured field string "${value}"`);
+            }
+
+            return `"${value.replace(/["\\]/g, "\\$&")}"`;
+        }
+
+        if (typeof value === "boolean") {
+            return value ? "?1" : "?0";
+        }
+
+        if (value instanceof Token) {
+            return value.toString();
+        }
+
+        if (value instanceof Uint8Array) {
+            return `:${Buffer.from(value).toString("base64")}:`;
+        }
+
+        throw new TypeError(`Invalid structured field bare item "${value}"`);
+    }
+
+    /**
+     * Serialize an integer.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.1.4
+     * @private
+     * @param {number} value Integer to serialize.
+     * @return {string} Serialized integer.
+     * @throws {TypeError} If the integer is out of range.
+     */
+    serializeInteger(value) {
+        if (Math.abs(value) > 999999999999999) {
+            throw new TypeError(`Structured field integer ${value} out of range`);
+        }
+
+        return value.toFixed(0);
+    }
+
+    /**
+     * Serialize a decimal.
+     *
+     * The value is rounded to three fractional digits, with ties rounded to
+     * even.
+     *
+     * @see https://tools.ietf.org/html/rfc8941#section-4.1.5
+     * @private
+     * @param {number} value Decimal to serialize.
+     * @return {string} Serialized decimal.
+     * @throws {TypeError} If the decimal is out of range.
+     */
+    serializeDecimal(value) {
+        const scaled = value * 1000;
+        const rounded = Math.abs(scaled % 1) === 0.5 ? 2 * Math.round(scaled / 2) : Math.round(scaled);
+
+        if (!Number.isFinite(rounded) || Math.abs(rounded) >= 1e15) {
+            throw new TypeError(`Structured field decimal ${value} out of range`);
+        }
+
+        return (rounded / 1000).toFixed(3).replace(/(\.[0-9]*?)0+$/, "$1").replace(/\.$/, ".0");
+    }
+
+    /**
+     * Determine if a value is a plain object representing a dictionary.
+     *
+     * @private
+     * @param {*} value Value to check.
+     * @return {boolean} True if the value is a plain object.
+     */
+    isDictionary(value) {
+        return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+    }
+}
+
+export default StructuredFieldSerializer;
@@ -0,0 +1,23 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Represents a fixed set of structured field types.
+ *
+ * Each header defines which of the top-level types its value uses.
+ *
+ * @see https://tools.ietf.org/html/rfc8941#section-3
+ * @readonly
+ * @enum {string}
+ */
+const StructuredFieldType = {
+    ITEM: "item",
+    LIST: "list",
+    DICTIONARY: "dictionary"
+};
+
+export default StructuredFieldType;
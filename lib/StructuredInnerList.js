@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Value object representing a structured field inner list.
+ *
+ * Inner lists are parenthesized lists of items that can appear as members of
+ * lists and dictionaries.
+ *
+ * @see https://tools.ietf.org/html/rfc8941#section-3.1.1
+ */
+class StructuredInnerList {
+    /**
+     * Create a new inner list instance.
+     *
+     * @public
+     * @param {Array.<StructuredItem>} items List items.
+     * @param {Object.<string, (number|string|boolean|Token|Buffer)>} [parameters={}] List parameters.
+     */
+    constructor(items, parameters = {}) {
+        /**
+         * List items.
+         *
+         * @private
+         * @type {Array.<StructuredItem>}
+         */
+        this._items = items.slice();
+
+        /**
+         * List parameters.
+         *
+         * @private
+         * @type {Object.<string, (number|string|boolean|Token|Buffer)>}
+         */
+        this._parameters = {...parameters};
+    }
+
+    /**
+     * Retrieve the list items.
+     *
+     * @public
+     * @return {Array.<StructuredItem>} List items.
+     */
+    get items() {
+        return this._items.slice();
+    }
+
+    /**
+     * Retrieve the list parameters.
+     *
+     * @public
+     * @return {Object.<string, (number|string|boolean|Token|Buffer)>} Parameters in order of appearance.
+     */
+    get parameters() {
+        return {...this._parameters};
+    }
+
+    /**
+     * Retrieve a parameter value by name.
+     *
+     * @public
+     * @param {string} name Parameter name.
+     * @return {?(number|string|boolean|Token|Buffer)} Parameter value or null if not present.
+     */
+    parameter(name) {
+        return Object.prototype.hasOwnProperty.call(this._parameters, name) ? this._parameters[name] : null;
+    }
+}
+
+export default StructuredInnerList;
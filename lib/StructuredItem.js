@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Value object representing a structured field item.
+ *
+ * The value is a bare item, which is an integer or decimal number, a string,
+ * a token, a byte sequence or a boolean.
+ *
+ * @see https://tools.ietf.org/html/rfc8941#section-3.3
+ */
+class StructuredItem {
+    /**
+     * Create a new item instance.
+     *
+     * @public
+     * @param {(number|string|boolean|Token|Buffer)} value Bare item.
+     * @param {Object.<string, (number|string|boolean|Token|Buffer)>} [parameters={}] Item parameters.
+     */
+    constructor(value, parameters = {}) {
+        /**
+         * Bare item.
+         *
+         * @private
+         * @type {(number|string|boolean|Token|Buffer)}
+         */
+        this._value = value;
+
+        /**
+         * Item parameters.
+         *
+         * @private
+         * @type {Object.<string, (number|string|boolean|Token|Buffer)>}
+         */
+        this._parameters = {...parameters};
+    }
+
+    /**
+     * Retrieve the bare item.
+     *
+     * @public
+     * @return {(number|string|boolean|Token|Buffer)} Bare item.
+     */
+    get value() {
+        return this._value;
+    }
+
+    /**
+     * Retrieve the item parameters.
+     *
+     * @public
+     * @return {Object.<string, (number|string|boolean|Token|Buffer)>} Parameters in order of appearance.
+     */
+    get parameters() {
+        return {...this._parameters};
+    }
+
+    /**
+     * Retrieve a parameter value by name.
+     *
+     * @public
+     * @param {string} name Parameter name.
+     * @return {?(number|string|boolean|Token|Buffer)} Parameter value or null if not present.
+     */
+    parameter(name) {
+        return Object.prototype.hasOwnProperty.call(this._parameters, name) ? this._parameters[name] : null;
+    }
+}
+
+export default StructuredItem;
@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Value object representing a structured field token.
+ *
+ * Tokens are short textual words that are distinguished from strings in the
+ * structured field data model, such as the "uri-miss" value of the "fwd"
+ * parameter in a Cache-Status header.
+ *
+ * @see https://tools.ietf.org/html/rfc8941#section-3.3.4
+ */
+class Token {
+    /**
+     * Create a new token instance.
+     *
+     * @public
+     * @param {string} value Token value.
+     * @throws {TypeError} For invalid token values.
+     */
+    constructor(value) {
+        if (!/^[A-Za-z*][!#$%&'*+\-.^_`|~0-9A-Za-z:\/]*$/.test(value)) {
+            throw new TypeError(`Invalid token "${value}"`);
+        }
+
+        /**
+         * Token value.
+         *
+         * @private
+         * @type {string}
+         */
+        this._value = value;
+    }
+
+    /**
+     * Retrieve the token value.
+     *
+     * @public
+     * @return {string} Token value.
+     */
+    get value() {
+        return this._value;
+    }
+
+    /**
+     * Determine if the given token is equal to this token.
+     *
+     * Tokens are compared case-sensitively.
+     *
+     * @public
+     * @param {Token} other Token to compare with.
+     * @return {boolean} True if the tokens are equal.
+     */
+    equals(other) {
+        return other instanceof Token && other.value === this._value;
+    }
+
+    /**
+     * Return the string representation of the token.
+     *
+     * @public
+     * @return {string} Token value.
+     */
+    toString() {
+        return this._value;
+    }
+}
+
+export default Token;
@@ -0,0 +1,21 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Represents a fixed set of file upload errors.
+ *
+ * @readonly
+ * @enum {number}
+ */
+const UploadError = {
+    OK: 0,
+    FILE_TOO_LARGE: 1,
+    NO_FILE: 2,
+    CANT_WRITE: 3
+};
+
+export default UploadError;
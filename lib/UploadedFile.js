@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import UploadError from "./UploadError.js";
+import fs from "fs";
+import { PassThrough } from "stream";
+
+/**
+ * Value object representing a file uploaded through an HTTP request.
+ *
+ * The content of the file is either held in memory or stored in a temporary
+ * file on disk, depending on its size.
+ *
+ * Instances are considered immutable; the file can however only be moved
+ * once, after which its content is no longer available through the instance.
+ */
+class UploadedFile {
+    /**
+     * Create a new uploaded file instance.
+     *
+     * @public
+     * @param {?(string|Buffer)} source Path of the file on disk or the file content.
+     * @param {?number} size File size in bytes.
+     * @param {UploadError} [error=UploadError.OK] Upload error.
+     * @param {?string} clientFilename File name sent by the client.
+     * @param {?string} clientMediaType Media type sent by the client.
+     */
+    constructor(source, size, error = UploadError.OK, clientFilename = null, clientMediaType = null) {
+        /**
+         * Path of the file on disk or the file content.
+         *
+         * @private
+         * @type {?(string|Buffer)}
+         */
+        this.source = source;
+
+        /**
+         * File size in bytes.
+         *
+         * @private
+         * @type {?number}
+         */
+        this._size = size;
+
+        /**
+         * Upload error.
+         *
+         * @private
+         * @type {UploadError}
+         */
+        this._error = error;
+
+        /**
+         * File name sent by the client.
+         *
+         * @private
+         * @type {?string}
+         */
+        this._clientFilename = clientFilename;
+
+        /**
+         * Media type sent by the client.
+         *
+         * @private
+         * @type {?string}
+         */
+        this._clientMediaType = clientMediaType;
+
+        /**
+         * Whether the file has been moved.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.moved = false;
+    }
+
+    /**
+     * Retrieve a stream representing the uploaded file.
+     *
+     * A new stream is created on every access.
+     *
+     * @public
+     * @return {stream.Readable} Stream of the uploaded file content.
+     * @throws {Error} If the upload failed or the file has been moved.
+     */
+    get stream() {
+        this.assertAvailable();
+
+        if (typeof this.source === "string") {
+            return fs.createReadStream(this.source);
+        }
+
+        return new PassThrough().end(this.source);
+    }
+
+    /**
+     * Move the uploaded file to a new location.
+     *
+     * This method is guaranteed to work only once; the file content is not
+     * available through this instance after it has been moved. A failed move
+     * leaves the file content available so the move can be retried.
+     *
+     * @public
+     * @param {string} targetPath Path to which to move the uploaded file.
+     * @return {Promise} Resolves when the file has been moved.
+     * @throws {Error} If the upload failed or the file has already been moved.
+     */
+    async moveTo(targetPath) {
+        this.assertAvailable();
+
+        if (typeof this.source !== "string") {
+            await fs.promises.writeFile(targetPath, this.source);
+            this.moved = true;
+
+            return;
+        }
+
+        try {
+            await fs.promises.rename(this.source, targetPath);
+        } catch (error) {
+            // Renaming is not possible across devices, copy the file instead.
+            if (error.code !== "EXDEV") {
+                throw error;
+            }
+
+            await fs.promises.copyFile(this.source, targetPath);
+            await fs.promises.unlink(this.source);
+        }
+
+        this.moved = true;
+    }
+
+    /**
+     * Retrieve the file size.
+     *
+     * @public
+     * @return {?number} The file size in bytes or null if unknown.
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Retrieve the error associated with the uploaded file.
+     *
+     * If the file was uploaded successfully, this method MUST return
+     * UploadError.OK.
+     *
+     * @public
+     * @return {UploadError} Upload error.
+     */
+    get error() {
+        return this._error;
+    }
+
+    /**
+     * Retrieve the filename sent by the client.
+     *
+     * Do not trust the value returned by this method. A client could send
+     * a malicious filename with the intention to corrupt or hack your
+     * application.
+     *
+     * @public
+     * @return {?string} The filename sent by the client or null if none was provided.
+     */
+    get clientFilename() {
+        return this._clientFilename;
+    }
+
+    /**
+     * Retrieve the media type sent by the client.
+     *
+     * Do not trust the value returned by this method. A client could send
+     * a malicious media type with the intention to corrupt or hack your
+     * application.
+     *
+     * @public
+     * @return {?string} The media type sent by the client or null if none was provided.
+     */
+    get clientMediaType() {
+        return this._clientMediaType;
+    }
+
+    /**
+     * Ensure the file content is available.
+     *
+     * @private
+     * @throws {Error} If the upload failed or the file has been moved.
+     */
+    assertAvailable() {
+        if (this._error !== UploadError.OK) {
+            throw new Error("Cannot retrieve content of a failed upload");
+        }
+
+        if (this.moved) {
+            throw new Error("Cannot retrieve content of an uploaded file that has been moved");
+        }
+    }
+}
+
+export default UploadedFile;
@@ -0,0 +1,288 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import UriTemplateError from "./UriTemplateError.js";
+
+/**
+ * Expansion behavior of each expression operator.
+ *
+ * @see https://tools.ietf.org/html/rfc6570#appendix-A
+ * @type {Object.<string, Object>}
+ */
+const operators = {
+    "": {first: "", separator: ",", named: false, ifEmpty: "", allowReserved: false},
+    "+": {first: "", separator: ",", named: false, ifEmpty: "", allowReserved: true},
+    "#": {first: "#", separator: ",", named: false, ifEmpty: "", allowReserved: true},
+    ".": {first: ".", separator: ".", named: false, ifEmpty: "", allowReserved: false},
+    "/": {first: "/", separator: "/", named: false, ifEmpty: "", allowReserved: false},
+    ";": {first: ";", separator: ";", named: true, ifEmpty: "", allowReserved: false},
+    "?": {first: "?", separator: "&", named: true, ifEmpty: "=", allowReserved: false},
+    "&": {first: "&", separator: "&", named: true, ifEmpty: "=", allowReserved: false}
+};
+
+/**
+ * Class representing a URI template.
+ *
+ * Supports all four levels of template expressions, including the explode
+ * and prefix modifiers.
+ *
+ * @see https://tools.ietf.org/html/rfc6570
+ */
+class UriTemplate {
+    /**
+     * Create a new URI template instance.
+     *
+     * @public
+     * @param {string} template URI template.
+     * @param {UrlFactory} urlFactory A URL factory instance.
+     * @throws {UriTemplateError} If the template is malformed.
+     */
+    constructor(template, urlFactory) {
+        /**
+         * URI template.
+         *
+         * @private
+         * @type {string}
+         */
+        this.template = template;
+
+        /**
+         * A URL factory.
+         *
+         * @private
+         * @type {UrlFactory}
+         */
+        this.urlFactory = urlFactory;
+
+        /**
+         * Literals and expressions of the template.
+         *
+         * @private
+         * @type {Array.<(string|Object)>}
+         */
+        this.parts = this.parse(template);
+    }
+
+    /**
+     * Retrieve the names of the variables used in the template.
+     *
+     * @public
+     * @return {Array.<string>} Unique variable names in order of appearance.
+     */
+    get variableNames() {
+        const names = this.parts
+            .filter(part => typeof part !== "string")
+            .flatMap(expression => expression.variables.map(variable => variable.name));
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Expand the template into a URL.
+     *
+     * Undefined and null values as well as empty lists and objects are
+     * considered undefined and are omitted from the expansion. Arrays are
+     * expanded as lists and other objects as associative arrays.
+     *
+     * @public
+     * @param {Object.<string, *>} [variables={}] Template variables.
+     * @return {Url} The expanded URL.
+     * @throws {TypeError} If the expansion is not a valid URL reference.
+     */
+    expand(variables = {}) {
+        const expansion = this.parts
+            .map(part => typeof part === "string" ? part : this.expandExpression(part, variables))
+            .join("");
+
+        return this.urlFactory.createUrl(expansion);
+    }
+
+    /**
+     * Return the string representation of the template.
+     *
+     * @public
+     * @return {string} URI template.
+     */
+    toString() {
+        return this.template;
+    }
+
+    /**
+     * Split a template into literals and expressions.
+     *
+     * @private
+     * @param {string} template URI template.
+     * @return {Array.<(string|Object)>} Literals and expressions of the template.
+     * @throws {UriTemplateError} If the template is malformed.
+     */
+    parse(template) {
+        const parts = [];
+        let position = 0;
+
+        while (position < template.length) {
+            const start = template.indexOf("{", position);
+            const literal = template.slice(position, start === -1 ? template.length : start);
+            const closingBrace = literal.indexOf("}");
+
+            if (closingBrace !== -1) {
+                throw new UriTemplateError(
+                    `Unexpected "}" in template "${template}" at position ${position + closingBrace}`,
+                    position + closingBrace
+                );
+            }
+
+            if (literal.length > 0) {
+                parts.push(this.encode(literal, true));
+            }
+
+            if (start === -1) {
+                break;
+            }
+
+            const end = template.indexOf("}", start);
+
+            if (end === -1) {
+                throw new UriTemplateError(
+                    `Unterminated expression in template "${template}" at position ${start}`,
+                    start
+                );
+            }
+
+            parts.push(this.parseExpression(template, start + 1, template.slice(start + 1, end)));
+            position = end + 1;
+        }
+
+        return parts;
+    }
+
+    /**
+     * Parse a template expression.
+     *
+     * @private
+     * @param {string} template URI template.
+     * @param {number} offset Position of the expression in the template.
+     * @param {string} expression Expression without enclosing braces.
+     * @return {Object} Operator and variable specifications of the expression.
+     * @throws {UriTemplateError} If the expression is malformed.
+     */
+    parseExpression(template, offset, expression) {
+        const operator = /^[+#./;?&]/.test(expression) ? expression.charAt(0) : "";
+        const variables = [];
+        let position = offset + operator.length;
+
+        for (const variable of expression.slice(operator.length).split(",")) {
+            const match = variable.match(
+                /^((?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2})(?:\.?(?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2}))*)(?::([1-9][0-9]{0,3})|(\*))?$/
+            );
+
+            if (!match) {
+                throw new UriTemplateError(
+                    `Invalid variable specification "${variable}" in template "${template}" at position ${position}`,
+                    position
+                );
+            }
+
+            variables.push({name: match[1], prefix: match[2] ? parseInt(match[2]) : null, explode: !!match[3]});
+            position += variable.length + 1;
+        }
+
+        return {operator, variables};
+    }
+
+    /**
+     * Expand a template expression.
+     *
+     * @see https://tools.ietf.org/html/rfc6570#section-3.2.1
+     * @private
+     * @param {Object} expression Operator and variable specifications.
+     * @param {Object.<string, *>} variables Template variables.
+     * @return {string} Expanded expression.
+     */
+    expandExpression(expression, variables) {
+        const operator = operators[expression.operator];
+        const values = expression.variables
+            .map(variable => this.expandVariable(operator, variable, variables[variable.name]))
+            .filter(value => value !== null);
+
+        return values.length > 0 ? operator.first + values.join(operator.separator) : "";
+    }
+
+    /**
+     * Expand a single variable of an expression.
+     *
+     * @private
+     * @param {Object} operator Operator behavior.
+     * @param {Object} variable Variable specification.
+     * @param {*} value Variable value.
+     * @return {?string} Expanded variable or null if undefined.
+     */
+    expandVariable(operator, variable, value) {
+        const encode = component => this.encode(String(component), operator.allowReserved);
+        const name = variable.name;
+        const named = (key, item) => item.length > 0 ? `${key}=${item}` : key + operator.ifEmpty;
+
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (typeof value !== "object") {
+            const characters = Array.from(String(value));
+            const item = encode(variable.prefix ? characters.slice(0, variable.prefix).join("") : characters.join(""));
+
+            return operator.named ? named(name, item) : item;
+        }
+
+        const entries = (Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value))
+            .filter(([ , item ]) => item !== undefined && item !== null);
+
+        if (entries.length === 0) {
+            return null;
+        }
+
+        if (variable.explode) {
+            return entries
+                .map(([ key, item ]) => {
+                    if (key !== null) {
+                        return operator.named ? named(encode(key), encode(item)) : `${encode(key)}=${encode(item)}`;
+                    }
+
+                    return operator.named ? named(name, encode(item)) : encode(item);
+                })
+                .join(operator.separator);
+        }
+
+        const item = entries
+            .flatMap(([ key, item ]) => key !== null ? [encode(key), encode(item)] : [encode(item)])
+            .join(",");
+
+        return operator.named ? named(name, item) : item;
+    }
+
+    /**
+     * Percent-encode a value.
+     *
+     * Unreserved characters are never encoded; reserved characters and
+     * existing percent-encoded sequences are retained if allowed.
+     *
+     * @private
+     * @param {string} value Value to encode.
+     * @param {boolean} allowReserved Whether to retain reserved characters.
+     * @return {string} Encoded value.
+     */
+    encode(value, allowReserved) {
+        const pattern = allowReserved ?
+            /[^A-Za-z0-9\-._~:\/?#\[\]@!$&'()*+,;=%]|%(?![0-9A-Fa-f]{2})/gu :
+            /[^A-Za-z0-9\-._~]/gu;
+
+        return value.replace(pattern, character => encodeURIComponent(character).replace(
+            /[!'()*]/g,
+            reserved => `%${reserved.charCodeAt(0).toString(16).toUpperCase()}`
+        ));
+    }
+}
+
+export default UriTemplate;
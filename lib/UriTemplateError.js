@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error thrown when a URI template is malformed.
+ *
+ * @extends Error
+ */
+class UriTemplateError extends Error {
+    /**
+     * Create a new error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     * @param {number} position Zero based position in the template where parsing failed.
+     */
+    constructor(message, position) {
+        super(message);
+
+        this.name = "UriTemplateError";
+
+        /**
+         * Zero based position in the template where parsing failed.
+         *
+         * @public
+         * @type {number}
+         */
+        this.position = position;
+    }
+}
+
+export default UriTemplateError;
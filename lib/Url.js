@@ -5,6 +5,20 @@
  * file that was distributed with this source code.
  */
 
+import HostType from "./HostType.js";
+import QueryEncoding from "./QueryEncoding.js";
+import QueryString from "./QueryString.js";
+import UrlFactory from "./UrlFactory.js";
+import { domainToASCII, domainToUnicode } from "url";
+import { isIPv4, isIPv6 } from "net";
+
+/**
+ * Query string parser shared by all URL instances.
+ *
+ * @type {QueryString}
+ */
+const queryString = new QueryString();
+
 /**
  * Class representing a URL.
  */
@@ -16,11 +30,12 @@ class Url {
      * @param {?string} scheme Url scheme.
      * @param {?string} user User of the authority component.
      * @param {?string} password Password of the authority component.
-     * @param {?string} host Url host.
+     * @param {?string} host Url host, an empty string represents an empty authority.
      * @param {?number} port Url port.
      * @param {?string} path Url path.
      * @param {?string} query Url query.
      * @param {?string} fragment Url fragment.
+     * @throws {TypeError} For invalid hosts.
      */
     constructor(scheme, user, password, host, port, path, query, fragment) {
         /**
@@ -50,10 +65,13 @@ class Url {
         /**
          * Url host.
          *
+         * An empty string represents an empty authority, as in "file:///path",
+         * while null represents the absence of an authority.
+         *
          * @private
          * @type {?string}
          */
-        this._host = host && host.length > 0 ? host.toLowerCase() : null;
+        this._host = host === "" ? "" : this.parseHost(host);
 
         /**
          * Url port.
@@ -186,6 +204,9 @@ class Url {
      * The value returned MUST be normalized to lowercase, per RFC 3986
      * Section 3.2.2.
      *
+     * IPv6 literals are enclosed in brackets and internationalized domain
+     * names are returned in their ASCII (punycode) form.
+     *
      * @see http://tools.ietf.org/html/rfc3986#section-3.2.2
      * @public
      * @return {string} The URL host.
@@ -194,6 +215,42 @@ class Url {
         return this._host || "";
     }
 
+    /**
+     * Retrieve the host component of the URL with internationalized domain
+     * names in their Unicode form.
+     *
+     * If no host is present, this method MUST return an empty string.
+     *
+     * @see https://tools.ietf.org/html/rfc5891
+     * @public
+     * @return {string} The URL host for display purposes.
+     */
+    get unicodeHost() {
+        if (this.hostType !== HostType.REGISTERED_NAME) {
+            return this.host;
+        }
+
+        return domainToUnicode(this._host) || this._host;
+    }
+
+    /**
+     * Retrieve the type of the host component of the URL.
+     *
+     * @public
+     * @return {?HostType} The type of the host or null if no host is present.
+     */
+    get hostType() {
+        if (!this._host) {
+            return null;
+        }
+
+        if (this._host.indexOf("[") === 0) {
+            return isIPv6(this._host.slice(1, -1)) ? HostType.IPV6 : HostType.IP_FUTURE;
+        }
+
+        return isIPv4(this._host) ? HostType.IPV4 : HostType.REGISTERED_NAME;
+    }
+
     /**
      * Retrieve the port component of the URL.
      *
@@ -271,6 +328,43 @@ class Url {
         return this._query || "";
     }
 
+    /**
+     * Retrieve the decoded query parameters of the URL.
+     *
+     * Parameters are returned as name and value pairs in the order they
+     * appear in the query string. Both "%20" and "+" are decoded as spaces.
+     *
+     * @public
+     * @return {Array.<Array.<string>>} List of name and value pairs.
+     */
+    get queryParams() {
+        return queryString.parsePairs(this.query);
+    }
+
+    /**
+     * Retrieve all values of a query parameter.
+     *
+     * @public
+     * @param {string} name Decoded parameter name.
+     * @return {Array.<string>} List of decoded values in order of appearance.
+     */
+    queryParam(name) {
+        return this.queryParams
+            .filter(([ parameterName ]) => parameterName === name)
+            .map(([ , value ]) => value);
+    }
+
+    /**
+     * Determine if a query parameter is present.
+     *
+     * @public
+     * @param {string} name Decoded parameter name.
+     * @return {boolean} True if the query parameter is present.
+     */
+    hasQueryParam(name) {
+        return this.queryParams.some(([ parameterName ]) => parameterName === name);
+    }
+
     /**
      * Retrieve the fragment component of the URL.
      *
@@ -371,16 +465,18 @@ class Url {
      *
      * An empty host value is equivalent to removing the host.
      *
+     * IPv6 addresses may be given with or without brackets and
+     * internationalized domain names are converted to their ASCII form.
+     *
      * @public
      * @param {string} host The hostname to use with the new instance.
      * @return {this} A URL instance with the specified host.
      * @throws {TypeError} For invalid hostnames.
      */
     withHost(host) {
-        if (
-            (host.length === 0 && !this._host) ||
-            (host.toLowerCase() === this._host)
-        ) {
+        const parsedHost = this.parseHost(host);
+
+        if (parsedHost === this._host) {
             return this;
         }
 
@@ -388,7 +484,7 @@ class Url {
             this._scheme,
             this.user,
             this.password,
-            host.length > 0 ? host.toLowerCase() : null,
+            parsedHost,
             this._port,
             this._path,
             this._query,
@@ -514,6 +610,88 @@ class Url {
         );
     }
 
+    /**
+     * Return an instance with the specified query parameter.
+     *
+     * Any existing occurrences of the parameter, including nested parameters
+     * such as "name[key]", are replaced by the new value at the position of
+     * the first occurrence. Other parameters are left untouched.
+     *
+     * Arrays and objects are represented using brackets and a null value is
+     * equivalent to removing the parameter.
+     *
+     * @public
+     * @param {string} name Decoded parameter name.
+     * @param {*} value Decoded parameter value.
+     * @param {QueryEncoding} [encoding=QueryEncoding.RFC3986] Encoding used for spaces.
+     * @return {this} A URL instance with the specified query parameter.
+     */
+    withQueryParam(name, value, encoding = QueryEncoding.RFC3986) {
+        const pairs = this.queryPairs();
+        const index = pairs.findIndex(pair => this.isQueryParam(pair, name));
+        const remainingPairs = pairs.filter(pair => !this.isQueryParam(pair, name));
+
+        remainingPairs.splice(
+            index === -1 ? remainingPairs.length : index,
+            0,
+            queryString.stringify({[name]: value}, encoding)
+        );
+
+        return this.withQuery(remainingPairs.filter(pair => pair.length > 0).join("&"));
+    }
+
+    /**
+     * Return an instance with the specified query parameter appended.
+     *
+     * Existing occurrences of the parameter are retained.
+     *
+     * @public
+     * @param {string} name Decoded parameter name.
+     * @param {*} value Decoded parameter value.
+     * @param {QueryEncoding} [encoding=QueryEncoding.RFC3986] Encoding used for spaces.
+     * @return {this} A URL instance with the appended query parameter.
+     */
+    withAddedQueryParam(name, value, encoding = QueryEncoding.RFC3986) {
+        return this.withQuery(
+            this.queryPairs()
+                .concat(queryString.stringify({[name]: value}, encoding))
+                .filter(pair => pair.length > 0)
+                .join("&")
+        );
+    }
+
+    /**
+     * Return an instance without the specified query parameter.
+     *
+     * Nested parameters such as "name[key]" are removed as well.
+     *
+     * @public
+     * @param {string} name Decoded parameter name.
+     * @return {this} A URL instance without the specified query parameter.
+     */
+    withoutQueryParam(name) {
+        return this.withQuery(
+            this.queryPairs()
+                .filter(pair => !this.isQueryParam(pair, name))
+                .join("&")
+        );
+    }
+
+    /**
+     * Return an instance with a query string built from the given parameters.
+     *
+     * The existing query string is replaced. Nested objects and arrays are
+     * represented using brackets.
+     *
+     * @public
+     * @param {Object.<string, *>} params Decoded query parameters.
+     * @param {QueryEncoding} [encoding=QueryEncoding.RFC3986] Encoding used for spaces.
+     * @return {this} A URL instance with the specified query parameters.
+     */
+    withQueryParams(params, encoding = QueryEncoding.RFC3986) {
+        return this.withQuery(queryString.stringify(params, encoding));
+    }
+
     /**
      * Return an instance with the specified URL fragment.
      *
@@ -551,6 +729,137 @@ class Url {
         );
     }
 
+    /**
+     * Resolve a reference against the URL.
+     *
+     * The URL is used as the base URL and the reference can be either a URL
+     * instance or a string, e.g. "../b?x#y". String references are parsed in
+     * the same manner as by the URL factory. Dot segments are removed from the
+     * resulting path. The result is absolute as long as the base URL is.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-5.2
+     * @public
+     * @param {(Url|string)} reference Reference to resolve.
+     * @return {Url} A new URL instance representing the target of the reference.
+     * @throws {UrlParseError} If the reference cannot be parsed.
+     */
+    resolve(reference) {
+        const base = this.parseReference(this);
+        const relative = this.parseReference(reference);
+        const target = {};
+
+        if (relative.scheme !== null) {
+            target.scheme = relative.scheme;
+            target.authority = relative.authority;
+            target.path = this.removeDotSegments(relative.path);
+            target.query = relative.query;
+        } else {
+            if (relative.authority !== null) {
+                target.authority = relative.authority;
+                target.path = this.removeDotSegments(relative.path);
+                target.query = relative.query;
+            } else {
+                if (relative.path.length === 0) {
+                    target.path = base.path;
+                    target.query = relative.query !== null ? relative.query : base.query;
+                } else {
+                    target.path = relative.path.indexOf("/") === 0 ?
+                        this.removeDotSegments(relative.path) :
+                        this.removeDotSegments(this.mergePaths(base, relative.path));
+                    target.query = relative.query;
+                }
+
+                target.authority = base.authority;
+            }
+
+            target.scheme = base.scheme;
+        }
+
+        const authority = target.authority || {user: null, password: null, host: null, port: null};
+
+        return new Url(
+            target.scheme,
+            authority.user,
+            authority.password,
+            authority.host,
+            authority.port,
+            target.path,
+            target.query,
+            relative.fragment
+        );
+    }
+
+    /**
+     * Return a normalized instance of the URL.
+     *
+     * Applies the syntax-based and scheme-based normalizations of RFC 3986:
+     * percent-encodings are uppercased, percent-encoded unreserved characters
+     * are decoded, dot segments are removed from the path, an empty path is
+     * replaced by "/" when an authority is present and standard ports are
+     * removed.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-6
+     * @public
+     * @return {Url} A normalized URL instance.
+     */
+    normalize() {
+        const hasAuthority = this._host !== null;
+        let path = this.normalizeEncoding(this.path);
+
+        if (hasAuthority && path.indexOf("/") !== 0) {
+            path = `/${path}`;
+        }
+
+        if (path.indexOf("/") === 0) {
+            path = this.removeDotSegments(path);
+        }
+
+        const url = new Url(
+            this._scheme,
+            this.user && this.normalizeEncoding(this.user),
+            this.password && this.normalizeEncoding(this.password),
+            this._host,
+            this.port,
+            path,
+            this.normalizeEncoding(this.query),
+            this.normalizeEncoding(this.fragment)
+        );
+
+        return url.toString() === this.toString() && url._port === this._port ? this : url;
+    }
+
+    /**
+     * Determine if the URL is equivalent to another URL.
+     *
+     * Both URLs are normalized before they are compared.
+     *
+     * @public
+     * @param {Url} other URL to compare with.
+     * @param {Object} [options={}] Comparison options.
+     * @param {boolean} [options.ignoreFragment=false] Whether to disregard the fragments.
+     * @param {boolean} [options.ignoreQueryParamOrder=false] Whether to disregard the order of
+     *     the query parameters.
+     * @return {boolean} True if the URLs are equivalent.
+     */
+    equals(other, options = {}) {
+        const { ignoreFragment = false, ignoreQueryParamOrder = false } = options;
+        const prepare = url => {
+            let normalizedUrl = url.normalize();
+
+            if (ignoreFragment) {
+                normalizedUrl = normalizedUrl.withFragment("");
+            }
+
+            if (ignoreQueryParamOrder) {
+                normalizedUrl = normalizedUrl.withQuery(normalizedUrl.queryPairs().sort().join("&"));
+            }
+
+            return normalizedUrl.toString();
+        };
+
+        return prepare(this) === prepare(other);
+    }
+
     /**
      * Return the string representation as a URL reference.
      *
@@ -585,8 +894,9 @@ class Url {
         }
 
         const authority = this.authority;
+        const hasAuthority = this._host !== null;
 
-        if (authority.length > 0) {
+        if (hasAuthority) {
             url += `//${authority}`;
         }
 
@@ -594,13 +904,13 @@ class Url {
 
         if (path.length > 0) {
             // If the path is rootless and an authority is present, the path MUST be prefixed with "/".
-            if (path.indexOf("/") !== 0 && authority.length > 0) {
+            if (path.indexOf("/") !== 0 && hasAuthority) {
                 path = `/${path}`;
             }
 
             // If the path is starting with more than one "/" and no authority is present, the starting
             // slashes MUST be reduced to one."
-            if (path.charAt(1) === "/" && authority.length === 0) {
+            if (path.indexOf("//") === 0 && !hasAuthority) {
                 path = `/${path.replace(/^[\/]+/, "")}`
             }
         }
@@ -622,45 +932,217 @@ class Url {
         return url;
     }
 
+    /**
+     * Split a reference into its components.
+     *
+     * Undefined components are represented by null values.
+     *
+     * @private
+     * @param {(Url|string)} reference Reference to split.
+     * @return {Object} Reference components.
+     * @throws {UrlParseError} If the reference is a string that cannot be parsed.
+     */
+    parseReference(reference) {
+        // The factory is created on demand as it depends on this module.
+        const url = reference instanceof Url ? reference : new UrlFactory().createUrl(String(reference));
+        const hasAuthority = url._host !== null;
+
+        return {
+            scheme: url.scheme || null,
+            authority: hasAuthority ? {user: url.user, password: url.password, host: url.host, port: url._port} : null,
+            path: hasAuthority && url.path.length > 0 && url.path.indexOf("/") !== 0 ? `/${url.path}` : url.path,
+            query: url.query || null,
+            fragment: url.fragment || null
+        };
+    }
+
+    /**
+     * Merge a relative path with the path of a base reference.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-5.2.3
+     * @private
+     * @param {Object} base Base reference components.
+     * @param {string} path Relative path to merge.
+     * @return {string} Merged path.
+     */
+    mergePaths(base, path) {
+        if (base.authority !== null && base.path.length === 0) {
+            return `/${path}`;
+        }
+
+        return base.path.slice(0, base.path.lastIndexOf("/") + 1) + path;
+    }
+
+    /**
+     * Remove dot segments from a path.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-5.2.4
+     * @private
+     * @param {string} path Path to remove dot segments from.
+     * @return {string} Path without dot segments.
+     */
+    removeDotSegments(path) {
+        let input = path;
+        let output = "";
+
+        while (input.length > 0) {
+            if (input.startsWith("../")) {
+                input = input.slice(3);
+            } else if (input.startsWith("./")) {
+                input = input.slice(2);
+            } else if (input.startsWith("/./")) {
+                input = input.slice(2);
+            } else if (input === "/.") {
+                input = "/";
+            } else if (input.startsWith("/../") || input === "/..") {
+                input = `/${input.slice(input === "/.." ? 3 : 4)}`;
+                output = output.slice(0, Math.max(output.lastIndexOf("/"), 0));
+            } else if (input === "." || input === "..") {
+                input = "";
+            } else {
+                const segment = input.match(/^\/?[^\/]*/)[0];
+
+                input = input.slice(segment.length);
+                output += segment;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Normalize the percent-encodings of a component.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-6.2.2
+     * @private
+     * @param {string} component Percent-encoded component.
+     * @return {string} Component with normalized percent-encodings.
+     */
+    normalizeEncoding(component) {
+        return component.replace(/%[0-9A-Fa-f]{2}/g, encoding => {
+            const character = String.fromCharCode(parseInt(encoding.slice(1), 16));
+
+            return /[A-Za-z0-9\-._~]/.test(character) ? character : encoding.toUpperCase();
+        });
+    }
+
+    /**
+     * Parse and validate a host.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-3.2.2
+     * @private
+     * @param {?string} host Host to parse.
+     * @return {?string} Normalized host or null if empty.
+     * @throws {TypeError} For invalid hosts.
+     */
+    parseHost(host) {
+        if (!host || host.length === 0) {
+            return null;
+        }
+
+        const [ , literal ] = host.match(/^\[(.*)\]$/s) || [];
+        const address = literal !== undefined ? literal : host;
+
+        if (isIPv6(address)) {
+            return `[${address.toLowerCase()}]`;
+        }
+
+        if (literal !== undefined) {
+            if (!/^v[0-9A-Fa-f]+\.[A-Za-z0-9\-._~!$&'()*+,;=:]+$/i.test(literal)) {
+                throw new TypeError(`Invalid IP literal "${host}"`);
+            }
+
+            return host.toLowerCase();
+        }
+
+        if (isIPv4(host)) {
+            return host;
+        }
+
+        if (/[^\x00-\x7F]/.test(host)) {
+            const asciiHost = domainToASCII(host);
+
+            if (asciiHost.length === 0) {
+                throw new TypeError(`Invalid internationalized domain name "${host}"`);
+            }
+
+            return asciiHost;
+        }
+
+        if (/[^A-Za-z0-9\-._~!$&'()*+,;=%]/.test(host)) {
+            throw new TypeError(`Invalid host "${host}"`);
+        }
+
+        return host.toLowerCase();
+    }
+
     /**
      * URL encode path.
      *
+     * Only characters not allowed in a path are encoded, existing
+     * percent-encoded sequences are left as they are.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-3.3
      * @private
      * @param {string} path URL path to encode.
      * @return {string} URL encoded path.
      */
     encodePath(path) {
-        return path.split("/")
-            .map(decodeURIComponent)
-            .map(encodeURIComponent)
-            .join("/");
+        return path.replace(/[^A-Za-z0-9\-._~!$&'()*+,;=:@\/%]|%(?![0-9A-Fa-f]{2})/gu, encodeURIComponent);
     }
 
     /**
      * URL encode query.
      *
+     * Only characters not allowed in a query are encoded, existing
+     * percent-encoded sequences are left as they are.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-3.4
      * @private
      * @param {string} query Query to encode.
      * @return {string} URL encoded query.
      */
     encodeQuery(query) {
-        return query.split("&")
-            .map(keyValuePair => keyValuePair.split("=")
-                .map(decodeURIComponent)
-                .map(encodeURIComponent)
-                .join("="))
-            .join("&");
+        return query.replace(/[^A-Za-z0-9\-._~!$&'()*+,;=:@\/?%]|%(?![0-9A-Fa-f]{2})/gu, encodeURIComponent);
+    }
+
+    /**
+     * Split the query into its raw name and value pairs.
+     *
+     * @private
+     * @return {Array.<string>} List of encoded name and value pairs.
+     */
+    queryPairs() {
+        return this.query.split("&").filter(pair => pair.length > 0);
+    }
+
+    /**
+     * Determine if a raw query pair belongs to the given parameter.
+     *
+     * @private
+     * @param {string} pair Encoded name and value pair.
+     * @param {string} name Decoded parameter name.
+     * @return {boolean} True if the pair belongs to the given parameter.
+     */
+    isQueryParam(pair, name) {
+        const pairName = queryString.decode(pair.split("=")[0]);
+
+        return pairName === name || pairName.startsWith(`${name}[`);
     }
 
     /**
      * URL encode fragment.
      *
+     * Only characters not allowed in a fragment are encoded, existing
+     * percent-encoded sequences are left as they are.
+     *
+     * @see https://tools.ietf.org/html/rfc3986#section-3.5
      * @private
      * @param {string} fragment Fragment to encode.
      * @return {string} URL encoded fragment.
      */
     encodeFragment(fragment) {
-        return encodeURIComponent(decodeURIComponent(fragment));
+        return fragment.replace(/[^A-Za-z0-9\-._~!$&'()*+,;=:@\/?%]|%(?![0-9A-Fa-f]{2})/gu, encodeURIComponent);
     }
 
     /**
@@ -6,10 +6,18 @@
  */
 
 import Url from "./Url.js";
-import { URL } from "url";
+import UrlParseError from "./UrlParseError.js";
+import { isIPv6 } from "net";
 
 /**
  * Has the ability to create URLs.
+ *
+ * URL references are parsed according to RFC 3986, which means that relative
+ * references and URLs of any scheme are supported and that components are
+ * kept as written. Characters not allowed in the path, query or fragment are
+ * percent-encoded by the URL instance.
+ *
+ * @see https://tools.ietf.org/html/rfc3986#section-4.1
  */
 class UrlFactory
 {
@@ -17,24 +25,150 @@ class UrlFactory
      * Create a new URL.
      *
      * @public
-     * @param {string} url The URL to parse.
-     * @returns {Url} A URL instance representing the given URL.
-     * @throws {TypeError} If the given URL cannot be parsed.
+     * @param {string} url The URL reference to parse.
+     * @returns {Url} A URL instance representing the given URL reference.
+     * @throws {UrlParseError} If the given URL reference cannot be parsed.
      */
     createUrl(urlString) {
-        const url = new URL(urlString);
+        const [ , schemeComponent, scheme, authorityComponent, authority, path, queryComponent, query, , fragment ] =
+            urlString.match(/^(([^:\/?#]+):)?(\/\/([^\/?#]*))?([^?#]*)(\?([^#]*))?(#(.*))?$/s);
+
+        if (scheme !== undefined) {
+            this.assertValid(urlString, scheme, 0, /^[A-Za-z]/, /[^A-Za-z0-9+\-.]/, "scheme");
+        } else if (urlString.indexOf(":") === 0) {
+            throw new UrlParseError(`Missing scheme in "${urlString}" at position 0`, 0);
+        }
+
+        const authorityOffset = (schemeComponent || "").length + 2;
+        const { user, password, host, port } = authorityComponent !== undefined ?
+            this.parseAuthority(urlString, authority, authorityOffset) :
+            {user: null, password: null, host: null, port: null};
 
         return new Url(
-            url.protocol.replace(/:$/, ""),
-            url.username,
-            url.password,
-            url.host,
-            parseInt(url.port) || null,
-            url.pathname.replace(/^\//, ""),
-            url.search.replace(/^\?/, ""),
-            url.hash.replace(/^#/, "")
+            scheme,
+            user,
+            password,
+            host,
+            port,
+            path,
+            queryComponent !== undefined ? query : null,
+            fragment
         );
     }
+
+    /**
+     * Split an authority into its components.
+     *
+     * @private
+     * @param {string} urlString The URL reference being parsed.
+     * @param {string} authority The authority component.
+     * @param {number} offset Position of the authority in the URL reference.
+     * @return {Object} Authority components.
+     * @throws {UrlParseError} If the authority is invalid.
+     */
+    parseAuthority(urlString, authority, offset) {
+        const userInfoLength = authority.lastIndexOf("@");
+        const userInfo = userInfoLength === -1 ? null : authority.slice(0, userInfoLength);
+        const hostOffset = offset + userInfoLength + 1;
+        const hostAndPort = authority.slice(userInfoLength + 1);
+        let host = hostAndPort;
+        let port = null;
+
+        if (userInfo !== null) {
+            this.assertValid(urlString, userInfo, offset, null, /[^A-Za-z0-9\-._~!$&'()*+,;=:%]/, "user information");
+        }
+
+        if (hostAndPort.indexOf("[") === 0) {
+            const literalLength = hostAndPort.indexOf("]") + 1;
+
+            if (literalLength === 0) {
+                throw new UrlParseError(
+                    `Unterminated IP literal in "${urlString}" at position ${hostOffset}`,
+                    hostOffset
+                );
+            }
+
+            host = hostAndPort.slice(0, literalLength);
+
+            const address = host.slice(1, -1);
+
+            if (!isIPv6(address) && !/^v[0-9A-Fa-f]+\.[A-Za-z0-9\-._~!$&'()*+,;=:]+$/i.test(address)) {
+                throw new UrlParseError(
+                    `Invalid IP literal "${host}" in "${urlString}" at position ${hostOffset}`,
+                    hostOffset
+                );
+            }
+
+            if (literalLength < hostAndPort.length && hostAndPort.charAt(literalLength) !== ":") {
+                throw new UrlParseError(
+                    `Unexpected character "${hostAndPort.charAt(literalLength)}" after IP literal in "${urlString}" ` +
+                        `at position ${hostOffset + literalLength}`,
+                    hostOffset + literalLength
+                );
+            }
+        } else {
+            host = hostAndPort.split(":")[0];
+
+            // Non-ASCII characters are allowed to support internationalized domain names.
+            this.assertValid(
+                urlString,
+                host,
+                hostOffset,
+                null,
+                /[^A-Za-z0-9\-._~!$&'()*+,;=%\u0080-\uFFFF]/,
+                "host"
+            );
+        }
+
+        if (host.length < hostAndPort.length) {
+            const portOffset = hostOffset + host.length + 1;
+
+            port = hostAndPort.slice(host.length + 1);
+
+            this.assertValid(urlString, port, portOffset, null, /[^0-9]/, "port");
+
+            if (parseInt(port) > 65535) {
+                throw new UrlParseError(
+                    `Port "${port}" out of range in "${urlString}" at position ${portOffset}`,
+                    portOffset
+                );
+            }
+        }
+
+        const [ user, password = null ] = userInfo !== null ? userInfo.split(/:(.*)/s) : [null];
+
+        return {user, password, host, port: port && parseInt(port)};
+    }
+
+    /**
+     * Ensure that a component only contains allowed characters.
+     *
+     * @private
+     * @param {string} urlString The URL reference being parsed.
+     * @param {string} component The component to validate.
+     * @param {number} offset Position of the component in the URL reference.
+     * @param {?RegExp} startPattern Pattern the component must start with.
+     * @param {RegExp} invalidPattern Pattern matching invalid characters.
+     * @param {string} name Name of the component used in error messages.
+     * @throws {UrlParseError} If the component contains invalid characters.
+     */
+    assertValid(urlString, component, offset, startPattern, invalidPattern, name) {
+        if (startPattern && !startPattern.test(component)) {
+            throw new UrlParseError(
+                `Invalid first character "${component.charAt(0)}" of ${name} in "${urlString}" at position ${offset}`,
+                offset
+            );
+        }
+
+        const match = invalidPattern.exec(component);
+
+        if (match) {
+            throw new UrlParseError(
+                `Invalid character "${match[0]}" in ${name} of "${urlString}" at position ${offset + match.index}`,
+                offset + match.index
+            );
+        }
+    }
 }
 
 export default UrlFactory;
@@ -0,0 +1,39 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error thrown when a URL reference cannot be parsed.
+ *
+ * Extends TypeError to remain compatible with consumers catching the errors
+ * of the URL factory.
+ *
+ * @extends TypeError
+ */
+class UrlParseError extends TypeError {
+    /**
+     * Create a new error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     * @param {number} position Zero based position in the input where parsing failed.
+     */
+    constructor(message, position) {
+        super(message);
+
+        this.name = "UrlParseError";
+
+        /**
+         * Zero based position in the input where parsing failed.
+         *
+         * @public
+         * @type {number}
+         */
+        this.position = position;
+    }
+}
+
+export default UrlParseError;
@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { BufferStream } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("BufferStream", () => {
+    const read = async stream => {
+        const chunks = [];
+
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    };
+
+    it("Should read contents", () => {
+        const stream = new BufferStream("content");
+
+        expect(stream.read(3).toString()).to.equal("con");
+        expect(stream.read(3).toString()).to.equal("ten");
+        expect(stream.read(3).toString()).to.equal("t");
+    });
+
+    it("Should read bytes rather than characters", () => {
+        const stream = new BufferStream("åäö");
+
+        expect(stream.read(2)).to.deep.equal(Buffer.from("å"));
+    });
+
+    it("Should preserve binary contents", async () => {
+        const content = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80]);
+        const stream = new BufferStream();
+
+        stream.write(content.subarray(0, 5));
+        stream.end(content.subarray(5));
+
+        expect(await read(stream)).to.deep.equal(content);
+    });
+
+    it("Should write contents", () => {
+        const stream = new BufferStream();
+
+        stream.write("con");
+        stream.end("tent");
+
+        expect(stream.read(7).toString()).to.equal("content");
+    });
+
+    it("Should not share memory with the given buffer", () => {
+        const content = Buffer.from("content");
+        const stream = new BufferStream(content);
+
+        content.fill(0);
+
+        expect(stream.toString()).to.equal("content");
+    });
+
+    describe("#size", () => {
+        it("Should return size in bytes", () => {
+            expect(new BufferStream("åäö").size).to.equal(6);
+            expect(new BufferStream().size).to.equal(0);
+        });
+
+        it("Should include written contents", () => {
+            const stream = new BufferStream("con");
+
+            stream.write("tent");
+
+            expect(stream.size).to.equal(7);
+        });
+    });
+
+    describe("#seek()", () => {
+        it("Should return stream reading from given position", async () => {
+            const stream = new BufferStream("content");
+            const seekedStream = stream.seek(3);
+
+            expect(seekedStream).to.be.instanceof(BufferStream);
+            expect(seekedStream.size).to.equal(7);
+            expect((await read(seekedStream)).toString()).to.equal("tent");
+            expect((await read(stream)).toString()).to.equal("content");
+        });
+
+        it("Should throw for positions outside of content", () => {
+            const stream = new BufferStream("content");
+
+            expect(() => stream.seek(-1)).to.throw(RangeError);
+            expect(() => stream.seek(8)).to.throw(RangeError);
+            expect(() => stream.seek(1.5)).to.throw(RangeError);
+            expect(() => stream.seek(7)).not.to.throw();
+        });
+    });
+
+    describe("#rewind()", () => {
+        it("Should replay consumed contents", async () => {
+            const stream = new BufferStream("content");
+
+            expect((await read(stream)).toString()).to.equal("content");
+            expect((await read(stream.rewind())).toString()).to.equal("content");
+        });
+    });
+
+    describe("#toString()", () => {
+        it("Should decode complete contents", () => {
+            const stream = new BufferStream("content");
+
+            stream.read(3);
+
+            expect(stream.toString()).to.equal("content");
+            expect(stream.toString("base64")).to.equal("Y29udGVudA==");
+        });
+    });
+});
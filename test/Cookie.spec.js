@@ -0,0 +1,71 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Cookie } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("Cookie", () => {
+    let cookie;
+
+    beforeEach(() => {
+        cookie = new Cookie("name", "value");
+    });
+
+    describe("#constructor()", () => {
+        it("Should throw for invalid names", () => {
+            expect(() => new Cookie("", "value")).to.throw(TypeError);
+            expect(() => new Cookie("na me", "value")).to.throw(TypeError);
+            expect(() => new Cookie("na;me", "value")).to.throw(TypeError);
+        });
+    });
+
+    describe("#name", () => {
+        it("Should return cookie name", () => {
+            expect(cookie.name).to.equal("name");
+        });
+    });
+
+    describe("#value", () => {
+        it("Should return cookie value", () => {
+            expect(cookie.value).to.equal("value");
+        });
+    });
+
+    describe("#withValue()", () => {
+        it("Should produce instance with given value", () => {
+            const newCookie = cookie.withValue("other");
+
+            expect(newCookie).to.be.instanceof(Cookie);
+            expect(newCookie.name).to.equal("name");
+            expect(newCookie.value).to.equal("other");
+        });
+
+        it("Should not mutate instance", () => {
+            cookie.withValue("other");
+
+            expect(cookie.value).to.equal("value");
+        });
+
+        it("Should return same instance if nothing changes", () => {
+            expect(cookie.withValue("value")).to.equal(cookie);
+        });
+    });
+
+    describe("#toString()", () => {
+        it("Should return cookie pair", () => {
+            expect(cookie.toString()).to.equal("name=value");
+        });
+
+        it("Should encode characters not allowed in cookie values", () => {
+            expect(new Cookie("name", "a b;c,d\"e\\f%g").toString()).to.equal("name=a%20b%3Bc%2Cd%22e%5Cf%25g");
+            expect(new Cookie("name", "å").toString()).to.equal("name=%C3%A5");
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Cookie, CookieFactory, SameSite, SetCookie } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("CookieFactory", () => {
+    let cookieFactory;
+
+    beforeEach(() => {
+        cookieFactory = new CookieFactory();
+    });
+
+    describe("#createCookie()", () => {
+        it("Should create cookie", () => {
+            const cookie = cookieFactory.createCookie("name", "value");
+
+            expect(cookie).to.be.instanceof(Cookie);
+            expect(cookie.name).to.equal("name");
+            expect(cookie.value).to.equal("value");
+        });
+    });
+
+    describe("#createCookiesFromHeader()", () => {
+        it("Should create cookies from header value", () => {
+            const cookies = cookieFactory.createCookiesFromHeader("one=1; two=\"a%20b\";three=x=y");
+
+            expect(cookies.map(cookie => [cookie.name, cookie.value]))
+                .to.deep.equal([["one", "1"], ["two", "a b"], ["three", "x=y"]]);
+        });
+
+        it("Should ignore invalid cookie pairs", () => {
+            const cookies = cookieFactory.createCookiesFromHeader("invalid; na me=1; ; one=1");
+
+            expect(cookies.map(cookie => cookie.name)).to.deep.equal(["one"]);
+        });
+
+        it("Should keep values that cannot be decoded", () => {
+            expect(cookieFactory.createCookiesFromHeader("one=%E0%A4%A")[0].value).to.equal("%E0%A4%A");
+        });
+    });
+
+    describe("#createSetCookie()", () => {
+        it("Should create cookie", () => {
+            const cookie = cookieFactory.createSetCookie("name", "value");
+
+            expect(cookie).to.be.instanceof(SetCookie);
+            expect(cookie.toString()).to.equal("name=value");
+        });
+    });
+
+    describe("#createSetCookieFromHeader()", () => {
+        it("Should create cookie with attributes", () => {
+            const cookie = cookieFactory.createSetCookieFromHeader(
+                "name=a%20b; Expires=Wed, 01 Jan 2020 00:00:00 GMT; max-age=60; Domain=.Example.com; " +
+                "Path=/path; secure; HttpOnly; SameSite=lax; Partitioned"
+            );
+
+            expect(cookie.name).to.equal("name");
+            expect(cookie.value).to.equal("a b");
+            expect(cookie.expires.getTime()).to.equal(Date.UTC(2020, 0, 1));
+            expect(cookie.maxAge).to.equal(60);
+            expect(cookie.domain).to.equal("example.com");
+            expect(cookie.path).to.equal("/path");
+            expect(cookie.secure).to.be.true;
+            expect(cookie.httpOnly).to.be.true;
+            expect(cookie.sameSite).to.equal(SameSite.LAX);
+            expect(cookie.partitioned).to.be.true;
+        });
+
+        it("Should ignore unknown and invalid attributes", () => {
+            const cookie = cookieFactory.createSetCookieFromHeader(
+                "name=value; Expires=never; Max-Age=soon; Path=relative; SameSite=Sometimes; Unknown=1"
+            );
+
+            expect(cookie.toString()).to.equal("name=value");
+        });
+
+        it("Should throw for invalid cookie pairs", () => {
+            expect(() => cookieFactory.createSetCookieFromHeader("invalid; Path=/")).to.throw(TypeError);
+        });
+    });
+});
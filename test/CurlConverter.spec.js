@@ -0,0 +1,199 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    CurlConverter,
+    HeaderCollection,
+    Request,
+    StreamFactory,
+    UrlFactory
+} from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("CurlConverter", () => {
+    const urlFactory = new UrlFactory();
+    const streamFactory = new StreamFactory();
+
+    const createRequest = (method, url, headers = [], body = "") => new Request(
+        method,
+        urlFactory.createUrl(url),
+        "1.1",
+        new HeaderCollection(headers),
+        streamFactory.createStream(body)
+    );
+
+    let converter;
+
+    beforeEach(() => {
+        converter = new CurlConverter(streamFactory, urlFactory);
+    });
+
+    describe("#toCurl()", () => {
+        it("Should create a command for a GET request", async () => {
+            const request = createRequest("GET", "https://example.com/path", [["Accept", ["*/*"]]]);
+
+            expect(await converter.toCurl(request)).to.equal("curl https://example.com/path -H 'Accept: */*'");
+        });
+
+        it("Should include method and body", async () => {
+            const post = createRequest("POST", "https://example.com", [["Content-Type", ["application/json"]]], "{}");
+            const put = createRequest("PUT", "https://example.com", [], "{}");
+            const remove = createRequest("DELETE", "https://example.com");
+            const head = createRequest("HEAD", "https://example.com");
+
+            expect(await converter.toCurl(post))
+                .to.equal("curl https://example.com -H 'Content-Type: application/json' --data-raw '{}'");
+            expect(await converter.toCurl(put)).to.equal("curl -X PUT https://example.com --data-raw '{}'");
+            expect(await converter.toCurl(remove)).to.equal("curl -X DELETE https://example.com");
+            expect(await converter.toCurl(head)).to.equal("curl --head https://example.com");
+        });
+
+        it("Should quote arguments for the shell", async () => {
+            const request = createRequest(
+                "POST",
+                "https://example.com/search?q=a&b[]=1",
+                [["X-Empty", [""]]],
+                "it's $HOME"
+            );
+
+            expect(await converter.toCurl(request)).to.equal(
+                "curl 'https://example.com/search?q=a&b%5B%5D=1' -H 'X-Empty;' --data-raw 'it'\\''s $HOME'"
+            );
+        });
+
+        it("Should leave out headers added by curl", async () => {
+            const request = createRequest("POST", "https://example.com", [["Content-Length", ["1"]]], "a");
+            const customHost = createRequest("GET", "https://example.com", [["Host", ["other.example.com"]]]);
+
+            expect(await converter.toCurl(request)).to.equal("curl https://example.com --data-raw a");
+            expect(await converter.toCurl(customHost))
+                .to.equal("curl https://example.com -H 'Host: other.example.com'");
+        });
+        it("Should reject bodies that cannot be passed as an argument", async () => {
+            for (const bytes of [[0x1f, 0x8b, 0xff], [0x61, 0x00, 0x62]]) {
+                const request = createRequest("POST", "https://example.com", [], Buffer.from(bytes));
+                const error = await converter.toCurl(request).catch(error => error);
+
+                expect(error, bytes.join()).to.be.instanceof(TypeError);
+            }
+        });
+    });
+
+    describe("#fromCurl()", () => {
+        it("Should create a GET request", () => {
+            const request = converter.fromCurl("curl https://example.com/path?query=1");
+
+            expect(request).to.be.instanceof(Request);
+            expect(request.method).to.equal("GET");
+            expect(request.url.toString()).to.equal("https://example.com/path?query=1");
+            expect(request.headerLine("Host")).to.equal("example.com");
+        });
+
+        it("Should use method and headers", () => {
+            const request = converter.fromCurl(
+                "curl -X PATCH --url example.com -H 'Accept: text/html' -H \"X-Quoted: \\\"yes\\\"\" -H 'X-Empty;'"
+            );
+
+            expect(request.method).to.equal("PATCH");
+            expect(request.url.toString()).to.equal("http://example.com");
+            expect(request.headerLine("Accept")).to.equal("text/html");
+            expect(request.headerLine("X-Quoted")).to.equal("\"yes\"");
+            expect(request.hasHeader("X-Empty")).to.be.true;
+            expect(request.headerLine("X-Empty")).to.equal("");
+        });
+
+        it("Should post data", async () => {
+            const request = converter.fromCurl(
+                "curl https://example.com -d a=1 --data-raw @b=2 --data-urlencode 'c=x y&z' --data-urlencode =é"
+            );
+
+            expect(request.method).to.equal("POST");
+            expect(request.headerLine("Content-Type")).to.equal("application/x-www-form-urlencoded");
+            expect(await request.text()).to.equal("a=1&@b=2&c=x%20y%26z&%C3%A9");
+        });
+
+        it("Should put data in the query string with --get", async () => {
+            const request = converter.fromCurl("curl -G https://example.com/search?lang=sv -d q=1");
+
+            expect(request.method).to.equal("GET");
+            expect(request.url.query).to.equal("lang=sv&q=1");
+            expect(await request.text()).to.equal("");
+        });
+
+        it("Should post form fields", async () => {
+            const request = converter.fromCurl("curl https://example.com -F name=value --form-string 'file=@literal'");
+            const { fields } = await request.formData();
+
+            expect(request.method).to.equal("POST");
+            expect(request.contentType.essence).to.equal("multipart/form-data");
+            expect(fields).to.deep.equal({name: "value", file: "@literal"});
+        });
+
+        it("Should add basic authentication and compression", () => {
+            const request = converter.fromCurl("curl -u user:secret --compressed https://example.com");
+
+            expect(request.headerLine("Authorization")).to.equal("Basic dXNlcjpzZWNyZXQ=");
+            expect(request.headerLine("Accept-Encoding")).to.equal("deflate, gzip, br");
+        });
+
+        it("Should parse combined short options and ignore output options", () => {
+            const request = converter.fromCurl("curl -sSLk -XDELETE -o /dev/null --http2 https://example.com");
+
+            expect(request.method).to.equal("DELETE");
+            expect(request.protocolVersion).to.equal("2");
+        });
+
+        it("Should parse commands copied from browsers", async () => {
+            const request = converter.fromCurl(
+                "curl 'https://example.com/api' \\\n" +
+                "  -H 'user-agent: Test' \\\n" +
+                "  --data-raw $'{\"name\":\"J\\u00f6rg\",\"it\\'s\":\"\\xc3\\xa9\"}'"
+            );
+
+            expect(request.headerLine("User-Agent")).to.equal("Test");
+            expect(await request.json()).to.deep.equal({name: "Jörg", "it's": "é"});
+        });
+
+        it("Should produce requests from created commands", async () => {
+            const original = createRequest(
+                "PUT",
+                "https://example.com/path?q=a%20b",
+                [["Content-Type", ["text/plain"]]],
+                "line 1\nit's \"quoted\""
+            );
+            const request = converter.fromCurl(await converter.toCurl(original));
+
+            expect(request.method).to.equal("PUT");
+            expect(request.url.toString()).to.equal("https://example.com/path?q=a%20b");
+            expect(request.headerLine("Content-Type")).to.equal("text/plain");
+            expect(await request.text()).to.equal("line 1\nit's \"quoted\"");
+        });
+
+        it("Should throw for invalid commands", () => {
+            const invalidCommands = [
+                "wget https://example.com",
+                "curl",
+                "curl 'https://example.com",
+                "curl \"https://example.com",
+                "curl $'https://example.com",
+                "curl https://example.com -H",
+                "curl https://example.com -H 'Invalid'",
+                "curl https://example.com --unknown",
+                "curl https://example.com -d @file.json",
+                "curl https://example.com -F file=@file.txt",
+                "curl https://example.com -d a=1 -F b=2"
+            ];
+
+            for (const command of invalidCommands) {
+                expect(() => converter.fromCurl(command), command).to.throw(TypeError);
+            }
+        });
+    });
+});
@@ -0,0 +1,180 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    FetchConverter,
+    HeaderCollection,
+    Request,
+    Response,
+    StreamFactory,
+    UrlFactory
+} from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("FetchConverter", () => {
+    const urlFactory = new UrlFactory();
+    const streamFactory = new StreamFactory();
+
+    // The global fetch classes are available from Node.js 18.
+    const skipWithoutFetch = function () {
+        if (!globalThis.Request) {
+            this.skip();
+        }
+    };
+
+    let converter;
+
+    beforeEach(() => {
+        converter = new FetchConverter(streamFactory, urlFactory);
+    });
+
+    describe("#toFetchRequest()", () => {
+        before(skipWithoutFetch);
+
+        it("Should convert method, URL, headers and body", async () => {
+            const headers = new HeaderCollection([["Content-Type", ["text/plain"]], ["Accept", ["text/html", "*/*"]]]);
+            const request = new Request(
+                "POST",
+                urlFactory.createUrl("https://example.com/path?query=1"),
+                "1.1",
+                headers,
+                streamFactory.createStream("content")
+            );
+            const fetchRequest = converter.toFetchRequest(request);
+
+            expect(fetchRequest).to.be.instanceof(globalThis.Request);
+            expect(fetchRequest.method).to.equal("POST");
+            expect(fetchRequest.url).to.equal("https://example.com/path?query=1");
+            expect(fetchRequest.headers.get("content-type")).to.equal("text/plain");
+            expect(fetchRequest.headers.get("accept")).to.equal("text/html, */*");
+            expect(fetchRequest.headers.has("host")).to.be.false;
+            expect(await fetchRequest.text()).to.equal("content");
+        });
+
+        it("Should leave out the body of GET and HEAD requests", () => {
+            for (const method of ["GET", "HEAD"]) {
+                const request = new Request(
+                    method,
+                    urlFactory.createUrl("https://example.com"),
+                    "1.1",
+                    new HeaderCollection(),
+                    streamFactory.createStream("content")
+                );
+
+                expect(converter.toFetchRequest(request).body).to.be.null;
+            }
+        });
+    });
+
+    describe("#fromFetchRequest()", () => {
+        before(skipWithoutFetch);
+
+        it("Should convert method, URL, headers and body", async () => {
+            const fetchRequest = new globalThis.Request("https://example.com/path", {
+                method: "PUT",
+                headers: [["Content-Type", "application/json"]],
+                body: "{\"key\":\"value\"}"
+            });
+            const request = converter.fromFetchRequest(fetchRequest);
+
+            expect(request).to.be.instanceof(Request);
+            expect(request.method).to.equal("PUT");
+            expect(request.url.toString()).to.equal("https://example.com/path");
+            expect(request.headerLine("Content-Type")).to.equal("application/json");
+            expect(request.headerLine("Host")).to.equal("example.com");
+            expect(await request.json()).to.deep.equal({key: "value"});
+        });
+
+        it("Should create an empty body for requests without body", async () => {
+            const request = converter.fromFetchRequest(new globalThis.Request("https://example.com"));
+
+            expect(await request.text()).to.equal("");
+        });
+    });
+
+    describe("#toFetchResponse()", () => {
+        before(skipWithoutFetch);
+
+        it("Should convert status, headers and body", async () => {
+            const headers = new HeaderCollection([["Set-Cookie", ["a=1", "b=2"]], ["Content-Type", ["text/plain"]]]);
+            const response = new Response(201, "1.1", headers, streamFactory.createStream("created"), "Done");
+            const fetchResponse = converter.toFetchResponse(response);
+
+            expect(fetchResponse).to.be.instanceof(globalThis.Response);
+            expect(fetchResponse.status).to.equal(201);
+            expect(fetchResponse.statusText).to.equal("Done");
+            expect(fetchResponse.headers.get("content-type")).to.equal("text/plain");
+            expect(fetchResponse.headers.getSetCookie()).to.deep.equal(["a=1", "b=2"]);
+            expect(await fetchResponse.text()).to.equal("created");
+        });
+
+        it("Should use the default reason phrase", () => {
+            const response = new Response(404, "1.1", new HeaderCollection(), streamFactory.createStream(""));
+
+            expect(converter.toFetchResponse(response).statusText).to.equal("Not Found");
+        });
+
+        it("Should leave out the body for null body status codes", () => {
+            const response = new Response(204, "1.1", new HeaderCollection(), streamFactory.createStream(""));
+            const fetchResponse = converter.toFetchResponse(response);
+
+            expect(fetchResponse.status).to.equal(204);
+            expect(fetchResponse.body).to.be.null;
+        });
+    });
+
+    describe("#fromFetchResponse()", () => {
+        before(skipWithoutFetch);
+
+        it("Should convert status, headers and body", async () => {
+            const fetchHeaders = new globalThis.Headers([["Set-Cookie", "a=1"], ["Set-Cookie", "b=2"]]);
+            const fetchResponse = new globalThis.Response("body", {
+                status: 202,
+                statusText: "Queued",
+                headers: fetchHeaders
+            });
+            const response = converter.fromFetchResponse(fetchResponse);
+
+            expect(response).to.be.instanceof(Response);
+            expect(response.statusCode).to.equal(202);
+            expect(response.reasonPhrase).to.equal("Queued");
+            expect(response.header("Set-Cookie")).to.deep.equal(["a=1", "b=2"]);
+            expect(await response.text()).to.equal("body");
+        });
+
+        it("Should use the default reason phrase when status text is missing", async () => {
+            const response = converter.fromFetchResponse(new globalThis.Response(null, {status: 204}));
+
+            expect(response.reasonPhrase).to.equal("No Content");
+            expect(await response.text()).to.equal("");
+        });
+    });
+
+    it("Should throw when the runtime does not support fetch", () => {
+        const descriptor = Object.getOwnPropertyDescriptor(globalThis, "Request");
+        const request = new Request(
+            "GET",
+            urlFactory.createUrl("https://example.com"),
+            "1.1",
+            new HeaderCollection(),
+            streamFactory.createStream("")
+        );
+
+        delete globalThis.Request;
+
+        try {
+            expect(() => converter.toFetchRequest(request)).to.throw(Error, "Fetch is not supported");
+        } finally {
+            if (descriptor) {
+                Object.defineProperty(globalThis, "Request", descriptor);
+            }
+        }
+    });
+});
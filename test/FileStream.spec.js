@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { FileStream } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+import { once } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("FileStream", () => {
+    const read = async stream => {
+        const chunks = [];
+
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    };
+
+    let temporaryDirectory;
+
+    beforeEach(async () => {
+        temporaryDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "file-stream-"));
+    });
+
+    afterEach(async () => {
+        for (const file of await fs.promises.readdir(temporaryDirectory)) {
+            await fs.promises.unlink(path.join(temporaryDirectory, file));
+        }
+
+        await fs.promises.rmdir(temporaryDirectory);
+    });
+
+    it("Should read file contents", async () => {
+        const content = Buffer.from([0x00, 0xff, 0x80, 0x7f]);
+        const filePath = path.join(temporaryDirectory, "binary");
+
+        await fs.promises.writeFile(filePath, content);
+
+        expect(await read(new FileStream(filePath))).to.deep.equal(content);
+    });
+
+    it("Should open file lazily", async () => {
+        const filePath = path.join(temporaryDirectory, "later.txt");
+        const stream = new FileStream(filePath);
+
+        await fs.promises.writeFile(filePath, "content");
+
+        expect((await read(stream)).toString()).to.equal("content");
+    });
+
+    it("Should close file when read", async () => {
+        const stream = new FileStream("test/fixtures/content.txt");
+
+        stream.resume();
+        await once(stream, "close");
+
+        expect(stream.destroyed).to.be.true;
+    });
+
+    it("Should write file contents", async () => {
+        const filePath = path.join(temporaryDirectory, "written.txt");
+        const stream = new FileStream(filePath, "w");
+
+        stream.write("con");
+        stream.end(Buffer.from("tent"));
+        await once(stream, "close");
+
+        expect(await fs.promises.readFile(filePath, "utf8")).to.equal("content");
+    });
+
+    it("Should append file contents", async () => {
+        const filePath = path.join(temporaryDirectory, "appended.txt");
+
+        await fs.promises.writeFile(filePath, "con");
+
+        const stream = new FileStream(filePath, "a");
+
+        stream.end("tent");
+        await once(stream, "close");
+
+        expect(await fs.promises.readFile(filePath, "utf8")).to.equal("content");
+    });
+
+    it("Should emit error if file cannot be opened", async () => {
+        const stream = new FileStream(path.join(temporaryDirectory, "missing.txt"));
+
+        stream.resume();
+
+        const [ error ] = await once(stream, "error");
+
+        expect(error.code).to.equal("ENOENT");
+    });
+
+    describe("#size", () => {
+        it("Should return file size once opened", async () => {
+            const filePath = "test/fixtures/content.txt";
+            const stream = new FileStream(filePath);
+
+            expect(stream.size).to.be.null;
+            expect(await stream.open()).to.equal(stream);
+            expect(stream.size).to.equal((await fs.promises.stat(filePath)).size);
+
+            stream.destroy();
+        });
+
+        it("Should return null if file does not exist", async () => {
+            const stream = new FileStream(path.join(temporaryDirectory, "missing.txt"));
+            let error;
+
+            try {
+                await stream.open();
+            } catch (caughtError) {
+                error = caughtError;
+            }
+
+            expect(error.code).to.equal("ENOENT");
+            expect(stream.size).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,209 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    CookieFactory,
+    HarConverter,
+    HeaderCollection,
+    Request,
+    Response,
+    StreamFactory,
+    UrlFactory
+} from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("HarConverter", () => {
+    const urlFactory = new UrlFactory();
+    const streamFactory = new StreamFactory();
+
+    const createExchange = () => ({
+        request: new Request(
+            "POST",
+            urlFactory.createUrl("https://example.com/search?q=a%20b&page=2"),
+            "1.1",
+            new HeaderCollection([
+                ["Content-Type", ["application/x-www-form-urlencoded"]],
+                ["Cookie", ["session=abc; theme=dark"]]
+            ]),
+            streamFactory.createStream("name=J%C3%B6rg&empty=")
+        ),
+        response: new Response(
+            302,
+            "1.1",
+            new HeaderCollection([
+                ["Location", ["/results"]],
+                ["Set-Cookie", ["id=1; Path=/; Domain=example.com; Secure; HttpOnly"]],
+                ["Content-Type", ["text/plain; charset=utf-8"]]
+            ]),
+            streamFactory.createStream("Redirecting")
+        ),
+        startedDateTime: new Date("2020-01-02T03:04:05.678Z"),
+        timings: {send: 1, wait: 20.5, receive: 3}
+    });
+
+    let converter;
+
+    beforeEach(() => {
+        converter = new HarConverter(streamFactory, urlFactory, new CookieFactory());
+    });
+
+    describe("#toHar()", () => {
+        it("Should create a HAR 1.2 log", async () => {
+            const har = await converter.toHar([createExchange()]);
+
+            expect(har.log.version).to.equal("1.2");
+            expect(har.log.creator).to.deep.equal({
+                name: "@moonwalkingbits/apollo-http",
+                version: require("../package.json").version
+            });
+            expect(har.log.entries).to.have.lengthOf(1);
+        });
+
+        it("Should export entry timings", async () => {
+            const [ entry ] = (await converter.toHar([createExchange()])).log.entries;
+
+            expect(entry.startedDateTime).to.equal("2020-01-02T03:04:05.678Z");
+            expect(entry.time).to.equal(24.5);
+            expect(entry.timings).to.deep.equal({
+                blocked: -1,
+                dns: -1,
+                connect: -1,
+                send: 1,
+                wait: 20.5,
+                receive: 3,
+                ssl: -1
+            });
+            expect(entry.cache).to.deep.equal({});
+        });
+
+        it("Should export requests", async () => {
+            const [ { request } ] = (await converter.toHar([createExchange()])).log.entries;
+
+            expect(request.method).to.equal("POST");
+            expect(request.url).to.equal("https://example.com/search?q=a%20b&page=2");
+            expect(request.httpVersion).to.equal("HTTP/1.1");
+            expect(request.cookies).to.deep.equal([{name: "session", value: "abc"}, {name: "theme", value: "dark"}]);
+            expect(request.headers).to.deep.include({name: "Host", value: "example.com"});
+            expect(request.queryString).to.deep.equal([{name: "q", value: "a b"}, {name: "page", value: "2"}]);
+            expect(request.postData).to.deep.equal({
+                mimeType: "application/x-www-form-urlencoded",
+                text: "name=J%C3%B6rg&empty=",
+                params: [{name: "name", value: "Jörg"}, {name: "empty", value: ""}]
+            });
+            expect(request.bodySize).to.equal(21);
+            expect(request.headersSize).to.equal(-1);
+        });
+
+        it("Should export responses", async () => {
+            const [ { response } ] = (await converter.toHar([createExchange()])).log.entries;
+
+            expect(response.status).to.equal(302);
+            expect(response.statusText).to.equal("Found");
+            expect(response.httpVersion).to.equal("HTTP/1.1");
+            expect(response.cookies).to.deep.equal([
+                {name: "id", value: "1", path: "/", domain: "example.com", httpOnly: true, secure: true}
+            ]);
+            expect(response.headers).to.have.lengthOf(3);
+            expect(response.content).to.deep.equal({
+                size: 11,
+                mimeType: "text/plain; charset=utf-8",
+                text: "Redirecting"
+            });
+            expect(response.redirectURL).to.equal("/results");
+            expect(response.bodySize).to.equal(11);
+        });
+
+        it("Should base64 encode binary content", async () => {
+            const exchange = createExchange();
+            const body = Buffer.from([0x00, 0xff, 0xfe]);
+
+            exchange.response = exchange.response.withBody(streamFactory.createStreamFromBuffer(body));
+
+            const [ { response } ] = (await converter.toHar([exchange])).log.entries;
+
+            expect(response.content.text).to.equal(body.toString("base64"));
+            expect(response.content.encoding).to.equal("base64");
+        });
+
+        it("Should leave out post data of requests without body", async () => {
+            const exchange = createExchange();
+
+            exchange.request = exchange.request.withBody(streamFactory.createStream(""));
+
+            const [ { request } ] = (await converter.toHar([exchange])).log.entries;
+
+            expect(request).to.not.have.property("postData");
+        });
+    });
+
+    describe("#fromHar()", () => {
+        it("Should import exported logs", async () => {
+            const har = JSON.stringify(await converter.toHar([createExchange()]));
+            const [ exchange ] = converter.fromHar(har);
+
+            expect(exchange.startedDateTime.toISOString()).to.equal("2020-01-02T03:04:05.678Z");
+            expect(exchange.time).to.equal(24.5);
+            expect(exchange.timings.wait).to.equal(20.5);
+            expect(exchange.request).to.be.instanceof(Request);
+            expect(exchange.request.method).to.equal("POST");
+            expect(exchange.request.url.queryParam("q")).to.deep.equal(["a b"]);
+            expect(exchange.request.headerLine("Cookie")).to.equal("session=abc; theme=dark");
+            expect(await exchange.request.formData()).to.deep.equal({fields: {name: "Jörg", empty: ""}, files: {}});
+            expect(exchange.response).to.be.instanceof(Response);
+            expect(exchange.response.statusCode).to.equal(302);
+            expect(exchange.response.header("Set-Cookie")).to.have.lengthOf(1);
+            expect(await exchange.response.text()).to.equal("Redirecting");
+        });
+
+        it("Should import browser captures", async () => {
+            const [ { request, response } ] = converter.fromHar({
+                log: {
+                    entries: [{
+                        startedDateTime: "2020-01-02T03:04:05.678Z",
+                        time: 10,
+                        timings: {send: 1, wait: 8, receive: 1},
+                        request: {
+                            method: "GET",
+                            url: "https://example.com/page",
+                            httpVersion: "h2",
+                            headers: [{name: ":authority", value: "example.com"}, {name: "accept", value: "*/*"}],
+                            queryString: [{name: "lang", value: "sv se"}],
+                            cookies: [{name: "session", value: "abc"}]
+                        },
+                        response: {
+                            status: 200,
+                            statusText: "",
+                            httpVersion: "http/2.0",
+                            headers: [],
+                            cookies: [{name: "id", value: "1", path: "/", httpOnly: true}],
+                            content: {size: 3, mimeType: "application/octet-stream", text: "AQID", encoding: "base64"}
+                        }
+                    }]
+                }
+            });
+
+            expect(request.protocolVersion).to.equal("2");
+            expect(request.url.toString()).to.equal("https://example.com/page?lang=sv%20se");
+            expect(request.hasHeader(":authority")).to.be.false;
+            expect(request.headerLine("Host")).to.equal("example.com");
+            expect(request.headerLine("Cookie")).to.equal("session=abc");
+            expect(await request.text()).to.equal("");
+            expect(response.protocolVersion).to.equal("2.0");
+            expect(response.reasonPhrase).to.equal("OK");
+            expect(response.headerLine("Set-Cookie")).to.equal("id=1; Path=/; HttpOnly");
+            expect([...await response.buffer()]).to.deep.equal([1, 2, 3]);
+        });
+
+        it("Should throw for values that are not HAR logs", () => {
+            expect(() => converter.fromHar({})).to.throw(TypeError);
+            expect(() => converter.fromHar("{\"log\": {}}")).to.throw(TypeError);
+        });
+    });
+});
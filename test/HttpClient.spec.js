@@ -0,0 +1,150 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    HttpClient,
+    RequestFactory,
+    RequestMethod,
+    Response,
+    ResponseFactory,
+    StreamFactory,
+    StringStream,
+    UrlFactory
+} from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+import http from "http";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("HttpClient", () => {
+    const readBody = stream => new Promise((resolve, reject) => {
+        let body = "";
+
+        stream.setEncoding("utf8");
+        stream.on("data", chunk => body += chunk);
+        stream.on("end", () => resolve(body));
+        stream.on("error", reject);
+    });
+
+    let requestFactory;
+    let httpClient;
+    let server;
+    let baseUrl;
+
+    beforeEach(done => {
+        requestFactory = new RequestFactory(new UrlFactory());
+        httpClient = new HttpClient(new ResponseFactory(new StreamFactory()));
+        server = http.createServer(async (request, response) => {
+            const body = await readBody(request);
+
+            response.statusMessage = "Echo";
+            response.setHeader("Content-Type", "application/json");
+            response.setHeader("Set-Cookie", ["one=1", "two=2"]);
+            response.end(JSON.stringify({
+                method: request.method,
+                url: request.url,
+                headers: request.headers,
+                body
+            }));
+        });
+        server.listen(0, "127.0.0.1", () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    describe("#sendRequest()", () => {
+        it("Should send the request", async () => {
+            const request = requestFactory.createRequest(RequestMethod.POST, `${baseUrl}/path?key=value`)
+                .withHeader("X-Test", "test")
+                .withBody(new StringStream("content"));
+
+            const response = await httpClient.sendRequest(request);
+            const echo = JSON.parse(await readBody(response.body));
+
+            expect(echo.method).to.equal("POST");
+            expect(echo.url).to.equal("/path?key=value");
+            expect(echo.headers["x-test"]).to.equal("test");
+            expect(echo.body).to.equal("content");
+        });
+
+        it("Should send decoded credentials of the URL", async () => {
+            const url = baseUrl.replace("://", "://us%40er:p%3Aw@");
+            const response = await httpClient.sendRequest(requestFactory.createRequest(RequestMethod.GET, url));
+            const echo = JSON.parse(await readBody(response.body));
+
+            expect(echo.headers.authorization).to.equal(`Basic ${Buffer.from("us@er:p:w").toString("base64")}`);
+        });
+
+        it("Should send the request target", async () => {
+            const request = requestFactory.createRequest(RequestMethod.OPTIONS, baseUrl).withTarget("*");
+
+            const response = await httpClient.sendRequest(request);
+
+            expect(JSON.parse(await readBody(response.body)).url).to.equal("*");
+        });
+
+        it("Should create a response", async () => {
+            const response = await httpClient.sendRequest(requestFactory.createRequest(RequestMethod.GET, baseUrl));
+
+            expect(response).to.be.instanceof(Response);
+            expect(response.statusCode).to.equal(200);
+            expect(response.reasonPhrase).to.equal("Echo");
+            expect(response.protocolVersion).to.equal("1.1");
+            expect(response.headerLine("Content-Type")).to.equal("application/json");
+            expect(response.header("Set-Cookie")).to.deep.equal(["one=1", "two=2"]);
+        });
+
+        it("Should reject for unsupported schemes", async () => {
+            const request = requestFactory.createRequest(RequestMethod.GET, "ftp://example.com");
+            let error;
+
+            try {
+                await httpClient.sendRequest(request);
+            } catch (caughtError) {
+                error = caughtError;
+            }
+
+            expect(error).to.be.instanceof(TypeError);
+        });
+
+        it("Should reject for URLs without host", async () => {
+            for (const url of ["/path", "http:/path"]) {
+                let error;
+
+                try {
+                    await httpClient.sendRequest(requestFactory.createRequest(RequestMethod.GET, url));
+                } catch (caughtError) {
+                    error = caughtError;
+                }
+
+                expect(error, url).to.be.instanceof(TypeError);
+            }
+        });
+
+        it("Should reject on connection errors", async () => {
+            const { port } = server.address();
+            let error;
+
+            await new Promise(resolve => server.close(resolve));
+            server.listen(0, "127.0.0.1");
+
+            try {
+                await httpClient.sendRequest(requestFactory.createRequest(RequestMethod.GET, `http://127.0.0.1:${port}`));
+            } catch (caughtError) {
+                error = caughtError;
+            }
+
+            expect(error).to.be.an("error");
+        });
+    });
+});
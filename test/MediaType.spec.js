@@ -0,0 +1,114 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { MediaType } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("MediaType", () => {
+    let mediaType;
+
+    beforeEach(() => {
+        mediaType = new MediaType("Application", "VND.API+JSON", {Charset: "UTF-8"});
+    });
+
+    describe("#constructor()", () => {
+        it("Should throw for invalid types and parameter names", () => {
+            expect(() => new MediaType("", "html")).to.throw(TypeError);
+            expect(() => new MediaType("text", "ht ml")).to.throw(TypeError);
+            expect(() => new MediaType("text/html", "html")).to.throw(TypeError);
+            expect(() => new MediaType("text", "html", {"char set": "utf-8"})).to.throw(TypeError);
+        });
+    });
+
+    describe("#type", () => {
+        it("Should return lowercase type", () => {
+            expect(mediaType.type).to.equal("application");
+        });
+    });
+
+    describe("#subtype", () => {
+        it("Should return lowercase subtype", () => {
+            expect(mediaType.subtype).to.equal("vnd.api+json");
+        });
+    });
+
+    describe("#suffix", () => {
+        it("Should return structured syntax suffix", () => {
+            expect(mediaType.suffix).to.equal("json");
+        });
+
+        it("Should return null if no suffix", () => {
+            expect(new MediaType("text", "html").suffix).to.be.null;
+        });
+    });
+
+    describe("#essence", () => {
+        it("Should return media type without parameters", () => {
+            expect(mediaType.essence).to.equal("application/vnd.api+json");
+        });
+    });
+
+    describe("#parameters", () => {
+        it("Should return parameters with lowercase names", () => {
+            expect(mediaType.parameters).to.deep.equal({charset: "UTF-8"});
+        });
+    });
+
+    describe("#parameter()", () => {
+        it("Should return parameter by case-insensitive name", () => {
+            expect(mediaType.parameter("CHARSET")).to.equal("UTF-8");
+        });
+
+        it("Should return null if parameter not present", () => {
+            expect(mediaType.parameter("boundary")).to.be.null;
+            expect(mediaType.parameter("constructor")).to.be.null;
+        });
+    });
+
+    describe("#withParameter()", () => {
+        it("Should produce instance with given parameter", () => {
+            const newMediaType = mediaType.withParameter("Charset", "utf-16");
+
+            expect(newMediaType).to.be.instanceof(MediaType);
+            expect(newMediaType.parameters).to.deep.equal({charset: "utf-16"});
+            expect(mediaType.parameter("charset")).to.equal("UTF-8");
+        });
+
+        it("Should return same instance if nothing changes", () => {
+            expect(mediaType.withParameter("charset", "UTF-8")).to.equal(mediaType);
+        });
+    });
+
+    describe("#withoutParameter()", () => {
+        it("Should produce instance without given parameter", () => {
+            const newMediaType = mediaType.withoutParameter("CHARSET");
+
+            expect(newMediaType).to.be.instanceof(MediaType);
+            expect(newMediaType.parameters).to.deep.equal({});
+            expect(mediaType.parameter("charset")).to.equal("UTF-8");
+        });
+
+        it("Should return same instance if parameter not present", () => {
+            expect(mediaType.withoutParameter("boundary")).to.equal(mediaType);
+        });
+    });
+
+    describe("#toString()", () => {
+        it("Should return media type with parameters", () => {
+            expect(mediaType.toString()).to.equal("application/vnd.api+json; charset=UTF-8");
+        });
+
+        it("Should quote parameter values that are not tokens", () => {
+            const multipart = new MediaType("multipart", "form-data", {boundary: "a b\"c\\d", empty: ""});
+
+            expect(multipart.toString()).to.equal("multipart/form-data; boundary=\"a b\\\"c\\\\d\"; empty=\"\"");
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { MediaType, MediaTypeFactory } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("MediaTypeFactory", () => {
+    let mediaTypeFactory;
+
+    beforeEach(() => {
+        mediaTypeFactory = new MediaTypeFactory();
+    });
+
+    describe("#createMediaType()", () => {
+        it("Should create media type", () => {
+            const mediaType = mediaTypeFactory.createMediaType("text", "html", {charset: "utf-8"});
+
+            expect(mediaType).to.be.instanceof(MediaType);
+            expect(mediaType.toString()).to.equal("text/html; charset=utf-8");
+        });
+    });
+
+    describe("#createMediaTypeFromString()", () => {
+        it("Should parse type, subtype and parameters", () => {
+            const mediaType = mediaTypeFactory.createMediaTypeFromString("Text/HTML;Charset=UTF-8 ;  level=1");
+
+            expect(mediaType).to.be.instanceof(MediaType);
+            expect(mediaType.essence).to.equal("text/html");
+            expect(mediaType.parameters).to.deep.equal({charset: "UTF-8", level: "1"});
+        });
+
+        it("Should unescape quoted parameter values", () => {
+            const mediaType = mediaTypeFactory.createMediaTypeFromString(
+                "multipart/form-data; boundary=\"a;b \\\"c\\\\\"; other=x\\y"
+            );
+
+            expect(mediaType.parameters).to.deep.equal({boundary: "a;b \"c\\", other: "x\\y"});
+        });
+
+        it("Should ignore empty parameters", () => {
+            const mediaType = mediaTypeFactory.createMediaTypeFromString(" text/plain ;; charset=utf-8; ");
+
+            expect(mediaType.toString()).to.equal("text/plain; charset=utf-8");
+        });
+
+        it("Should use last occurrence of repeated parameters", () => {
+            expect(mediaTypeFactory.createMediaTypeFromString("text/plain; a=1; A=2").parameters)
+                .to.deep.equal({a: "2"});
+        });
+
+        it("Should throw for invalid media types", () => {
+            for (const value of [
+                "",
+                "text",
+                "text/",
+                "/html",
+                "text/html/x",
+                "text /html",
+                "text/html charset=utf-8",
+                "text/html; charset",
+                "text/html; charset=",
+                "text/html; charset=\"utf-8",
+                "text/html; char set=utf-8",
+                "text/html, application/json"
+            ]) {
+                expect(() => mediaTypeFactory.createMediaTypeFromString(value), value).to.throw(TypeError);
+            }
+        });
+    });
+});
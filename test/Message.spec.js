@@ -5,7 +5,15 @@
  * file that was distributed with this source code.
  */
 
-import { HeaderCollection, Message } from "@moonwalkingbits/apollo-http";
+import {
+    BufferStream,
+    HeaderCollection,
+    MediaType,
+    Message,
+    StructuredFieldType,
+    StructuredItem,
+    Token
+} from "@moonwalkingbits/apollo-http";
 import { Readable } from "stream";
 import { createRequire } from "module";
 
@@ -25,6 +33,17 @@ describe("Message", () => {
 });
 
 function messageTests(InstanceType) {
+    const rejection = async promise => {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+
+        return null;
+    };
+    const createHeaders = headers => new HeaderCollection(Object.entries(headers));
+
     describe("#protocolVersion", () => {
         it("Should return protocol version", function() {
             expect(this.createMessage().protocolVersion).to.equal(this.protocolVersion);
@@ -219,6 +238,237 @@ function messageTests(InstanceType) {
         });
     });
 
+    describe("#contentType", () => {
+        it("Should return media type of Content-Type header", function() {
+            const headers = new HeaderCollection(Object.entries({"Content-Type": ["Text/HTML; Charset=\"utf-8\""]}));
+            const contentType = this.createMessage(null, headers).contentType;
+
+            expect(contentType).to.be.instanceof(MediaType);
+            expect(contentType.essence).to.equal("text/html");
+            expect(contentType.parameter("charset")).to.equal("utf-8");
+        });
+
+        it("Should return null if header is missing or invalid", function() {
+            const headers = new HeaderCollection(Object.entries({"Content-Type": ["text/html, text/plain"]}));
+
+            expect(this.createMessage().contentType).to.be.null;
+            expect(this.createMessage(null, headers).contentType).to.be.null;
+        });
+    });
+
+    describe("#withContentType()", () => {
+        it("Should produce instance with Content-Type header", function() {
+            const mediaType = new MediaType("application", "json", {charset: "utf-8"});
+            const message = this.createMessage().withContentType(mediaType);
+
+            expect(message).to.be.instanceof(InstanceType);
+            expect(message.header("Content-Type")).to.deep.equal(["application/json; charset=utf-8"]);
+        });
+
+        it("Should not mutate instance", function() {
+            const message = this.createMessage();
+
+            message.withContentType(new MediaType("text", "plain"));
+
+            expect(message.hasHeader("Content-Type")).to.be.false;
+        });
+    });
+
+    describe("#structuredHeader()", () => {
+        it("Should return parsed header value", function() {
+            const headers = new HeaderCollection(Object.entries({"Priority": ["u=1", "i"]}));
+            const priority = this.createMessage(null, headers).structuredHeader("priority", "dictionary");
+
+            expect(Object.keys(priority)).to.deep.equal(["u", "i"]);
+            expect(priority.u.value).to.equal(1);
+            expect(priority.i.value).to.be.true;
+        });
+
+        it("Should return null if header is missing or invalid", function() {
+            const headers = new HeaderCollection(Object.entries({"Priority": ["u=1,"]}));
+
+            expect(this.createMessage().structuredHeader("Priority", StructuredFieldType.DICTIONARY)).to.be.null;
+            expect(this.createMessage(null, headers).structuredHeader("Priority", StructuredFieldType.DICTIONARY))
+                .to.be.null;
+        });
+
+        it("Should throw for unknown types", function() {
+            const headers = new HeaderCollection(Object.entries({"Priority": ["u=1"]}));
+
+            const message = this.createMessage(null, headers);
+
+            expect(() => message.structuredHeader("Priority", "unknown")).to.throw(TypeError);
+        });
+    });
+
+    describe("#withStructuredHeader()", () => {
+        it("Should produce instance with serialized header", function() {
+            const message = this.createMessage().withStructuredHeader("Cache-Status", [
+                new StructuredItem(new Token("ExampleCache"), {hit: true, ttl: 376})
+            ]);
+
+            expect(message).to.be.instanceof(InstanceType);
+            expect(message.header("Cache-Status")).to.deep.equal(["ExampleCache;hit;ttl=376"]);
+        });
+
+        it("Should remove header for empty lists and dictionaries", function() {
+            const headers = new HeaderCollection(Object.entries({"Priority": ["u=1"]}));
+
+            const message = this.createMessage(null, headers).withStructuredHeader("Priority", {});
+
+            expect(message.hasHeader("Priority")).to.be.false;
+        });
+
+        it("Should throw for values that cannot be serialized", function() {
+            expect(() => this.createMessage().withStructuredHeader("Priority", {u: null})).to.throw(TypeError);
+        });
+    });
+
+    describe("#bodyUsed", () => {
+        it("Should determine if body has been read", async function() {
+            const message = this.createMessage(null, null, new BufferStream("content"));
+
+            expect(message.bodyUsed).to.be.false;
+
+            await message.text();
+
+            expect(message.bodyUsed).to.be.true;
+            expect(message.withHeader("X-Test", "test").bodyUsed).to.be.true;
+            expect(message.withBody(new BufferStream("content")).bodyUsed).to.be.false;
+        });
+    });
+
+    describe("#buffer()", () => {
+        it("Should read body into buffer", async function() {
+            const content = Buffer.from([0x00, 0xff, 0x80]);
+
+            expect(await this.createMessage(null, null, new BufferStream(content)).buffer()).to.deep.equal(content);
+        });
+
+        it("Should reject if body has already been used", async function() {
+            const message = this.createMessage(null, null, new BufferStream("content"));
+
+            await message.buffer();
+
+            const error = await rejection(message.buffer());
+
+            expect(error).to.be.instanceof(TypeError);
+            expect(error.message).to.equal("Body has already been used");
+        });
+
+        it("Should reject bodies exceeding the maximum size", async function() {
+            const message = this.createMessage(null, null, new BufferStream("content"));
+
+            expect(await rejection(message.buffer({maxSize: 6}))).to.be.instanceof(RangeError);
+            expect(await rejection(this.createMessage(null, null, new BufferStream("content")).buffer({maxSize: 7})))
+                .to.be.null;
+        });
+
+        it("Should reject exceeding Content-Length without reading body", async function() {
+            const body = new BufferStream("content");
+            const message = this.createMessage(null, createHeaders({"Content-Length": ["1000"]}), body);
+
+            expect(await rejection(message.buffer({maxSize: 100}))).to.be.instanceof(RangeError);
+            expect(body.destroyed).to.be.true;
+        });
+    });
+
+    describe("#arrayBuffer()", () => {
+        it("Should read body into array buffer", async function() {
+            const arrayBuffer = await this.createMessage(null, null, new BufferStream("content")).arrayBuffer();
+
+            expect(arrayBuffer).to.be.instanceof(ArrayBuffer);
+            expect(Buffer.from(arrayBuffer).toString()).to.equal("content");
+        });
+    });
+
+    describe("#text()", () => {
+        it("Should decode body as UTF-8 by default", async function() {
+            expect(await this.createMessage(null, null, new BufferStream("åäö")).text()).to.equal("åäö");
+        });
+
+        it("Should decode body using charset of Content-Type header", async function() {
+            const headers = createHeaders({"Content-Type": ["text/plain; charset=ISO-8859-1"]});
+            const message = this.createMessage(null, headers, new BufferStream(Buffer.from([0xe5, 0xe4, 0xf6])));
+
+            expect(await message.text()).to.equal("åäö");
+        });
+
+        it("Should reject unsupported charsets without reading body", async function() {
+            const headers = createHeaders({"Content-Type": ["text/plain; charset=unknown"]});
+            const message = this.createMessage(null, headers, new BufferStream("content"));
+
+            expect(await rejection(message.text())).to.be.instanceof(RangeError);
+            expect(message.bodyUsed).to.be.false;
+        });
+    });
+
+    describe("#json()", () => {
+        it("Should deserialize body", async function() {
+            const message = this.createMessage(null, null, new BufferStream("{\"key\": [\"value\"]}"));
+
+            expect(await message.json()).to.deep.equal({key: ["value"]});
+        });
+
+        it("Should reject invalid JSON", async function() {
+            expect(await rejection(this.createMessage(null, null, new BufferStream("{")).json()))
+                .to.be.instanceof(SyntaxError);
+        });
+    });
+
+    describe("#formData()", () => {
+        it("Should read URL encoded form data", async function() {
+            const headers = createHeaders({"Content-Type": ["application/x-www-form-urlencoded"]});
+            const message = this.createMessage(null, headers, new BufferStream("name=J%C3%B6rn+B&tags[]=a&tags[]=b"));
+
+            expect(await message.formData()).to.deep.equal({fields: {name: "Jörn B", tags: ["a", "b"]}, files: {}});
+        });
+
+        it("Should read multipart form data", async function() {
+            const headers = createHeaders({"Content-Type": ["multipart/form-data; boundary=boundary"]});
+            const body = "--boundary\r\nContent-Disposition: form-data; name=\"title\"\r\n\r\n" +
+                "Hello\r\n--boundary--\r\n";
+            const message = this.createMessage(null, headers, new BufferStream(body));
+
+            expect(await message.formData()).to.deep.equal({fields: {title: "Hello"}, files: {}});
+            expect(message.bodyUsed).to.be.true;
+        });
+
+        it("Should nest field names in the same manner for both encodings", async function() {
+            const fields = [["user[name]", "bob"], ["user[roles][]", "admin"], ["user[roles][]", "editor"]];
+            const urlEncodedHeaders = createHeaders({"Content-Type": ["application/x-www-form-urlencoded"]});
+            const multipartHeaders = createHeaders({"Content-Type": ["multipart/form-data; boundary=boundary"]});
+            const urlEncodedBody = fields.map(([ name, value ]) => `${name}=${value}`).join("&");
+            const multipartBody = fields
+                .map(([ name, value ]) => `Content-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+                .map(part => `--boundary\r\n${part}`)
+                .join("") + "--boundary--\r\n";
+            const expected = {fields: {user: {name: "bob", roles: ["admin", "editor"]}}, files: {}};
+
+            expect(await this.createMessage(null, urlEncodedHeaders, new BufferStream(urlEncodedBody)).formData())
+                .to.deep.equal(expected);
+            expect(await this.createMessage(null, multipartHeaders, new BufferStream(multipartBody)).formData())
+                .to.deep.equal(expected);
+        });
+
+        it("Should reject multipart bodies exceeding the maximum size", async function() {
+            const headers = createHeaders({"Content-Type": ["multipart/form-data; boundary=boundary"]});
+            const body = "--boundary\r\nContent-Disposition: form-data; name=\"title\"\r\n\r\n" +
+                "Hello\r\n--boundary--\r\n";
+            const message = this.createMessage(null, headers, new BufferStream(body));
+
+            expect(await rejection(message.formData({maxSize: 10}))).to.be.instanceof(RangeError);
+        });
+
+        it("Should reject other content types", async function() {
+            const headers = createHeaders({"Content-Type": ["application/json"]});
+            const message = this.createMessage(null, headers, new BufferStream("{}"));
+
+            expect(await rejection(message.formData())).to.be.instanceof(TypeError);
+            expect(message.bodyUsed).to.be.false;
+        });
+    });
+
     describe("#body", () => {
         it("Should return body", function() {
             expect(Object.is(this.body, this.createMessage().body)).to.be.true;
@@ -0,0 +1,209 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    MessageLimitError,
+    MessageParseError,
+    MessageParser,
+    Request,
+    Response,
+    UrlFactory
+} from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("MessageParser", () => {
+    const parseError = promise => promise.then(
+        () => {
+            throw new Error("Expected parsing to fail");
+        },
+        error => error
+    );
+
+    let parser;
+
+    beforeEach(() => {
+        parser = new MessageParser(new UrlFactory());
+    });
+
+    describe("#parse()", () => {
+        it("Should parse requests", async () => {
+            const request = await parser.parse(
+                "POST /path?query=1 HTTP/1.1\r\n" +
+                "Host: example.com\r\n" +
+                "Content-Length: 5\r\n" +
+                "\r\n" +
+                "hello"
+            );
+
+            expect(request).to.be.instanceof(Request);
+            expect(request.method).to.equal("POST");
+            expect(request.target).to.equal("/path?query=1");
+            expect(request.protocolVersion).to.equal("1.1");
+            expect(request.url.host).to.equal("example.com");
+            expect(request.url.path).to.equal("/path");
+            expect(request.headers).to.deep.equal({"Host": ["example.com"], "Content-Length": ["5"]});
+            expect(await request.text()).to.equal("hello");
+        });
+
+        it("Should parse responses", async () => {
+            const response = await parser.parse(
+                "HTTP/1.0 201 Resource Created\r\n" +
+                "Set-Cookie: a=1\r\n" +
+                "Set-Cookie: b=2\r\n" +
+                "\r\n" +
+                "until the end"
+            );
+
+            expect(response).to.be.instanceof(Response);
+            expect(response.statusCode).to.equal(201);
+            expect(response.reasonPhrase).to.equal("Resource Created");
+            expect(response.protocolVersion).to.equal("1.0");
+            expect(response.header("Set-Cookie")).to.deep.equal(["a=1", "b=2"]);
+            expect(await response.text()).to.equal("until the end");
+        });
+
+        it("Should not read a body of requests without framing headers", async () => {
+            const request = await parser.parse("GET / HTTP/1.1\r\nHost: example.com\r\n\r\nnext message");
+
+            expect(await request.text()).to.equal("");
+        });
+
+        it("Should not read a body of responses without content", async () => {
+            const response = await parser.parse("HTTP/1.1 204 No Content\r\nContent-Length: 5\r\n\r\nhello");
+
+            expect(await response.text()).to.equal("");
+        });
+
+        it("Should keep request targets that are not in origin form", async () => {
+            const absolute = await parser.parse("GET http://example.com/path HTTP/1.1\r\n\r\n");
+            const asterisk = await parser.parse("OPTIONS * HTTP/1.1\r\nHost: example.com\r\n\r\n");
+            const authority = await parser.parse("CONNECT example.com:443 HTTP/1.1\r\n\r\n");
+
+            expect(absolute.target).to.equal("http://example.com/path");
+            expect(absolute.url.toString()).to.equal("http://example.com/path");
+            expect(asterisk.target).to.equal("*");
+            expect(asterisk.url.host).to.equal("example.com");
+            expect(authority.target).to.equal("example.com:443");
+            expect(authority.url.port).to.equal(443);
+        });
+
+        it("Should replace line folding with a space", async () => {
+            const request = await parser.parse("GET / HTTP/1.1\r\nX-Folded: first\r\n  second\r\n\tthird\r\n\r\n");
+
+            expect(request.headerLine("X-Folded")).to.equal("first second third");
+        });
+
+        it("Should accept line feeds without carriage returns", async () => {
+            const request = await parser.parse("\r\nGET / HTTP/1.1\nAccept: */*\n\n");
+
+            expect(request.headerLine("Accept")).to.equal("*/*");
+        });
+
+        it("Should parse chunked bodies with trailers", async () => {
+            const response = await parser.parse(
+                "HTTP/1.1 200 OK\r\n" +
+                "Transfer-Encoding: gzip, chunked\r\n" +
+                "\r\n" +
+                "5;name=value\r\nhello\r\n" +
+                "6\r\n world\r\n" +
+                "0\r\n" +
+                "Expires: never\r\n" +
+                "\r\n"
+            );
+
+            expect(await response.text()).to.equal("hello world");
+            expect(response.body.trailers).to.deep.equal({"Expires": ["never"]});
+        });
+
+        it("Should parse streamed input", async () => {
+            const bytes = Buffer.from("PUT / HTTP/1.1\r\nTransfer-Encoding: chunked\r\n\r\n3\r\nabc\r\n0\r\n\r\n");
+            const request = await parser.parse(Readable.from(Array.from(bytes, byte => Buffer.from([byte]))));
+
+            expect(await request.text()).to.equal("abc");
+        });
+
+        it("Should throw for malformed messages", async () => {
+            const invalidMessages = [
+                "",
+                "GET /\r\n\r\n",
+                "GET / HTTP/1.1",
+                "G(T / HTTP/1.1\r\n\r\n",
+                "HTTP/1.1 20 OK\r\n\r\n",
+                "GET / HTTP/1.1\r\n folded\r\n\r\n",
+                "GET / HTTP/1.1\r\nName : value\r\n\r\n",
+                "GET / HTTP/1.1\r\nHost: exa mple.com\r\n\r\n",
+                "GET / HTTP/1.1\r\nContent-Length: -1\r\n\r\n",
+                "GET / HTTP/1.1\r\nContent-Length: 1, 2\r\n\r\n",
+                "POST / HTTP/1.1\r\nTransfer-Encoding: gzip\r\n\r\n"
+            ];
+
+            for (const message of invalidMessages) {
+                expect(await parseError(parser.parse(message)), message).to.be.instanceof(MessageParseError);
+            }
+        });
+
+        it("Should report position of parse errors", async () => {
+            const error = await parseError(parser.parse("GET / HTTP/1.1\r\nValid: yes\r\nInvalid\r\n\r\n"));
+
+            expect(error.position).to.equal(28);
+        });
+
+        it("Should fail bodies that are malformed", async () => {
+            const truncated = await parser.parse("POST / HTTP/1.1\r\nContent-Length: 10\r\n\r\nhello");
+            const chunked = await parser.parse("POST / HTTP/1.1\r\nTransfer-Encoding: chunked\r\n\r\n5\r\nhelloX\r\n");
+
+            expect(await parseError(truncated.text())).to.be.instanceof(MessageParseError);
+            expect(await parseError(chunked.text())).to.be.instanceof(MessageParseError);
+        });
+
+        it("Should enforce the header size limit", async () => {
+            const limitedParser = new MessageParser(new UrlFactory(), {maxHeaderSize: 32});
+            const error = await parseError(limitedParser.parse(`GET / HTTP/1.1\r\nX-Long: ${"a".repeat(32)}\r\n\r\n`));
+
+            expect(error).to.be.instanceof(MessageLimitError);
+            expect(error).to.be.instanceof(MessageParseError);
+            expect(error.limit).to.equal(32);
+            expect(await limitedParser.parse("GET / HTTP/1.1\r\nX-Short: a\r\n\r\n")).to.be.instanceof(Request);
+        });
+
+        it("Should enforce the header count limit", async () => {
+            const limitedParser = new MessageParser(new UrlFactory(), {maxHeaderCount: 2});
+            const error = await parseError(limitedParser.parse("GET / HTTP/1.1\r\nA: 1\r\nB: 2\r\nC: 3\r\n\r\n"));
+
+            expect(error).to.be.instanceof(MessageLimitError);
+            expect(error.limit).to.equal(2);
+            expect(error.position).to.equal(28);
+        });
+    });
+
+    describe("#parseAll()", () => {
+        it("Should parse consecutive messages", async () => {
+            const input = Readable.from([
+                "GET /first HTTP/1.1\r\nContent-Length: 3\r\n\r\nabc",
+                "\r\nGET /second HTTP/1.1\r\nTransfer-Encoding: chunked\r\n\r\n1\r\nd\r\n0\r\n\r\n",
+                "GET /third HTTP/1.1\r\n\r\n"
+            ]);
+            const targets = [];
+            const bodies = [];
+
+            for await (const request of parser.parseAll(input)) {
+                targets.push(request.target);
+
+                if (request.target !== "/first") {
+                    bodies.push(await request.text());
+                }
+            }
+
+            expect(targets).to.deep.equal(["/first", "/second", "/third"]);
+            expect(bodies).to.deep.equal(["d", ""]);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    BufferStream,
+    HeaderCollection,
+    Message,
+    MessageSerializer,
+    Request,
+    Response,
+    StreamFactory,
+    UrlFactory
+} from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("MessageSerializer", () => {
+    const urlFactory = new UrlFactory();
+    const streamFactory = new StreamFactory();
+
+    const createRequest = (headers, body) => new Request(
+        "POST",
+        urlFactory.createUrl("http://example.com/path?query=1"),
+        "1.1",
+        new HeaderCollection(headers),
+        body
+    );
+
+    const readStream = async stream => {
+        const chunks = [];
+
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    };
+
+    let serializer;
+
+    beforeEach(() => {
+        serializer = new MessageSerializer();
+    });
+
+    describe("#serialize()", () => {
+        it("Should serialize requests", async () => {
+            const request = createRequest([["Content-Length", ["5"]]], streamFactory.createStream("hello"));
+            const serialized = await serializer.serialize(request);
+
+            expect(serialized.toString()).to.equal(
+                "POST /path?query=1 HTTP/1.1\r\n" +
+                "Content-Length: 5\r\n" +
+                "Host: example.com\r\n" +
+                "\r\n" +
+                "hello"
+            );
+        });
+
+        it("Should serialize responses", async () => {
+            const headers = new HeaderCollection([["Set-Cookie", ["a=1", "b=2"]]]);
+            const response = new Response(404, "1.0", headers, streamFactory.createStream(""));
+            const serialized = await serializer.serialize(response);
+
+            expect(serialized.toString()).to.equal(
+                "HTTP/1.0 404 Not Found\r\n" +
+                "Set-Cookie: a=1\r\n" +
+                "Set-Cookie: b=2\r\n" +
+                "\r\n"
+            );
+        });
+
+        it("Should serialize custom request targets and reason phrases", async () => {
+            const request = createRequest([], streamFactory.createStream("")).withTarget("*").withMethod("OPTIONS");
+            const response = new Response(299, "1.1", new HeaderCollection(), streamFactory.createStream(""));
+
+            expect((await serializer.serialize(request)).toString()).to.match(/^OPTIONS \* HTTP\/1\.1\r\n/);
+            expect((await serializer.serialize(response)).toString()).to.equal("HTTP/1.1 299 \r\n\r\n");
+        });
+
+        it("Should keep binary bodies intact", async () => {
+            const body = Buffer.from([0x00, 0xff, 0xc3, 0x28]);
+            const response = new Response(200, "1.1", new HeaderCollection(), new BufferStream(body));
+            const serialized = await serializer.serialize(response);
+
+            expect(serialized.subarray(serialized.length - 4).equals(body)).to.be.true;
+        });
+
+        it("Should use chunked transfer coding", async () => {
+            const request = createRequest(
+                [["Content-Length", ["11"]]],
+                Readable.from(["hello", "", " world"], {objectMode: false})
+            );
+            const serialized = await serializer.serialize(request, {chunked: true});
+
+            expect(serialized.toString()).to.equal(
+                "POST /path?query=1 HTTP/1.1\r\n" +
+                "Host: example.com\r\n" +
+                "Transfer-Encoding: chunked\r\n" +
+                "\r\n" +
+                "5\r\nhello\r\n" +
+                "6\r\n world\r\n" +
+                "0\r\n\r\n"
+            );
+        });
+
+        it("Should throw for messages that are neither requests nor responses", async () => {
+            const message = new Message("1.1", new HeaderCollection(), streamFactory.createStream(""));
+            const error = await serializer.serialize(message).catch(error => error);
+
+            expect(error).to.be.instanceof(TypeError);
+        });
+    });
+
+    describe("#toStream()", () => {
+        it("Should stream the serialized message", async () => {
+            const request = createRequest([], Readable.from(["a", "b"], {objectMode: false}));
+            const stream = serializer.toStream(request, {chunked: true});
+
+            expect(stream).to.be.instanceof(Readable);
+            expect((await readStream(stream)).toString()).to.match(/\r\n\r\n1\r\na\r\n1\r\nb\r\n0\r\n\r\n$/);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { MiddlewarePipeline, Request, Response } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { createStubInstance } = require("sinon");
+const { expect } = require("chai");
+
+describe("MiddlewarePipeline", () => {
+    const createMiddleware = name => ({
+        process: async (request, handler) => {
+            calls.push(`${name}:before`);
+
+            const response = await handler.handle(request);
+
+            calls.push(`${name}:after`);
+
+            return response;
+        }
+    });
+
+    let calls;
+    let request;
+    let response;
+    let fallbackHandler;
+    let pipeline;
+
+    beforeEach(() => {
+        calls = [];
+        request = createStubInstance(Request);
+        response = createStubInstance(Response);
+        fallbackHandler = {
+            handle: async () => {
+                calls.push("fallback");
+
+                return response;
+            }
+        };
+        pipeline = new MiddlewarePipeline(fallbackHandler);
+    });
+
+    describe("#handle()", () => {
+        it("Should delegate to fallback handler without middleware", async () => {
+            expect(Object.is(response, await pipeline.handle(request))).to.be.true;
+            expect(calls).to.deep.equal(["fallback"]);
+        });
+
+        it("Should invoke middleware in order", async () => {
+            pipeline = pipeline
+                .withMiddleware(createMiddleware("first"))
+                .withMiddleware(createMiddleware("second"));
+
+            expect(Object.is(response, await pipeline.handle(request))).to.be.true;
+            expect(calls).to.deep.equal(["first:before", "second:before", "fallback", "second:after", "first:after"]);
+        });
+
+        it("Should allow middleware to produce a response", async () => {
+            const earlyResponse = createStubInstance(Response);
+
+            pipeline = pipeline
+                .withMiddleware({process: async () => earlyResponse})
+                .withMiddleware(createMiddleware("second"));
+
+            expect(Object.is(earlyResponse, await pipeline.handle(request))).to.be.true;
+            expect(calls).to.be.empty;
+        });
+
+        it("Should pass on the request given by middleware", async () => {
+            const otherRequest = createStubInstance(Request);
+            let handledRequest;
+
+            fallbackHandler.handle = async request => {
+                handledRequest = request;
+
+                return response;
+            };
+            pipeline = pipeline.withMiddleware({process: (request, handler) => handler.handle(otherRequest)});
+
+            await pipeline.handle(request);
+
+            expect(Object.is(otherRequest, handledRequest)).to.be.true;
+        });
+
+        it("Should reject with errors thrown by middleware", async () => {
+            const error = new Error("Failure");
+            let caughtError;
+
+            pipeline = pipeline.withMiddleware({
+                process: () => {
+                    throw error;
+                }
+            });
+
+            try {
+                await pipeline.handle(request);
+            } catch (thrownError) {
+                caughtError = thrownError;
+            }
+
+            expect(caughtError).to.equal(error);
+        });
+    });
+
+    describe("#withMiddleware()", () => {
+        it("Should not mutate instance", async () => {
+            pipeline.withMiddleware(createMiddleware("first"));
+
+            await pipeline.handle(request);
+
+            expect(calls).to.deep.equal(["fallback"]);
+        });
+    });
+});
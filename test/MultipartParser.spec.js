@@ -0,0 +1,207 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    HeaderCollection,
+    Message,
+    MultipartError,
+    MultipartParser,
+    UploadError,
+    UploadedFile
+} from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("MultipartParser", () => {
+    const boundary = "----boundary";
+    const createMessage = (parts, chunkSize = 7) => {
+        const content = Buffer.concat([
+            Buffer.from("preamble\r\n"),
+            ...parts.map(([ headers, body ]) => Buffer.concat([
+                Buffer.from(`--${boundary}\r\n${headers}\r\n\r\n`),
+                Buffer.from(body),
+                Buffer.from("\r\n")
+            ])),
+            Buffer.from(`--${boundary}--\r\nepilogue`)
+        ]);
+        const chunks = [];
+
+        for (let offset = 0; offset < content.length; offset += chunkSize) {
+            chunks.push(content.subarray(offset, offset + chunkSize));
+        }
+
+        return new Message(
+            "1.1",
+            new HeaderCollection(Object.entries({"Content-Type": [`multipart/form-data; boundary="${boundary}"`]})),
+            Readable.from(chunks)
+        );
+    };
+    const readStream = stream => new Promise((resolve, reject) => {
+        const chunks = [];
+
+        stream.on("data", chunk => chunks.push(chunk));
+        stream.on("end", () => resolve(Buffer.concat(chunks)));
+        stream.on("error", reject);
+    });
+    const parseError = async promise => {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+
+        return null;
+    };
+
+    let temporaryDirectory;
+
+    beforeEach(async () => {
+        temporaryDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "multipart-"));
+    });
+
+    afterEach(async () => {
+        for (const file of await fs.promises.readdir(temporaryDirectory)) {
+            await fs.promises.unlink(path.join(temporaryDirectory, file));
+        }
+
+        await fs.promises.rmdir(temporaryDirectory);
+    });
+
+    describe("#parse()", () => {
+        it("Should parse fields", async () => {
+            const { fields, files } = await new MultipartParser().parse(createMessage([
+                ["Content-Disposition: form-data; name=\"title\"", "Hello, world"],
+                ["Content-Disposition: form-data; name=\"empty\"", ""],
+                ["Content-Disposition: form-data; name=\"tags[]\"", "one"],
+                ["Content-Disposition: form-data; name=\"tags[]\"", "två"]
+            ]));
+
+            expect(fields).to.deep.equal({title: "Hello, world", empty: "", tags: ["one", "två"]});
+            expect(files).to.be.empty;
+        });
+
+        it("Should nest field and file names", async () => {
+            const { fields, files } = await new MultipartParser().parse(createMessage([
+                ["Content-Disposition: form-data; name=\"user[name]\"", "bob"],
+                ["Content-Disposition: form-data; name=\"user[tags][]\"", "one"],
+                ["Content-Disposition: form-data; name=\"user[tags][]\"", "two"],
+                ["Content-Disposition: form-data; name=\"user[avatar]\"; filename=\"a.png\"", "image"]
+            ]));
+
+            expect(fields).to.deep.equal({user: {name: "bob", tags: ["one", "two"]}});
+            expect(files.user.avatar).to.be.instanceof(UploadedFile);
+            expect(files.user.avatar.clientFilename).to.equal("a.png");
+        });
+
+        it("Should ignore parts named __proto__", async () => {
+            const { fields, files } = await new MultipartParser().parse(createMessage([
+                ["Content-Disposition: form-data; name=\"__proto__\"", "field"],
+                ["Content-Disposition: form-data; name=\"__proto__[]\"", "field"],
+                ["Content-Disposition: form-data; name=\"__proto__\"; filename=\"a.txt\"", "file"],
+                ["Content-Disposition: form-data; name=\"__proto__[]\"; filename=\"b.txt\"", "file"]
+            ]));
+
+            expect(Object.getPrototypeOf(fields)).to.equal(Object.prototype);
+            expect(Object.getPrototypeOf(files)).to.equal(Object.prototype);
+            expect(Object.keys(fields)).to.be.empty;
+            expect(Object.keys(files)).to.be.empty;
+        });
+
+        it("Should parse files held in memory", async () => {
+            const content = Buffer.from([0, 255, 13, 10, 45, 45, 1]);
+            const { files } = await new MultipartParser().parse(createMessage([
+                ["Content-Disposition: form-data; name=\"file\"; filename=\"data.bin\"\r\nContent-Type: application/octet-stream", content]
+            ]));
+
+            expect(files.file).to.be.instanceof(UploadedFile);
+            expect(files.file.error).to.equal(UploadError.OK);
+            expect(files.file.size).to.equal(content.length);
+            expect(files.file.clientFilename).to.equal("data.bin");
+            expect(files.file.clientMediaType).to.equal("application/octet-stream");
+            expect((await readStream(files.file.stream)).equals(content)).to.be.true;
+        });
+
+        it("Should write large files to temporary files", async () => {
+            const content = Buffer.alloc(1000, "a");
+            const parser = new MultipartParser({memoryLimit: 100, temporaryDirectory});
+            const { files } = await parser.parse(createMessage([
+                ["Content-Disposition: form-data; name=\"file\"; filename=\"large.txt\"", content]
+            ], 64));
+
+            expect(await fs.promises.readdir(temporaryDirectory)).to.have.lengthOf(1);
+            expect(files.file.size).to.equal(1000);
+            expect((await readStream(files.file.stream)).equals(content)).to.be.true;
+        });
+
+        it("Should decode extended file names", async () => {
+            const { files } = await new MultipartParser().parse(createMessage([
+                ["Content-Disposition: form-data; name=\"file\"; filename=\"a.txt\"; filename*=UTF-8''%C3%A5.txt", "content"]
+            ]));
+
+            expect(files.file.clientFilename).to.equal("å.txt");
+        });
+
+        it("Should report missing files", async () => {
+            const { files } = await new MultipartParser().parse(createMessage([
+                ["Content-Disposition: form-data; name=\"file\"; filename=\"\"", ""]
+            ]));
+
+            expect(files.file.error).to.equal(UploadError.NO_FILE);
+        });
+
+        it("Should report files exceeding the size limit", async () => {
+            const parser = new MultipartParser({maxFileSize: 500, memoryLimit: 100, temporaryDirectory});
+            const { fields, files } = await parser.parse(createMessage([
+                ["Content-Disposition: form-data; name=\"file\"; filename=\"large.txt\"", Buffer.alloc(1000, "a")],
+                ["Content-Disposition: form-data; name=\"title\"", "Hello"]
+            ], 64));
+
+            expect(files.file.error).to.equal(UploadError.FILE_TOO_LARGE);
+            expect(() => files.file.stream).to.throw(Error);
+            expect(fields.title).to.equal("Hello");
+            expect(await fs.promises.readdir(temporaryDirectory)).to.be.empty;
+        });
+
+        it("Should reject when the number of files exceeds the limit", async () => {
+            const parser = new MultipartParser({maxFiles: 1, memoryLimit: 1, temporaryDirectory});
+            const error = await parseError(parser.parse(createMessage([
+                ["Content-Disposition: form-data; name=\"one\"; filename=\"one.txt\"", "one"],
+                ["Content-Disposition: form-data; name=\"two\"; filename=\"two.txt\"", "two"]
+            ])));
+
+            expect(error).to.be.instanceof(MultipartError);
+            expect(await fs.promises.readdir(temporaryDirectory)).to.be.empty;
+        });
+
+        it("Should reject fields exceeding the size limit", async () => {
+            const error = await parseError(new MultipartParser({maxFieldSize: 4}).parse(createMessage([
+                ["Content-Disposition: form-data; name=\"title\"", "Hello"]
+            ])));
+
+            expect(error).to.be.instanceof(MultipartError);
+        });
+
+        it("Should reject truncated bodies", async () => {
+            const message = createMessage([["Content-Disposition: form-data; name=\"title\"", "Hello"]]);
+            const truncatedMessage = message.withBody(Readable.from([Buffer.from(`--${boundary}\r\n\r\nHello`)]));
+
+            expect(await parseError(new MultipartParser().parse(truncatedMessage))).to.be.instanceof(MultipartError);
+        });
+
+        it("Should reject messages without boundary", async () => {
+            const message = createMessage([]).withHeader("Content-Type", "multipart/form-data");
+
+            expect(await parseError(new MultipartParser().parse(message))).to.be.instanceof(MultipartError);
+        });
+    });
+});
@@ -0,0 +1,185 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { HeaderCollection, Negotiator, Request, RequestMethod, Url } from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("Negotiator", () => {
+    const createNegotiator = headers => new Negotiator(new Request(
+        RequestMethod.GET,
+        new Url(),
+        "1.1",
+        new HeaderCollection(Object.entries(headers)),
+        Readable.from([])
+    ));
+
+    describe("#mediaType()", () => {
+        it("Should return the preferred media type", () => {
+            const negotiator = createNegotiator({Accept: ["text/html;q=0.8, application/json"]});
+
+            expect(negotiator.mediaType(["text/html", "application/json"])).to.equal("application/json");
+        });
+
+        it("Should return null if no media type is acceptable", () => {
+            const negotiator = createNegotiator({Accept: ["application/json, text/*;q=0"]});
+
+            expect(negotiator.mediaType(["text/html", "image/png"])).to.be.null;
+        });
+
+        it("Should return the first media type if no Accept header", () => {
+            expect(createNegotiator({}).mediaType(["text/html", "application/json"])).to.equal("text/html");
+        });
+    });
+
+    describe("#mediaTypes()", () => {
+        it("Should order media types by quality", () => {
+            const negotiator = createNegotiator({Accept: ["text/plain;q=0.5, text/html, application/json;q=0.8"]});
+
+            expect(negotiator.mediaTypes(["text/plain", "application/json", "text/html"]))
+                .to.deep.equal(["text/html", "application/json", "text/plain"]);
+        });
+
+        it("Should use the quality of the most specific range", () => {
+            const negotiator = createNegotiator({
+                Accept: ["text/*;q=0.3, text/html;q=0.7, text/html;level=1, text/html;level=2;q=0.4, */*;q=0.5"]
+            });
+
+            expect(negotiator.mediaTypes([
+                "text/html;level=2",
+                "image/jpeg",
+                "text/plain",
+                "text/html",
+                "text/html; level=1"
+            ])).to.deep.equal([
+                "text/html; level=1",
+                "text/html",
+                "image/jpeg",
+                "text/html;level=2",
+                "text/plain"
+            ]);
+        });
+
+        it("Should prefer the order of the header for equal quality", () => {
+            const negotiator = createNegotiator({Accept: ["application/json, text/html"]});
+
+            expect(negotiator.mediaTypes(["text/html", "application/json"])).to.deep.equal(["application/json", "text/html"]);
+        });
+
+        it("Should match media types case-insensitively", () => {
+            const negotiator = createNegotiator({Accept: ["Text/HTML; Charset=\"UTF-8\""]});
+
+            expect(negotiator.mediaTypes(["text/html;charset=utf-8", "text/html"])).to.deep.equal(["text/html;charset=utf-8"]);
+        });
+
+        it("Should ignore accept extensions and invalid quality values", () => {
+            const negotiator = createNegotiator({Accept: ["text/html;q=0.5;level=1, application/json;q=2"]});
+
+            expect(negotiator.mediaTypes(["application/json", "text/html"])).to.deep.equal(["text/html"]);
+        });
+
+        it("Should combine multiple Accept headers", () => {
+            const negotiator = createNegotiator({Accept: ["text/html;q=0.5", "application/json"]});
+
+            expect(negotiator.mediaTypes(["text/html", "application/json"])).to.deep.equal(["application/json", "text/html"]);
+        });
+
+        it("Should ignore invalid media ranges", () => {
+            const negotiator = createNegotiator({Accept: ["text, text/html;q=0.5"]});
+
+            expect(negotiator.mediaTypes(["text/html"])).to.deep.equal(["text/html"]);
+        });
+
+        it("Should throw for invalid offered media types", () => {
+            expect(() => createNegotiator({Accept: ["*/*"]}).mediaTypes(["text"])).to.throw(TypeError);
+        });
+    });
+
+    describe("#language()", () => {
+        it("Should return the preferred language", () => {
+            const negotiator = createNegotiator({"Accept-Language": ["da, en-GB;q=0.8, en;q=0.7"]});
+
+            expect(negotiator.language(["en-US", "en-GB", "sv"])).to.equal("en-GB");
+        });
+
+        it("Should return null if no language is acceptable", () => {
+            expect(createNegotiator({"Accept-Language": ["da"]}).language(["en"])).to.be.null;
+        });
+    });
+
+    describe("#languages()", () => {
+        it("Should filter languages by prefix", () => {
+            const negotiator = createNegotiator({"Accept-Language": ["de-DE, en;q=0.5, *;q=0.1, fr;q=0"]});
+
+            expect(negotiator.languages(["fr", "en-US", "EN", "de", "de-DE-1996", "sv"]))
+                .to.deep.equal(["de-DE-1996", "en-US", "EN", "de", "sv"]);
+        });
+    });
+
+    describe("#lookupLanguage()", () => {
+        it("Should progressively truncate language ranges", () => {
+            const negotiator = createNegotiator({"Accept-Language": ["zh-Hant-CN-x-private1-private2, fr;q=0.5"]});
+
+            expect(negotiator.lookupLanguage(["fr", "zh-Hant"])).to.equal("zh-Hant");
+            expect(negotiator.lookupLanguage(["fr", "zh"])).to.equal("zh");
+            expect(negotiator.lookupLanguage(["fr", "zh-CN"])).to.equal("fr");
+        });
+
+        it("Should return the default value if nothing matches", () => {
+            const negotiator = createNegotiator({"Accept-Language": ["de-CH, *"]});
+
+            expect(negotiator.lookupLanguage(["en"])).to.be.null;
+            expect(negotiator.lookupLanguage(["en"], "en")).to.equal("en");
+        });
+
+        it("Should return the first language if no Accept-Language header", () => {
+            expect(createNegotiator({}).lookupLanguage(["en", "sv"])).to.equal("en");
+        });
+    });
+
+    describe("#charset()", () => {
+        it("Should return the preferred charset", () => {
+            const negotiator = createNegotiator({"Accept-Charset": ["iso-8859-5;q=0.5, UTF-8"]});
+
+            expect(negotiator.charset(["iso-8859-5", "utf-8"])).to.equal("utf-8");
+        });
+
+        it("Should match wildcards", () => {
+            const negotiator = createNegotiator({"Accept-Charset": ["utf-8, *;q=0.1"]});
+
+            expect(negotiator.charsets(["iso-8859-1", "utf-8"])).to.deep.equal(["utf-8", "iso-8859-1"]);
+        });
+
+        it("Should return null if no charset is acceptable", () => {
+            expect(createNegotiator({"Accept-Charset": ["utf-8"]}).charset(["iso-8859-1"])).to.be.null;
+        });
+    });
+
+    describe("#encoding()", () => {
+        it("Should return the preferred encoding", () => {
+            const negotiator = createNegotiator({"Accept-Encoding": ["gzip;q=0.8, br"]});
+
+            expect(negotiator.encoding(["gzip", "br", "identity"])).to.equal("br");
+        });
+
+        it("Should accept identity unless excluded", () => {
+            expect(createNegotiator({"Accept-Encoding": ["gzip"]}).encodings(["identity", "br"])).to.deep.equal(["identity"]);
+            expect(createNegotiator({"Accept-Encoding": [""]}).encodings(["gzip", "identity"])).to.deep.equal(["identity"]);
+            expect(createNegotiator({"Accept-Encoding": ["gzip, identity;q=0"]}).encodings(["identity"])).to.be.empty;
+            expect(createNegotiator({"Accept-Encoding": ["gzip, *;q=0"]}).encoding(["identity"])).to.be.null;
+        });
+
+        it("Should prefer listed encodings over implicit identity", () => {
+            const negotiator = createNegotiator({"Accept-Encoding": ["gzip"]});
+
+            expect(negotiator.encodings(["identity", "gzip"])).to.deep.equal(["gzip", "identity"]);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { QueryEncoding, QueryString } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("QueryString", () => {
+    let queryString;
+
+    beforeEach(() => {
+        queryString = new QueryString();
+    });
+
+    describe("#parse()", () => {
+        it("Should parse query parameters", () => {
+            expect(queryString.parse("a=1&b=two%20words&c&d=a+b")).to.deep.equal({a: "1", b: "two words", c: "", d: "a b"});
+        });
+
+        it("Should collect repeated names in arrays", () => {
+            expect(queryString.parse("a=1&a=2&a=3")).to.deep.equal({a: ["1", "2", "3"]});
+        });
+
+        it("Should parse nested parameters", () => {
+            expect(queryString.parse("a[b][]=1&a[b][]=2&a[c]=3&d%5B%5D=4&e[][f]=5"))
+                .to.deep.equal({a: {b: ["1", "2"], c: "3"}, d: ["4"], e: [{f: "5"}]});
+        });
+
+        it("Should overwrite repeated nested names", () => {
+            expect(queryString.parse("a[b]=1&a[b]=2")).to.deep.equal({a: {b: "2"}});
+        });
+
+        it("Should treat malformed brackets as plain names", () => {
+            expect(queryString.parse("a[b=1&[c]=2")).to.deep.equal({"a[b": "1", "[c]": "2"});
+        });
+
+        it("Should ignore prototype keys", () => {
+            const params = queryString.parse("__proto__[polluted]=1&a[__proto__][polluted]=1");
+
+            expect(params).to.deep.equal({});
+            expect({}.polluted).to.be.undefined;
+        });
+
+        it("Should leave malformed sequences as they are", () => {
+            expect(queryString.parse("a=100%")).to.deep.equal({a: "100%"});
+        });
+    });
+
+    describe("#append()", () => {
+        it("Should add values in the same manner as parsing", () => {
+            const params = {};
+            const date = new Date(0);
+
+            queryString.append(params, "a[b][]", "1");
+            queryString.append(params, "a[b][]", "2");
+            queryString.append(params, "c", "3");
+            queryString.append(params, "c", "4");
+            queryString.append(params, "d", date);
+            queryString.append(params, "d[e]", "5");
+            queryString.append(params, "__proto__[polluted]", "1");
+
+            expect(params).to.deep.equal({a: {b: ["1", "2"]}, c: ["3", "4"], d: {e: "5"}});
+            expect({}.polluted).to.be.undefined;
+        });
+    });
+
+    describe("#parsePairs()", () => {
+        it("Should parse name and value pairs in order", () => {
+            expect(queryString.parsePairs("b=1&a=x%3Dy&b=2&&c")).to.deep.equal([["b", "1"], ["a", "x=y"], ["b", "2"], ["c", ""]]);
+        });
+    });
+
+    describe("#stringify()", () => {
+        it("Should build query string", () => {
+            expect(queryString.stringify({a: "1", b: "x&y=z", c: 3, d: true})).to.equal("a=1&b=x%26y%3Dz&c=3&d=true");
+        });
+
+        it("Should build nested parameters", () => {
+            expect(queryString.stringify({a: {b: ["1", "2"]}, c: [{d: "3"}]}))
+                .to.equal("a%5Bb%5D%5B%5D=1&a%5Bb%5D%5B%5D=2&c%5B0%5D%5Bd%5D=3");
+        });
+
+        it("Should omit null and undefined values", () => {
+            expect(queryString.stringify({a: null, b: undefined, c: ""})).to.equal("c=");
+        });
+
+        it("Should encode spaces using the given encoding", () => {
+            expect(queryString.stringify({a: "b c"})).to.equal("a=b%20c");
+            expect(queryString.stringify({a: "b c"}, QueryEncoding.FORM)).to.equal("a=b+c");
+        });
+
+        it("Should produce query strings that parse to the same structure", () => {
+            const params = {a: {b: ["1", "2"], c: "3"}, d: "e f"};
+
+            expect(queryString.parse(queryString.stringify(params, QueryEncoding.FORM))).to.deep.equal(params);
+        });
+    });
+});
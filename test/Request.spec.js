@@ -5,7 +5,7 @@
  * file that was distributed with this source code.
  */
 
-import { HeaderCollection, Request, RequestMethod, Url } from "@moonwalkingbits/apollo-http";
+import { Cookie, HeaderCollection, Request, RequestMethod, Url } from "@moonwalkingbits/apollo-http";
 import { Readable } from "stream";
 import { createRequire } from "module";
 import { messageTests } from "./Message.spec.js";
@@ -62,6 +62,12 @@ describe("Request", () => {
 
             expect(createRequest().headerLine("Host")).to.equal("example.com");
 
+            // Should include non-standard port.
+            headers = new HeaderCollection();
+            url.port = 8080;
+
+            expect(createRequest().headerLine("Host")).to.equal("example.com:8080");
+
             // Should not override existing Host header.
             headers = new HeaderCollection();
             headers.add("Host", "existing-host.com");
@@ -123,6 +129,13 @@ describe("Request", () => {
             expect(request.withUrl(url).headerLine("Host")).to.equal("new-host.com");
         });
 
+        it("Should include non-standard port in host header", () => {
+            const newUrl = new Url("http", null, null, "::1", 8080);
+
+            expect(request.withUrl(newUrl).headerLine("Host")).to.equal("[::1]:8080");
+            expect(request.withUrl(newUrl.withPort(80)).headerLine("Host")).to.equal("[::1]");
+        });
+
         it("Should preserve host header", () => {
             url.host = "new-host.com";
 
@@ -154,6 +167,14 @@ describe("Request", () => {
         it("Should return '/' if no request target or url", () => {
             expect(request.target).to.equal("/");
         });
+
+        it("Should return absolute path of url", () => {
+            url.path = "";
+            expect(createRequest().target).to.equal("/");
+
+            url.path = "path";
+            expect(createRequest().target).to.equal("/path");
+        });
     });
 
     describe("#withTarget()", () => {
@@ -180,4 +201,45 @@ describe("Request", () => {
             expect(Object.is(requestWithTarget, requestWithTarget.withTarget("*"))).to.be.true;
         });
     });
+    describe("#cookies", () => {
+        it("Should return cookies from Cookie header", () => {
+            headers.set("Cookie", ["one=1; two=\"a%20b\"", "three=3"]);
+
+            const cookies = createRequest().cookies;
+
+            expect(cookies).to.have.lengthOf(3);
+            expect(cookies[0]).to.be.instanceof(Cookie);
+            expect(cookies.map(cookie => [cookie.name, cookie.value]))
+                .to.deep.equal([["one", "1"], ["two", "a b"], ["three", "3"]]);
+        });
+
+        it("Should return an empty array if no Cookie header", () => {
+            expect(request.cookies).to.be.an("array").that.is.empty;
+        });
+    });
+
+    describe("#withCookie()", () => {
+        it("Should produce instance with Cookie header", () => {
+            const newRequest = request
+                .withCookie(new Cookie("one", "1"))
+                .withCookie(new Cookie("two", "a;b"));
+
+            expect(newRequest.headerLine("Cookie")).to.equal("one=1; two=a%3Bb");
+        });
+
+        it("Should replace cookie with same name", () => {
+            const newRequest = request
+                .withCookie(new Cookie("one", "1"))
+                .withCookie(new Cookie("two", "2"))
+                .withCookie(new Cookie("one", "3"));
+
+            expect(newRequest.headerLine("Cookie")).to.equal("two=2; one=3");
+        });
+
+        it("Should not mutate instance", () => {
+            request.withCookie(new Cookie("one", "1"));
+
+            expect(request.hasHeader("Cookie")).to.be.false;
+        });
+    });
 });
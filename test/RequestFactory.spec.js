@@ -5,7 +5,7 @@
  * file that was distributed with this source code.
  */
 
-import { Request, RequestFactory, RequestMethod, Url, UrlFactory } from "@moonwalkingbits/apollo-http";
+import { BufferStream, Request, RequestFactory, RequestMethod, Url, UrlFactory } from "@moonwalkingbits/apollo-http";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
@@ -41,5 +41,12 @@ describe("RequestFactory", () => {
 
             expect(Object.is(urlFromFactory, request.url)).to.be.true;
         });
+
+        it("Should create a request with an empty buffer body", () => {
+            const request = requestFactory.createRequest(RequestMethod.GET, url);
+
+            expect(request.body).to.be.instanceof(BufferStream);
+            expect(request.body.size).to.equal(0);
+        });
     });
 });
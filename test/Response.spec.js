@@ -5,7 +5,7 @@
  * file that was distributed with this source code.
  */
 
-import { HeaderCollection, Response, ResponseStatus } from "@moonwalkingbits/apollo-http";
+import { HeaderCollection, Response, ResponseStatus, SetCookie } from "@moonwalkingbits/apollo-http";
 import { Readable } from "stream";
 import { createRequire } from "module";
 import { messageTests } from "./Message.spec.js";
@@ -106,4 +106,45 @@ describe("Response", () => {
             expect(Object.is(response, response.withProtocolVersion(protocolVersion))).to.be.true;
         });
     });
+    describe("#cookies", () => {
+        it("Should return cookies from Set-Cookie headers", () => {
+            const cookies = response
+                .withAddedHeader("Set-Cookie", "one=1; Path=/; HttpOnly")
+                .withAddedHeader("Set-Cookie", "invalid")
+                .withAddedHeader("Set-Cookie", "two=2")
+                .cookies;
+
+            expect(cookies).to.have.lengthOf(2);
+            expect(cookies[0]).to.be.instanceof(SetCookie);
+            expect(cookies[0].path).to.equal("/");
+            expect(cookies[0].httpOnly).to.be.true;
+            expect(cookies[1].name).to.equal("two");
+        });
+    });
+
+    describe("#withCookie()", () => {
+        it("Should produce instance with Set-Cookie header", () => {
+            const newResponse = response
+                .withCookie(new SetCookie("one", "1"))
+                .withCookie(new SetCookie("two", "a b", null, 60));
+
+            expect(newResponse.header("Set-Cookie")).to.deep.equal(["one=1", "two=a%20b; Max-Age=60"]);
+        });
+
+        it("Should replace cookie with same name, domain and path", () => {
+            const cookie = new SetCookie("one", "1").withPath("/");
+            const newResponse = response
+                .withCookie(cookie)
+                .withCookie(cookie.withPath("/other"))
+                .withCookie(cookie.withValue("2"));
+
+            expect(newResponse.header("Set-Cookie")).to.deep.equal(["one=1; Path=/other", "one=2; Path=/"]);
+        });
+
+        it("Should not mutate instance", () => {
+            response.withCookie(new SetCookie("one", "1"));
+
+            expect(response.hasHeader("Set-Cookie")).to.be.false;
+        });
+    });
 });
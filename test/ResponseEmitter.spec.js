@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ResponseEmitter, ResponseFactory, StreamFactory, StringStream } from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+import http from "http";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("ResponseEmitter", () => {
+    const send = (method = "GET") => new Promise((resolve, reject) => {
+        const { port } = server.address();
+
+        http.request({host: "127.0.0.1", port, method}, response => {
+            let body = "";
+
+            response.setEncoding("utf8");
+            response.on("data", chunk => body += chunk);
+            response.on("end", () => resolve({response, body}));
+        })
+            .on("error", reject)
+            .end();
+    });
+
+    let responseFactory;
+    let responseEmitter;
+    let response;
+    let emission;
+    let server;
+
+    beforeEach(done => {
+        responseFactory = new ResponseFactory(new StreamFactory());
+        responseEmitter = new ResponseEmitter();
+        response = responseFactory.createResponse(200);
+        server = http.createServer((request, serverResponse) => {
+            emission = responseEmitter.emit(response, serverResponse);
+            emission.catch(() => {});
+        });
+        server.listen(0, "127.0.0.1", done);
+    });
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    describe("#emit()", () => {
+        it("Should write status code and reason phrase", async () => {
+            response = response.withStatus(418, "Short and stout");
+
+            const { response: incomingMessage } = await send();
+
+            expect(incomingMessage.statusCode).to.equal(418);
+            expect(incomingMessage.statusMessage).to.equal("Short and stout");
+        });
+
+        it("Should write headers and keep repeated values", async () => {
+            response = response
+                .withHeader("Content-Type", "text/plain")
+                .withAddedHeader("Set-Cookie", "one=1")
+                .withAddedHeader("Set-Cookie", "two=2");
+
+            const { response: incomingMessage } = await send();
+
+            expect(incomingMessage.headers["content-type"]).to.equal("text/plain");
+            expect(incomingMessage.headers["set-cookie"]).to.deep.equal(["one=1", "two=2"]);
+        });
+
+        it("Should pipe the body", async () => {
+            response = response.withBody(new StringStream("content"));
+
+            const { body } = await send();
+
+            expect(body).to.equal("content");
+            await emission;
+        });
+
+        it("Should skip the body for HEAD requests", async () => {
+            response = response.withBody(new StringStream("content"));
+
+            const { body } = await send("HEAD");
+
+            expect(body).to.equal("");
+        });
+
+        it("Should skip the body for 204 and 304 responses", async () => {
+            for (const status of [204, 304]) {
+                response = response.withStatus(status).withBody(new StringStream("content"));
+
+                const { response: incomingMessage, body } = await send();
+
+                expect(incomingMessage.statusCode).to.equal(status);
+                expect(body).to.equal("");
+            }
+        });
+
+        it("Should reject when the body fails", async () => {
+            const body = new Readable({read() {}});
+            response = response.withBody(body);
+
+            const sent = send().catch(error => error);
+
+            await new Promise(resolve => server.once("request", () => setImmediate(resolve)));
+            body.destroy(new Error("Failure"));
+
+            let error;
+
+            try {
+                await emission;
+            } catch (caughtError) {
+                error = caughtError;
+            }
+
+            expect(error).to.be.an("error");
+            await sent;
+        });
+
+        it("Should throw if headers are already sent", () => {
+            expect(() => responseEmitter.emit(response, {headersSent: true})).to.throw(Error);
+        });
+    });
+});
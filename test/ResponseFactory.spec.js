@@ -5,7 +5,7 @@
  * file that was distributed with this source code.
  */
 
-import { ResponseFactory, StreamFactory } from "@moonwalkingbits/apollo-http";
+import { ResponseFactory, StreamFactory, Url } from "@moonwalkingbits/apollo-http";
 import { Writable } from "stream";
 import { createRequire } from "module";
 
@@ -36,4 +36,104 @@ describe("ResponseFactory", () => {
             expect(Object.is(streamFromFactory, response.body)).to.be.true;
         });
     });
+
+    describe("#createJsonResponse()", () => {
+        it("Should create a response with a JSON body", () => {
+            const response = responseFactory.createJsonResponse({name: "Jörg"});
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headerLine("Content-Type")).to.equal("application/json; charset=utf-8");
+            expect(response.headerLine("Content-Length")).to.equal("16");
+            expect(streamFactory.createStream.calledWith("{\"name\":\"Jörg\"}")).to.be.true;
+            expect(Object.is(streamFromFactory, response.body)).to.be.true;
+        });
+
+        it("Should use the given status code", () => {
+            expect(responseFactory.createJsonResponse([], 201).statusCode).to.equal(201);
+        });
+
+        it("Should throw for data that cannot be encoded", () => {
+            expect(() => responseFactory.createJsonResponse(undefined)).to.throw(TypeError);
+        });
+    });
+
+    describe("#createHtmlResponse()", () => {
+        it("Should create a response with an HTML body", () => {
+            const response = responseFactory.createHtmlResponse("<p>Not found</p>", 404);
+
+            expect(response.statusCode).to.equal(404);
+            expect(response.headerLine("Content-Type")).to.equal("text/html; charset=utf-8");
+            expect(response.headerLine("Content-Length")).to.equal("16");
+            expect(streamFactory.createStream.calledWith("<p>Not found</p>")).to.be.true;
+        });
+    });
+
+    describe("#createTextResponse()", () => {
+        it("Should create a response with a plain text body", () => {
+            const response = responseFactory.createTextResponse("Hello");
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headerLine("Content-Type")).to.equal("text/plain; charset=utf-8");
+            expect(response.headerLine("Content-Length")).to.equal("5");
+            expect(streamFactory.createStream.calledWith("Hello")).to.be.true;
+        });
+    });
+
+    describe("#createRedirectResponse()", () => {
+        it("Should create a redirect response", () => {
+            const response = responseFactory.createRedirectResponse(new Url("https", null, null, "example.com", null, "/path"));
+
+            expect(response.statusCode).to.equal(302);
+            expect(response.headerLine("Location")).to.equal("https://example.com/path");
+            expect(response.headerLine("Content-Length")).to.equal("0");
+        });
+
+        it("Should accept redirect status codes", () => {
+            for (const statusCode of [301, 302, 303, 307, 308]) {
+                expect(responseFactory.createRedirectResponse("/path", statusCode).statusCode).to.equal(statusCode);
+            }
+        });
+
+        it("Should throw for non redirect status codes", () => {
+            for (const statusCode of [200, 300, 304, 404]) {
+                expect(() => responseFactory.createRedirectResponse("/path", statusCode)).to.throw(RangeError);
+            }
+        });
+    });
+
+    describe("#createEmptyResponse()", () => {
+        it("Should create a no content response", () => {
+            const response = responseFactory.createEmptyResponse();
+
+            expect(response.statusCode).to.equal(204);
+            expect(response.hasHeader("Content-Length")).to.be.false;
+            expect(response.hasHeader("Content-Type")).to.be.false;
+        });
+
+        it("Should set an empty content length for other status codes", () => {
+            expect(responseFactory.createEmptyResponse(304).hasHeader("Content-Length")).to.be.false;
+            expect(responseFactory.createEmptyResponse(202).headerLine("Content-Length")).to.equal("0");
+        });
+    });
+
+    it("Should create all responses through #createResponse()", () => {
+        class ServerResponseFactory extends ResponseFactory {
+            createResponse(statusCode, reasonPhrase) {
+                return super.createResponse(statusCode, reasonPhrase).withHeader("Server", "apollo");
+            }
+        }
+
+        const serverResponseFactory = new ServerResponseFactory(streamFactory);
+        const responses = [
+            serverResponseFactory.createJsonResponse({}),
+            serverResponseFactory.createHtmlResponse(""),
+            serverResponseFactory.createTextResponse(""),
+            serverResponseFactory.createRedirectResponse(new Url("https", null, null, "example.com")),
+            serverResponseFactory.createEmptyResponse()
+        ];
+
+        for (const response of responses) {
+            expect(response.headerLine("Server")).to.equal("apollo");
+        }
+    });
 });
@@ -0,0 +1,241 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { HeaderCollection, RequestMethod, ServerRequest } from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+import { messageTests } from "./Message.spec.js";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+const { createStubInstance } = require("sinon");
+
+describe("Message", () => {
+    beforeEach(function() {
+        this.method = RequestMethod.GET;
+        this.url = {host: ""};
+        this.protocolVersion = "1.1";
+        this.headers = new HeaderCollection();
+        this.body = createStubInstance(Readable);
+        this.createMessage = (p, h, b) => new ServerRequest(
+            this.method,
+            this.url,
+            p || this.protocolVersion,
+            h || this.headers,
+            b || this.body
+        );
+    });
+
+    messageTests(ServerRequest);
+});
+
+describe("ServerRequest", () => {
+    const createRequest = () => new ServerRequest(
+        RequestMethod.GET,
+        url,
+        "1.1",
+        new HeaderCollection(),
+        createStubInstance(Readable),
+        serverParams,
+        cookieParams,
+        queryParams,
+        uploadedFiles,
+        parsedBody,
+        attributes
+    );
+
+    let url;
+    let serverParams;
+    let cookieParams;
+    let queryParams;
+    let uploadedFiles;
+    let parsedBody;
+    let attributes;
+    let request;
+
+    beforeEach(() => {
+        url = {host: "", path: "/", query: ""};
+        serverParams = {remoteAddress: "127.0.0.1"};
+        cookieParams = {session: "abc"};
+        queryParams = {key: "value"};
+        uploadedFiles = {};
+        parsedBody = null;
+        attributes = {id: 1};
+        request = createRequest();
+    });
+
+    describe("#constructor()", () => {
+        it("Should default server side state", () => {
+            const request = new ServerRequest(
+                RequestMethod.GET,
+                url,
+                "1.1",
+                new HeaderCollection(),
+                createStubInstance(Readable)
+            );
+
+            expect(request.serverParams).to.be.an("object").that.is.empty;
+            expect(request.cookieParams).to.be.an("object").that.is.empty;
+            expect(request.queryParams).to.be.an("object").that.is.empty;
+            expect(request.uploadedFiles).to.be.an("object").that.is.empty;
+            expect(request.parsedBody).to.be.null;
+            expect(request.attributes).to.be.an("object").that.is.empty;
+        });
+    });
+
+    describe("#serverParams", () => {
+        it("Should return server params", () => {
+            expect(request.serverParams).to.equal(serverParams);
+        });
+    });
+
+    describe("#withCookieParams()", () => {
+        it("Should produce instance with cookie params", () => {
+            const cookies = {other: "value"};
+
+            expect(request.withCookieParams(cookies).cookieParams).to.equal(cookies);
+        });
+
+        it("Should not mutate instance", () => {
+            request.withCookieParams({});
+
+            expect(request.cookieParams).to.equal(cookieParams);
+        });
+
+        it("Should return same instance for same cookie params", () => {
+            expect(Object.is(request, request.withCookieParams(cookieParams))).to.be.true;
+        });
+    });
+
+    describe("#withQueryParams()", () => {
+        it("Should produce instance with query params", () => {
+            const query = {other: "value"};
+
+            expect(request.withQueryParams(query).queryParams).to.equal(query);
+        });
+
+        it("Should not mutate instance", () => {
+            request.withQueryParams({});
+
+            expect(request.queryParams).to.equal(queryParams);
+        });
+
+        it("Should return same instance for same query params", () => {
+            expect(Object.is(request, request.withQueryParams(queryParams))).to.be.true;
+        });
+    });
+
+    describe("#withUploadedFiles()", () => {
+        it("Should produce instance with uploaded files", () => {
+            const files = {avatar: {}};
+
+            expect(request.withUploadedFiles(files).uploadedFiles).to.equal(files);
+        });
+
+        it("Should not mutate instance", () => {
+            request.withUploadedFiles({avatar: {}});
+
+            expect(request.uploadedFiles).to.equal(uploadedFiles);
+        });
+
+        it("Should return same instance for same uploaded files", () => {
+            expect(Object.is(request, request.withUploadedFiles(uploadedFiles))).to.be.true;
+        });
+    });
+
+    describe("#withParsedBody()", () => {
+        it("Should produce instance with parsed body", () => {
+            const body = {key: "value"};
+
+            expect(request.withParsedBody(body).parsedBody).to.equal(body);
+            expect(request.withParsedBody(body).withParsedBody(null).parsedBody).to.be.null;
+        });
+
+        it("Should not mutate instance", () => {
+            request.withParsedBody({key: "value"});
+
+            expect(request.parsedBody).to.be.null;
+        });
+
+        it("Should return same instance for same parsed body", () => {
+            expect(Object.is(request, request.withParsedBody(null))).to.be.true;
+        });
+
+        it("Should throw for unsupported types", () => {
+            expect(() => request.withParsedBody("body")).to.throw(TypeError);
+        });
+    });
+
+    describe("#attribute()", () => {
+        it("Should return attribute value", () => {
+            expect(request.attribute("id")).to.equal(1);
+        });
+
+        it("Should return default value if attribute does not exist", () => {
+            expect(request.attribute("missing")).to.be.null;
+            expect(request.attribute("missing", "default")).to.equal("default");
+        });
+    });
+
+    describe("#withAttribute()", () => {
+        it("Should produce instance with attribute", () => {
+            const newRequest = request.withAttribute("user", "john");
+
+            expect(newRequest.attribute("user")).to.equal("john");
+            expect(newRequest.attribute("id")).to.equal(1);
+        });
+
+        it("Should not mutate instance", () => {
+            request.withAttribute("user", "john");
+
+            expect(request.attribute("user")).to.be.null;
+            expect(attributes).to.not.have.property("user");
+        });
+
+        it("Should return same instance for same attribute", () => {
+            expect(Object.is(request, request.withAttribute("id", 1))).to.be.true;
+        });
+    });
+
+    describe("#withoutAttribute()", () => {
+        it("Should produce instance without attribute", () => {
+            expect(request.withoutAttribute("id").attributes).to.not.have.property("id");
+        });
+
+        it("Should not mutate instance", () => {
+            request.withoutAttribute("id");
+
+            expect(request.attribute("id")).to.equal(1);
+        });
+
+        it("Should return same instance if attribute not present", () => {
+            expect(Object.is(request, request.withoutAttribute("missing"))).to.be.true;
+        });
+    });
+
+    describe("#withMethod()", () => {
+        it("Should retain server side state", () => {
+            const newRequest = request.withMethod(RequestMethod.POST);
+
+            expect(newRequest).to.be.instanceof(ServerRequest);
+            expect(newRequest.serverParams).to.equal(serverParams);
+            expect(newRequest.cookieParams).to.equal(cookieParams);
+            expect(newRequest.queryParams).to.equal(queryParams);
+            expect(newRequest.attributes).to.equal(attributes);
+        });
+    });
+
+    describe("#withTarget()", () => {
+        it("Should retain server side state", () => {
+            const newRequest = request.withAttribute("user", "john").withTarget("*");
+
+            expect(newRequest).to.be.instanceof(ServerRequest);
+            expect(newRequest.target).to.equal("*");
+            expect(newRequest.attribute("user")).to.equal("john");
+        });
+    });
+});
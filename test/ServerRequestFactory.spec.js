@@ -0,0 +1,148 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { RequestMethod, ServerRequest, ServerRequestFactory, Url, UrlFactory } from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { createStubInstance } = require("sinon");
+const { expect } = require("chai");
+
+describe("ServerRequestFactory", () => {
+    const createIncomingMessage = () => Object.assign(new Readable({read() {}}), {
+        method: "POST",
+        url: "/path?key=value&list=one&list=two",
+        httpVersion: "1.0",
+        rawHeaders: [
+            "Host", "Example.com:8080",
+            "Cookie", "session=abc; theme=\"dark\"",
+            "X-Forwarded-For", "10.0.0.1",
+            "x-forwarded-for", "10.0.0.2"
+        ],
+        socket: {
+            encrypted: false,
+            remoteAddress: "127.0.0.1",
+            remotePort: 51234,
+            localAddress: "127.0.0.2",
+            localPort: 8080
+        }
+    });
+
+    let urlFactory;
+    let serverRequestFactory;
+
+    beforeEach(() => {
+        urlFactory = new UrlFactory();
+        serverRequestFactory = new ServerRequestFactory(urlFactory);
+    });
+
+    describe("#createServerRequest()", () => {
+        it("Should create a server request with URL instance", () => {
+            const url = createStubInstance(Url);
+            const serverParams = {remoteAddress: "127.0.0.1"};
+            const request = serverRequestFactory.createServerRequest(RequestMethod.GET, url, serverParams);
+
+            expect(request).to.be.instanceof(ServerRequest);
+            expect(Object.is(url, request.url)).to.be.true;
+            expect(request.serverParams).to.equal(serverParams);
+        });
+
+        it("Should create a server request with URL string", () => {
+            const request = serverRequestFactory.createServerRequest(RequestMethod.GET, "http://example.com");
+
+            expect(request.url.toString()).to.equal("http://example.com");
+        });
+    });
+
+    describe("#fromIncomingMessage()", () => {
+        it("Should create a server request from an incoming message", () => {
+            const incomingMessage = createIncomingMessage();
+            const request = serverRequestFactory.fromIncomingMessage(incomingMessage);
+
+            expect(request).to.be.instanceof(ServerRequest);
+            expect(request.method).to.equal("POST");
+            expect(request.protocolVersion).to.equal("1.0");
+            expect(request.target).to.equal("/path?key=value&list=one&list=two");
+            expect(Object.is(incomingMessage, request.body)).to.be.true;
+        });
+
+        it("Should build the URL from the Host header", () => {
+            const request = serverRequestFactory.fromIncomingMessage(createIncomingMessage());
+
+            expect(request.url.toString()).to.equal("http://example.com:8080/path?key=value&list=one&list=two");
+        });
+
+        it("Should use https for encrypted connections", () => {
+            const incomingMessage = createIncomingMessage();
+            incomingMessage.socket.encrypted = true;
+            incomingMessage.rawHeaders[1] = "example.com";
+
+            expect(serverRequestFactory.fromIncomingMessage(incomingMessage).url.toString())
+                .to.equal("https://example.com/path?key=value&list=one&list=two");
+        });
+
+        it("Should throw for invalid Host headers", () => {
+            const incomingMessage = createIncomingMessage();
+            incomingMessage.rawHeaders[1] = "exa mple.com";
+
+            expect(() => serverRequestFactory.fromIncomingMessage(incomingMessage)).to.throw(TypeError);
+        });
+
+        it("Should use absolute-form targets as URL", () => {
+            const incomingMessage = createIncomingMessage();
+            incomingMessage.url = "http://other.com/path";
+
+            expect(serverRequestFactory.fromIncomingMessage(incomingMessage).url.host).to.equal("other.com");
+        });
+
+        it("Should copy raw headers", () => {
+            const request = serverRequestFactory.fromIncomingMessage(createIncomingMessage());
+
+            expect(request.headerLine("Host")).to.equal("Example.com:8080");
+            expect(request.header("X-Forwarded-For")).to.deep.equal(["10.0.0.1", "10.0.0.2"]);
+            expect(request.headers).to.have.property("X-Forwarded-For");
+        });
+
+        it("Should populate server params", () => {
+            const request = serverRequestFactory.fromIncomingMessage(createIncomingMessage());
+
+            expect(request.serverParams).to.deep.equal({
+                remoteAddress: "127.0.0.1",
+                remotePort: 51234,
+                localAddress: "127.0.0.2",
+                localPort: 8080
+            });
+        });
+
+        it("Should populate query and cookie params", () => {
+            const request = serverRequestFactory.fromIncomingMessage(createIncomingMessage());
+
+            expect(request.queryParams).to.deep.equal({key: "value", list: ["one", "two"]});
+            expect(request.cookieParams).to.deep.equal({session: "abc", theme: "dark"});
+        });
+
+        it("Should keep the header order and first occurrence of cookies", () => {
+            const incomingMessage = createIncomingMessage();
+
+            incomingMessage.rawHeaders = ["Cookie", "c=1; a=2; c=3", "Cookie", "b=4; a=5"];
+
+            const { cookieParams } = serverRequestFactory.fromIncomingMessage(incomingMessage);
+
+            expect(Object.keys(cookieParams)).to.deep.equal(["c", "a", "b"]);
+            expect(cookieParams).to.deep.equal({c: "1", a: "2", b: "4"});
+        });
+
+        it("Should parse nested query params", () => {
+            const incomingMessage = createIncomingMessage();
+            incomingMessage.url = "/path?filter[tags][]=one&filter[tags][]=two&filter[name]=a+b";
+
+            expect(serverRequestFactory.fromIncomingMessage(incomingMessage).queryParams)
+                .to.deep.equal({filter: {tags: ["one", "two"], name: "a b"}});
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { SameSite, SetCookie } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("SetCookie", () => {
+    let cookie;
+
+    beforeEach(() => {
+        cookie = new SetCookie("name", "value");
+    });
+
+    describe("#constructor()", () => {
+        it("Should throw for invalid attribute values", () => {
+            expect(() => new SetCookie("name", "value", new Date("invalid"))).to.throw(TypeError);
+            expect(() => new SetCookie("name", "value", null, 1.5)).to.throw(TypeError);
+            expect(() => new SetCookie("name", "value", null, null, "example.com;")).to.throw(TypeError);
+            expect(() => new SetCookie("name", "value", null, null, null, "/path\n")).to.throw(TypeError);
+        });
+    });
+
+    describe("#withValue()", () => {
+        it("Should retain attributes", () => {
+            const newCookie = cookie.withPath("/").withSecure().withValue("other");
+
+            expect(newCookie).to.be.instanceof(SetCookie);
+            expect(newCookie.path).to.equal("/");
+            expect(newCookie.secure).to.be.true;
+        });
+    });
+
+    for (const [ method, property, value ] of [
+        ["withExpires", "expires", new Date(0)],
+        ["withMaxAge", "maxAge", 60],
+        ["withDomain", "domain", "example.com"],
+        ["withPath", "path", "/path"],
+        ["withSecure", "secure", true],
+        ["withHttpOnly", "httpOnly", true],
+        ["withSameSite", "sameSite", SameSite.LAX],
+        ["withPartitioned", "partitioned", true]
+    ]) {
+        describe(`#${method}()`, () => {
+            it(`Should produce instance with given ${property}`, () => {
+                const newCookie = cookie[method](value);
+
+                expect(newCookie[property]).to.equal(value);
+                expect(newCookie.name).to.equal("name");
+                expect(newCookie.value).to.equal("value");
+            });
+
+            it("Should not mutate instance", () => {
+                const initialValue = cookie[property];
+
+                cookie[method](value);
+
+                expect(cookie[property]).to.equal(initialValue);
+            });
+
+            it("Should return same instance if nothing changes", () => {
+                const newCookie = cookie[method](value);
+
+                expect(newCookie[method](value)).to.equal(newCookie);
+            });
+        });
+    }
+
+    describe("#toString()", () => {
+        it("Should return cookie pair without attributes", () => {
+            expect(cookie.toString()).to.equal("name=value");
+        });
+
+        it("Should include attributes", () => {
+            const newCookie = new SetCookie(
+                "name",
+                "value",
+                new Date(Date.UTC(2020, 0, 1)),
+                0,
+                "example.com",
+                "/",
+                true,
+                true,
+                SameSite.STRICT,
+                true
+            );
+
+            expect(newCookie.toString()).to.equal(
+                "name=value; Expires=Wed, 01 Jan 2020 00:00:00 GMT; Max-Age=0; Domain=example.com; Path=/; " +
+                "Secure; HttpOnly; SameSite=Strict; Partitioned"
+            );
+        });
+    });
+});
@@ -5,13 +5,33 @@
  * file that was distributed with this source code.
  */
 
-import { StreamFactory } from "@moonwalkingbits/apollo-http";
+import { BufferStream, FileStream, StreamFactory } from "@moonwalkingbits/apollo-http";
+import { Readable } from "stream";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
 const { expect } = require("chai");
 
-describe("StringStream", () => {
+// Web streams are available from Node.js 16.5.
+const WebReadableStream = globalThis.ReadableStream || (() => {
+    try {
+        return require("stream/web").ReadableStream;
+    } catch (error) {
+        return null;
+    }
+})();
+
+describe("StreamFactory", () => {
+    const read = async stream => {
+        const chunks = [];
+
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    };
+
     let streamFactory;
 
     beforeEach(() => {
@@ -22,7 +42,112 @@ describe("StringStream", () => {
         it("should create a stream from a string", () => {
             const stream = streamFactory.createStream("content");
 
+            expect(stream).to.be.instanceof(BufferStream);
             expect(stream.read(7).toString()).to.equal("content");
         });
+
+        it("should create a stream from a buffer", () => {
+            const stream = streamFactory.createStream(Buffer.from([0x00, 0xff]));
+
+            expect(stream.read(2)).to.deep.equal(Buffer.from([0x00, 0xff]));
+        });
+    });
+
+    describe("#createStreamFromFile()", () => {
+        it("should create a stream from a file", async () => {
+            const stream = streamFactory.createStreamFromFile("test/fixtures/content.txt");
+
+            expect(stream).to.be.instanceof(FileStream);
+            expect((await read(stream)).toString()).to.equal("content");
+        });
+    });
+
+    describe("#createStreamFromBuffer()", () => {
+        it("should create a stream from a buffer", () => {
+            const stream = streamFactory.createStreamFromBuffer(Buffer.from([0x00, 0xff]));
+
+            expect(stream).to.be.instanceof(BufferStream);
+            expect(stream.read(2)).to.deep.equal(Buffer.from([0x00, 0xff]));
+        });
+    });
+
+    describe("#createStreamFromIterable()", () => {
+        it("should create a stream from an async iterable", async () => {
+            const stream = streamFactory.createStreamFromIterable((async function* () {
+                yield "con";
+                yield Buffer.from("tent");
+            })());
+
+            expect(stream).to.be.instanceof(Readable);
+            expect(await read(stream)).to.deep.equal(Buffer.from("content"));
+        });
+    });
+
+    describe("#createStreamFromWebStream()", () => {
+        before(function () {
+            if (!WebReadableStream) {
+                this.skip();
+            }
+        });
+
+        it("should create a stream from a web stream", async () => {
+            const webStream = new WebReadableStream({
+                start(controller) {
+                    controller.enqueue(new Uint8Array([0x00, 0xff]));
+                    controller.enqueue(new Uint8Array([0x80]));
+                    controller.close();
+                }
+            });
+
+            expect(await read(streamFactory.createStreamFromWebStream(webStream)))
+                .to.deep.equal(Buffer.from([0x00, 0xff, 0x80]));
+        });
+
+        it("should cancel web stream when destroyed", async () => {
+            let canceled = false;
+            const webStream = new WebReadableStream({
+                pull(controller) {
+                    controller.enqueue(new Uint8Array([0x00]));
+                },
+                cancel() {
+                    canceled = true;
+                }
+            });
+
+            for await (const chunk of streamFactory.createStreamFromWebStream(webStream)) {
+                break;
+            }
+
+            expect(canceled).to.be.true;
+        });
+    });
+
+    describe("#createWebStream()", () => {
+        before(function () {
+            if (!WebReadableStream) {
+                this.skip();
+            }
+        });
+
+        it("should create a web stream from a stream", async () => {
+            const reader = streamFactory.createWebStream(new BufferStream("content")).getReader();
+            const chunks = [];
+            let result;
+
+            while (!(result = await reader.read()).done) {
+                chunks.push(result.value);
+            }
+
+            expect(chunks.every(chunk => chunk instanceof Uint8Array)).to.be.true;
+            expect(Buffer.concat(chunks).toString()).to.equal("content");
+        });
+
+        it("should destroy stream when canceled", async () => {
+            const stream = new BufferStream("content");
+
+            await streamFactory.createWebStream(stream).cancel();
+
+            expect(stream.destroyed).to.be.true;
+        });
     });
 });
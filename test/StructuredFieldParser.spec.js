@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    StructuredFieldParseError,
+    StructuredFieldParser,
+    StructuredFieldType,
+    StructuredInnerList,
+    StructuredItem,
+    Token
+} from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("StructuredFieldParser", () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new StructuredFieldParser();
+    });
+
+    describe("#parse()", () => {
+        it("Should parse bare items", () => {
+            const parse = value => parser.parse(value, StructuredFieldType.ITEM).value;
+
+            expect(parse("42")).to.equal(42);
+            expect(parse("-42")).to.equal(-42);
+            expect(parse("999999999999999")).to.equal(999999999999999);
+            expect(parse("4.5")).to.equal(4.5);
+            expect(parse("-0.001")).to.equal(-0.001);
+            expect(parse("\"say \\\"hi\\\" \\\\o/\"")).to.equal("say \"hi\" \\o/");
+            expect(parse("*foo/bar:baz").value).to.equal("*foo/bar:baz");
+            expect(parse(":cHJldGVuZCB0aGlzIGlzIGJpbmFyeSBjb250ZW50Lg==:").toString())
+                .to.equal("pretend this is binary content.");
+            expect(parse("?1")).to.be.true;
+            expect(parse("?0")).to.be.false;
+        });
+
+        it("Should parse items with parameters", () => {
+            const item = parser.parse("  text/html;q=0.5;level;*x=\"y\"  ", "item");
+
+            expect(item).to.be.instanceof(StructuredItem);
+            expect(item.value).to.be.instanceof(Token);
+            expect(item.value.value).to.equal("text/html");
+            expect(item.parameters).to.deep.equal({q: 0.5, level: true, "*x": "y"});
+        });
+
+        it("Should parse lists", () => {
+            const list = parser.parse("sugar, tea,\trum;a=1, (\"foo\" \"bar\");lvl=5, ()", "list");
+
+            expect(list).to.have.lengthOf(5);
+            expect(list.slice(0, 3).map(item => item.value.value)).to.deep.equal(["sugar", "tea", "rum"]);
+            expect(list[2].parameters).to.deep.equal({a: 1});
+            expect(list[3]).to.be.instanceof(StructuredInnerList);
+            expect(list[3].items.map(item => item.value)).to.deep.equal(["foo", "bar"]);
+            expect(list[3].parameters).to.deep.equal({lvl: 5});
+            expect(list[4].items).to.be.empty;
+        });
+
+        it("Should parse empty lists", () => {
+            expect(parser.parse("", "list")).to.deep.equal([]);
+        });
+
+        it("Should parse dictionaries", () => {
+            const dictionary = parser.parse("u=1, i, fwd=uri-miss;detail=\"x\", a=(1 2), u=3", "dictionary");
+
+            expect(Object.keys(dictionary)).to.deep.equal(["u", "i", "fwd", "a"]);
+            expect(dictionary.u.value).to.equal(3);
+            expect(dictionary.i.value).to.be.true;
+            expect(dictionary.fwd.value.value).to.equal("uri-miss");
+            expect(dictionary.fwd.parameter("detail")).to.equal("x");
+            expect(dictionary.a.items.map(item => item.value)).to.deep.equal([1, 2]);
+        });
+
+        it("Should parse boolean dictionary members with parameters", () => {
+            const dictionary = parser.parse("a;b=2", "dictionary");
+
+            expect(dictionary.a.value).to.be.true;
+            expect(dictionary.a.parameters).to.deep.equal({b: 2});
+        });
+
+        it("Should throw for invalid values", () => {
+            const invalidValues = [
+                ["", "item"],
+                ["1 2", "item"],
+                ["1000000000000000", "item"],
+                ["1.", "item"],
+                ["1.2345", "item"],
+                ["1234567890123.4", "item"],
+                ["\"unterminated", "item"],
+                ["\"tab\t\"", "item"],
+                ["\"\\x\"", "item"],
+                [":invalid base64:", "item"],
+                ["?2", "item"],
+                ["1;A=1", "item"],
+                ["@", "item"],
+                ["1,", "list"],
+                ["1,,2", "list"],
+                ["(1 2", "list"],
+                ["(1,2)", "list"],
+                ["A=1", "dictionary"],
+                ["a=1;", "dictionary"]
+            ];
+
+            for (const [ value, type ] of invalidValues) {
+                expect(() => parser.parse(value, type), value).to.throw(StructuredFieldParseError);
+            }
+        });
+
+        it("Should report position of parse errors", () => {
+            expect(() => parser.parse("a, b c", "list"))
+                .to.throw(StructuredFieldParseError)
+                .with.property("position", 5);
+        });
+
+        it("Should throw for unknown types", () => {
+            expect(() => parser.parse("1", "unknown")).to.throw(TypeError);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    StructuredFieldParser,
+    StructuredFieldSerializer,
+    StructuredInnerList,
+    StructuredItem,
+    Token
+} from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("StructuredFieldSerializer", () => {
+    let serializer;
+
+    beforeEach(() => {
+        serializer = new StructuredFieldSerializer();
+    });
+
+    describe("#serialize()", () => {
+        it("Should serialize bare items", () => {
+            expect(serializer.serialize(42)).to.equal("42");
+            expect(serializer.serialize(-0)).to.equal("0");
+            expect(serializer.serialize(4.5)).to.equal("4.5");
+            expect(serializer.serialize(2.0625)).to.equal("2.062");
+            expect(serializer.serialize(2.1875)).to.equal("2.188");
+            expect(serializer.serialize(1.00001)).to.equal("1.0");
+            expect(serializer.serialize(-2.33333)).to.equal("-2.333");
+            expect(serializer.serialize("say \"hi\" \\o/")).to.equal("\"say \\\"hi\\\" \\\\o/\"");
+            expect(serializer.serialize(new Token("*foo/bar"))).to.equal("*foo/bar");
+            expect(serializer.serialize(Buffer.from("hello"))).to.equal(":aGVsbG8=:");
+            expect(serializer.serialize(true)).to.equal("?1");
+            expect(serializer.serialize(false)).to.equal("?0");
+        });
+
+        it("Should serialize items with parameters", () => {
+            const item = new StructuredItem(new Token("text/html"), {q: 0.5, level: true, x: false});
+
+            expect(serializer.serialize(item)).to.equal("text/html;q=0.5;level;x=?0");
+        });
+
+        it("Should serialize lists", () => {
+            const list = [
+                new Token("sugar"),
+                new StructuredItem(new Token("rum"), {a: 1}),
+                new StructuredInnerList([new StructuredItem("foo"), new StructuredItem("bar")], {lvl: 5}),
+                new StructuredInnerList([])
+            ];
+
+            expect(serializer.serialize(list)).to.equal("sugar, rum;a=1, (\"foo\" \"bar\");lvl=5, ()");
+            expect(serializer.serialize([])).to.equal("");
+        });
+
+        it("Should serialize dictionaries", () => {
+            const dictionary = {
+                u: 1,
+                i: true,
+                fwd: new StructuredItem(new Token("uri-miss"), {detail: "x"}),
+                flag: new StructuredItem(true, {b: 2}),
+                a: new StructuredInnerList([new StructuredItem(1), new StructuredItem(2)])
+            };
+
+            expect(serializer.serialize(dictionary)).to.equal("u=1, i, fwd=uri-miss;detail=\"x\", flag;b=2, a=(1 2)");
+            expect(serializer.serialize({})).to.equal("");
+        });
+
+        it("Should produce values that parse to the same structure", () => {
+            const value = "a=(1 2.5 \"x\");p=?0, b=:AQID:, c";
+            const dictionary = new StructuredFieldParser().parse(value, "dictionary");
+
+            expect(serializer.serialize(dictionary)).to.equal(value);
+        });
+
+        it("Should throw for values that cannot be serialized", () => {
+            const invalidValues = [
+                1000000000000000,
+                1e12 + 0.5,
+                NaN,
+                Infinity,
+                "non-ascii ü",
+                "line\nbreak",
+                null,
+                undefined,
+                new Date(),
+                [[1, 2]],
+                {Upper: 1},
+                new StructuredItem(1, {"in valid": 1}),
+                new StructuredInnerList([new StructuredInnerList([])])
+            ];
+
+            for (const value of invalidValues) {
+                expect(() => serializer.serialize(value), String(value)).to.throw(TypeError);
+            }
+        });
+    });
+});
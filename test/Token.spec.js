@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Token } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("Token", () => {
+    describe("#constructor()", () => {
+        it("Should throw for invalid tokens", () => {
+            expect(() => new Token("")).to.throw(TypeError);
+            expect(() => new Token("1abc")).to.throw(TypeError);
+            expect(() => new Token("a b")).to.throw(TypeError);
+            expect(() => new Token("a\"b")).to.throw(TypeError);
+        });
+    });
+
+    describe("#value", () => {
+        it("Should return token value", () => {
+            expect(new Token("*foo/bar:baz").value).to.equal("*foo/bar:baz");
+        });
+    });
+
+    describe("#equals()", () => {
+        it("Should compare tokens case-sensitively", () => {
+            expect(new Token("foo").equals(new Token("foo"))).to.be.true;
+            expect(new Token("foo").equals(new Token("Foo"))).to.be.false;
+            expect(new Token("foo").equals("foo")).to.be.false;
+        });
+    });
+
+    describe("#toString()", () => {
+        it("Should return token value", () => {
+            expect(String(new Token("foo"))).to.equal("foo");
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { UploadError, UploadedFile } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("UploadedFile", () => {
+    let temporaryDirectory;
+
+    beforeEach(async () => {
+        temporaryDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "uploaded-file-"));
+    });
+
+    afterEach(async () => {
+        for (const file of await fs.promises.readdir(temporaryDirectory)) {
+            await fs.promises.unlink(path.join(temporaryDirectory, file));
+        }
+
+        await fs.promises.rmdir(temporaryDirectory);
+    });
+
+    describe("#stream", () => {
+        it("Should stream content held in memory", done => {
+            const chunks = [];
+            const stream = new UploadedFile(Buffer.from("content"), 7).stream;
+
+            stream.on("data", chunk => chunks.push(chunk));
+            stream.on("end", () => {
+                expect(Buffer.concat(chunks).toString()).to.equal("content");
+                done();
+            });
+        });
+
+        it("Should throw for failed uploads", () => {
+            expect(() => new UploadedFile(null, null, UploadError.FILE_TOO_LARGE).stream).to.throw(Error);
+        });
+    });
+
+    describe("#moveTo()", () => {
+        it("Should write content held in memory", async () => {
+            const file = new UploadedFile(Buffer.from("content"), 7);
+            const targetPath = path.join(temporaryDirectory, "target.txt");
+
+            await file.moveTo(targetPath);
+
+            expect(await fs.promises.readFile(targetPath, "utf8")).to.equal("content");
+        });
+
+        it("Should move files on disk", async () => {
+            const sourcePath = path.join(temporaryDirectory, "source.txt");
+            const targetPath = path.join(temporaryDirectory, "target.txt");
+
+            await fs.promises.writeFile(sourcePath, "content");
+            await new UploadedFile(sourcePath, 7).moveTo(targetPath);
+
+            expect(await fs.promises.readdir(temporaryDirectory)).to.deep.equal(["target.txt"]);
+        });
+
+        it("Should keep the file available when moving fails", async () => {
+            const sourcePath = path.join(temporaryDirectory, "source.txt");
+            const missingPath = path.join(temporaryDirectory, "missing", "target.txt");
+
+            await fs.promises.writeFile(sourcePath, "content");
+
+            for (const file of [new UploadedFile(Buffer.from("content"), 7), new UploadedFile(sourcePath, 7)]) {
+                const targetPath = path.join(temporaryDirectory, "target.txt");
+                let error;
+
+                try {
+                    await file.moveTo(missingPath);
+                } catch (caughtError) {
+                    error = caughtError;
+                }
+
+                expect(error).to.be.an("error");
+
+                await file.moveTo(targetPath);
+
+                expect(await fs.promises.readFile(targetPath, "utf8")).to.equal("content");
+
+                await fs.promises.unlink(targetPath);
+            }
+        });
+
+        it("Should only move once", async () => {
+            const file = new UploadedFile(Buffer.from("content"), 7);
+            let error;
+
+            await file.moveTo(path.join(temporaryDirectory, "target.txt"));
+
+            try {
+                await file.moveTo(path.join(temporaryDirectory, "other.txt"));
+            } catch (caughtError) {
+                error = caughtError;
+            }
+
+            expect(error).to.be.an("error");
+            expect(() => file.stream).to.throw(Error);
+        });
+    });
+});
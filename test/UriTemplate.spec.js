@@ -0,0 +1,224 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { UriTemplate, UriTemplateError, Url, UrlFactory } from "@moonwalkingbits/apollo-http";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("UriTemplate", () => {
+    const variables = {
+        count: ["one", "two", "three"],
+        dom: ["example", "com"],
+        dub: "me/too",
+        hello: "Hello World!",
+        half: "50%",
+        var: "value",
+        who: "fred",
+        base: "http://example.com/home/",
+        path: "/foo/bar",
+        list: ["red", "green", "blue"],
+        keys: {semi: ";", dot: ".", comma: ","},
+        v: "6",
+        x: "1024",
+        y: "768",
+        empty: "",
+        "empty_keys": [],
+        undef: null
+    };
+
+    let urlFactory;
+
+    beforeEach(() => {
+        urlFactory = new UrlFactory();
+    });
+
+    describe("#constructor()", () => {
+        it("Should throw for malformed templates", () => {
+            const tests = [
+                ["/path/{var", 6],
+                ["/path/var}", 9],
+                ["{var}}", 5],
+                ["{a b}", 1],
+                ["{=var}", 1],
+                ["{x,y z}", 3],
+                ["{var:0}", 1],
+                ["{var:10000}", 1],
+                ["{var*:3}", 1]
+            ];
+
+            for (const [ template, position ] of tests) {
+                let error = null;
+
+                try {
+                    new UriTemplate(template, urlFactory);
+                } catch (thrownError) {
+                    error = thrownError;
+                }
+
+                expect(error, template).to.be.instanceof(UriTemplateError);
+                expect(error.position, template).to.equal(position);
+            }
+        });
+    });
+
+    describe("#variableNames", () => {
+        it("Should return unique variable names", () => {
+            const template = new UriTemplate("/{a}{/b,c*}{?a,d:3}", urlFactory);
+
+            expect(template.variableNames).to.deep.equal(["a", "b", "c", "d"]);
+        });
+    });
+
+    describe("#expand()", () => {
+        it("Should return a URL", () => {
+            const url = new UriTemplate("https://example.com/users/{id}{?fields*}", urlFactory)
+                .expand({id: 42, fields: ["name", "email"]});
+
+            expect(url).to.be.instanceof(Url);
+            expect(url.host).to.equal("example.com");
+            expect(url.path).to.equal("/users/42");
+            expect(url.query).to.equal("fields=name&fields=email");
+        });
+
+        it("Should expand templates according to RFC 6570", () => {
+            const tests = [
+                ["{count}", "one,two,three"],
+                ["{count*}", "one,two,three"],
+                ["{/count}", "/one,two,three"],
+                ["{/count*}", "/one/two/three"],
+                ["{;count}", ";count=one,two,three"],
+                ["{;count*}", ";count=one;count=two;count=three"],
+                ["{?count}", "?count=one,two,three"],
+                ["{?count*}", "?count=one&count=two&count=three"],
+                ["{&count*}", "&count=one&count=two&count=three"],
+                ["{var}", "value"],
+                ["{hello}", "Hello%20World%21"],
+                ["{half}", "50%25"],
+                ["O{empty}X", "OX"],
+                ["O{undef}X", "OX"],
+                ["{x,y}", "1024,768"],
+                ["{x,hello,y}", "1024,Hello%20World%21,768"],
+                ["?{x,empty}", "?1024,"],
+                ["?{x,undef}", "?1024"],
+                ["?{undef,y}", "?768"],
+                ["{var:3}", "val"],
+                ["{var:30}", "value"],
+                ["{list}", "red,green,blue"],
+                ["{list*}", "red,green,blue"],
+                ["{keys}", "semi,%3B,dot,.,comma,%2C"],
+                ["{keys*}", "semi=%3B,dot=.,comma=%2C"],
+                ["{+var}", "value"],
+                ["{+hello}", "Hello%20World!"],
+                ["{+half}", "50%25"],
+                ["{base}index", "http%3A%2F%2Fexample.com%2Fhome%2Findex"],
+                ["{+base}index", "http://example.com/home/index"],
+                ["O{+empty}X", "OX"],
+                ["{+path}/here", "/foo/bar/here"],
+                ["here?ref={+path}", "here?ref=/foo/bar"],
+                ["up{+path}{var}/here", "up/foo/barvalue/here"],
+                ["{+x,hello,y}", "1024,Hello%20World!,768"],
+                ["{+path,x}/here", "/foo/bar,1024/here"],
+                ["{+path:6}/here", "/foo/b/here"],
+                ["{+list}", "red,green,blue"],
+                ["{+keys}", "semi,;,dot,.,comma,,"],
+                ["{+keys*}", "semi=;,dot=.,comma=,"],
+                ["{#var}", "#value"],
+                ["{#hello}", "#Hello%20World!"],
+                ["{#half}", "#50%25"],
+                ["foo{#undef}", "foo"],
+                ["{#x,hello,y}", "#1024,Hello%20World!,768"],
+                ["{#path,x}/here", "#/foo/bar,1024/here"],
+                ["{#path:6}/here", "#/foo/b/here"],
+                ["{#list*}", "#red,green,blue"],
+                ["{#keys*}", "#semi=;,dot=.,comma=,"],
+                ["{.who}", ".fred"],
+                ["{.who,who}", ".fred.fred"],
+                ["{.half,who}", ".50%25.fred"],
+                ["www{.dom*}", "www.example.com"],
+                ["X{.var}", "X.value"],
+                ["X{.empty}", "X."],
+                ["X{.undef}", "X"],
+                ["X{.var:3}", "X.val"],
+                ["X{.list}", "X.red,green,blue"],
+                ["X{.list*}", "X.red.green.blue"],
+                ["X{.keys}", "X.semi,%3B,dot,.,comma,%2C"],
+                ["X{.keys*}", "X.semi=%3B.dot=..comma=%2C"],
+                ["X{.empty_keys}", "X"],
+                ["{/who}", "/fred"],
+                ["{/who,who}", "/fred/fred"],
+                ["{/half,who}", "/50%25/fred"],
+                ["{/who,dub}", "/fred/me%2Ftoo"],
+                ["{/var}", "/value"],
+                ["{/var,empty}", "/value/"],
+                ["{/var,undef}", "/value"],
+                ["{/var,x}/here", "/value/1024/here"],
+                ["{/var:1,var}", "/v/value"],
+                ["{/list}", "/red,green,blue"],
+                ["{/list*}", "/red/green/blue"],
+                ["{/list*,path:4}", "/red/green/blue/%2Ffoo"],
+                ["{/keys}", "/semi,%3B,dot,.,comma,%2C"],
+                ["{/keys*}", "/semi=%3B/dot=./comma=%2C"],
+                ["{;who}", ";who=fred"],
+                ["{;half}", ";half=50%25"],
+                ["{;empty}", ";empty"],
+                ["{;v,empty,who}", ";v=6;empty;who=fred"],
+                ["{;v,bar,who}", ";v=6;who=fred"],
+                ["{;x,y}", ";x=1024;y=768"],
+                ["{;x,y,empty}", ";x=1024;y=768;empty"],
+                ["{;x,y,undef}", ";x=1024;y=768"],
+                ["{;hello:5}", ";hello=Hello"],
+                ["{;list}", ";list=red,green,blue"],
+                ["{;list*}", ";list=red;list=green;list=blue"],
+                ["{;keys}", ";keys=semi,%3B,dot,.,comma,%2C"],
+                ["{;keys*}", ";semi=%3B;dot=.;comma=%2C"],
+                ["{?who}", "?who=fred"],
+                ["{?half}", "?half=50%25"],
+                ["{?x,y}", "?x=1024&y=768"],
+                ["{?x,y,empty}", "?x=1024&y=768&empty="],
+                ["{?x,y,undef}", "?x=1024&y=768"],
+                ["{?var:3}", "?var=val"],
+                ["{?list}", "?list=red,green,blue"],
+                ["{?list*}", "?list=red&list=green&list=blue"],
+                ["{?keys}", "?keys=semi,%3B,dot,.,comma,%2C"],
+                ["{?keys*}", "?semi=%3B&dot=.&comma=%2C"],
+                ["{&who}", "&who=fred"],
+                ["{&half}", "&half=50%25"],
+                ["?fixed=yes{&x}", "?fixed=yes&x=1024"],
+                ["{&x,y,empty}", "&x=1024&y=768&empty="],
+                ["{&var:3}", "&var=val"],
+                ["{&list}", "&list=red,green,blue"],
+                ["{&list*}", "&list=red&list=green&list=blue"],
+                ["{&keys}", "&keys=semi,%3B,dot,.,comma,%2C"],
+                ["{&keys*}", "&semi=%3B&dot=.&comma=%2C"]
+            ];
+
+            for (const [ template, expected ] of tests) {
+                expect(new UriTemplate(template, urlFactory).expand(variables).toString(), template).to.equal(expected);
+            }
+        });
+
+        it("Should apply prefixes to code points", () => {
+            expect(new UriTemplate("{var:2}", urlFactory).expand({var: "åäö"}).toString()).to.equal("%C3%A5%C3%A4");
+        });
+
+        it("Should encode literals", () => {
+            expect(new UriTemplate("/a b/%41/{var}", urlFactory).expand({var: "x"}).toString()).to.equal("/a%20b/%41/x");
+        });
+
+        it("Should expand without variables", () => {
+            expect(new UriTemplate("/path{?x}", urlFactory).expand().toString()).to.equal("/path");
+        });
+    });
+
+    describe("#toString()", () => {
+        it("Should return the template", () => {
+            expect(new UriTemplate("/path{?x}", urlFactory).toString()).to.equal("/path{?x}");
+        });
+    });
+});